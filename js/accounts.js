@@ -0,0 +1,192 @@
+// ============================================================================
+// FILE: js/accounts.js
+// Purpose: Who fills the feed - per-account stats and account tags
+// ============================================================================
+
+/**
+ * Accounts
+ *
+ * Post records name the account that posted ("author": lower-case handle
+ * without the "@") and whether the site showed it as verified
+ * ("authorVerified"), see extractAuthor() in the site adapters. Records
+ * without an author (not rendered, or stored before authors were recorded)
+ * are left out of every account count.
+ *
+ * Per-account counts and category mixes are built from the records, like
+ * every other count, so they follow corrections, retention and imports.
+ * Accounts are keyed "<platform>:<handle>", as the same handle may belong
+ * to different people on different sites.
+ *
+ * The user can tag accounts by relationship. Tags stay on this device, in
+ * chrome.storage.local under "accountTags":
+ *   { 'instagram:janedoe': 'friend', 'tiktok:nike': 'brand', … }
+ */
+
+'use strict';
+
+/** @const {string} - Local storage key for the account tags */
+const ACCOUNT_TAGS_KEY = 'accountTags';
+
+/** @const {Object<string, {emoji: string, label: string}>} - Relationships an account can be tagged with */
+const ACCOUNT_TYPES = {
+  friend: { emoji: '👥', label: 'Friend' },
+  creator: { emoji: '⭐', label: 'Creator' },
+  brand: { emoji: '🏷️', label: 'Brand' },
+  news: { emoji: '📰', label: 'News' }
+};
+
+/** @const {number} - Accounts listed in "top accounts" */
+const TOP_ACCOUNTS_SHOWN = 5;
+
+/**
+ * Build the key of an account
+ * @param {string} platform - Platform id (records before adapters are Instagram)
+ * @param {string} handle - Account handle
+ * @returns {string} e.g. "tiktok:nike"
+ */
+function accountKey(platform, handle) {
+  return `${platform || 'instagram'}:${handle}`;
+}
+
+/**
+ * Describe a relationship type, for tables and the widget
+ * @param {string|null} type - Account type, or null for untagged accounts
+ * @returns {string} Label, e.g. "🏷️ Brand"
+ */
+function getAccountTypeLabel(type) {
+  const accountType = ACCOUNT_TYPES[type];
+  return accountType ? `${accountType.emoji} ${accountType.label}` : '❔ Untagged';
+}
+
+/**
+ * Load the account tags
+ * @returns {Promise<Object<string, string>>} Account key → account type
+ */
+async function loadAccountTags() {
+  const items = await chrome.storage.local.get(ACCOUNT_TAGS_KEY);
+  return items[ACCOUNT_TAGS_KEY] || {};
+}
+
+/**
+ * Tag an account, or remove its tag
+ * @param {string} key - Account key from accountKey()
+ * @param {string|null} type - Account type, or null to remove the tag
+ * @returns {Promise<void>}
+ */
+async function setAccountTag(key, type) {
+  const tags = await loadAccountTags();
+
+  if (ACCOUNT_TYPES[type]) {
+    tags[key] = type;
+  } else {
+    delete tags[key];
+  }
+  await chrome.storage.local.set({ [ACCOUNT_TAGS_KEY]: tags });
+}
+
+/**
+ * Listen for tag changes made in any tab or extension page
+ * @param {function(Object<string, string>): void} callback - Receives all tags
+ * @returns {void}
+ */
+function onAccountTagsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[ACCOUNT_TAGS_KEY]) {
+      callback(changes[ACCOUNT_TAGS_KEY].newValue || {});
+    }
+  });
+}
+
+/**
+ * Count posts, on-screen time and categories per account
+ * Multi-label records are split between their categories (see
+ * getRecordAttribution()), so category counts can be fractional
+ *
+ * @param {Iterable<Object>} records - Stored post records
+ * @returns {Map<string, {key: string, platform: string, handle: string, verified: boolean,
+ *   posts: number, dwellMs: number, categories: Object<string, number>}>} Stats by account key
+ */
+function buildAccountStats(records) {
+  const accounts = new Map();
+
+  for (const record of records) {
+    if (!record.author) continue;
+
+    const key = accountKey(record.platform, record.author);
+    let account = accounts.get(key);
+    if (!account) {
+      account = {
+        key,
+        platform: record.platform || 'instagram',
+        handle: record.author,
+        verified: false,
+        posts: 0,
+        dwellMs: 0,
+        categories: {}
+      };
+      accounts.set(key, account);
+    }
+
+    account.verified = account.verified || record.authorVerified === true;
+    account.posts++;
+    account.dwellMs += record.dwellMs || 0;
+    for (const { category, weight } of getRecordAttribution(record)) {
+      account.categories[category] = (account.categories[category] || 0) + weight;
+    }
+  }
+
+  return accounts;
+}
+
+/**
+ * Pick the accounts seen most
+ * @param {Map<string, Object>} accountStats - Stats from buildAccountStats()
+ * @param {number} [limit] - Accounts to return
+ * @returns {Object[]} Accounts by post count, then on-screen time
+ */
+function getTopAccounts(accountStats, limit = TOP_ACCOUNTS_SHOWN) {
+  return Array.from(accountStats.values())
+    .sort((a, b) => b.posts - a.posts || b.dwellMs - a.dwellMs)
+    .slice(0, limit);
+}
+
+/**
+ * Get an account's main categories
+ * @param {Object<string, number>} categories - Category → post count of one account
+ * @param {number} [limit] - Categories to return
+ * @returns {{category: string, share: number}[]} Biggest categories with their share of the posts
+ */
+function getCategoryMix(categories, limit = 2) {
+  const total = Object.values(categories).reduce((sum, count) => sum + count, 0);
+  if (total === 0) return [];
+
+  return Object.entries(categories)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([category, count]) => ({ category, share: count / total }));
+}
+
+/**
+ * Add up account stats per relationship type
+ * @param {Map<string, Object>} accountStats - Stats from buildAccountStats()
+ * @param {Object<string, string>} tags - Account tags
+ * @returns {Object<string, {accounts: number, posts: number, dwellMs: number, categories: Object<string, number>}>}
+ *   Totals per account type; untagged accounts under 'untagged'
+ */
+function countByAccountType(accountStats, tags) {
+  const totals = {};
+
+  for (const account of accountStats.values()) {
+    const type = ACCOUNT_TYPES[tags[account.key]] ? tags[account.key] : 'untagged';
+    const total = totals[type] || (totals[type] = { accounts: 0, posts: 0, dwellMs: 0, categories: {} });
+
+    total.accounts++;
+    total.posts += account.posts;
+    total.dwellMs += account.dwellMs;
+    for (const [category, count] of Object.entries(account.categories)) {
+      total.categories[category] = (total.categories[category] || 0) + count;
+    }
+  }
+
+  return totals;
+}
@@ -0,0 +1,434 @@
+// ============================================================================
+// FILE: js/analysis-service.js
+// Purpose: Shared image analysis scheduler (runs in the background worker)
+// ============================================================================
+
+/**
+ * Analysis Service
+ *
+ * Every Instagram tab sends its image analysis requests here instead of
+ * calling AI providers itself, so that:
+ * 1. All tabs share one scheduler:
+ *    - at most `concurrency` requests run at once
+ *    - a token bucket keeps cloud requests under `requestsPerMinute`
+ *    - every attempt is aborted after `timeoutSeconds`
+ * 2. A post open in two tabs is analysed once (requests are shared while in
+ *    flight, and results are cached by post and image hash - see
+ *    result-cache.js)
+ * 3. API tokens are only read in the extension's own context, never in the
+ *    Instagram page, and privacy settings are applied in one place: remote
+ *    providers are blocked in local-only mode and captions are redacted
+ *    before they leave the browser (see privacy.js)
+ * 4. Failures are retried with exponential backoff. 429 (rate limited) and
+ *    503 (Hugging Face model loading) pause the whole queue for as long as
+ *    the server asks (Retry-After / estimated_time).
+ * 5. Requests for posts that left the screen in every tab that asked are
+ *    cancelled, so scrolling fast doesn't spend API calls
+ *
+ * A post with several images (carousel slides, video frames - see
+ * post-media.js) sends one request per image, numbered by `part`; part 0
+ * is the post's main image. Cancelling a post cancels all its parts.
+ *
+ * Tabs send:
+ *   { action: 'analyzeImage', postId, part, imageUrl, caption, labels, multiLabel }
+ *   { action: 'cancelAnalysis', postId }
+ * and receive:
+ *   { result: { labels, generatedCaption, models } | null, fromCache, provider },
+ *   { cancelled: true } or { error }
+ *
+ * Scheduler settings are stored in chrome.storage.sync under
+ * "schedulerSettings": { concurrency, requestsPerMinute, timeoutSeconds }
+ */
+
+'use strict';
+
+/** @const {boolean} - Log retries in the worker console */
+const DEBUG = false;
+
+/** @const {{concurrency: number, requestsPerMinute: number, timeoutSeconds: number}} - Scheduler defaults */
+const DEFAULT_SCHEDULER_SETTINGS = {
+  concurrency: 2,
+  requestsPerMinute: 30,
+  timeoutSeconds: 30
+};
+
+/** @const {number} - Requests that may start back to back before the rate limit applies */
+const RATE_LIMIT_BURST = 3;
+
+/** @const {number} - Attempts per request before giving up */
+const MAX_ANALYSIS_ATTEMPTS = 4;
+
+/** @const {number} - Delay before the first retry (doubles each time) */
+const RETRY_BASE_DELAY = 2000;
+
+/** @const {number} - Longest wait between retries */
+const MAX_RETRY_DELAY = 60000;
+
+/** @type {Object[]} - Jobs waiting to start, oldest first */
+const analysisQueue = [];
+
+/** @type {Map<string, {postId: string, promise: Promise<Object>, requesters: Set<string>, controller: AbortController}>} - Requests queued or running, by post image */
+const inFlightAnalyses = new Map();
+
+/** @type {number} - Jobs currently running */
+let runningJobs = 0;
+
+/** @type {number} - Tokens left in the rate limit bucket */
+let rateLimitTokens = RATE_LIMIT_BURST;
+
+/** @type {number} - When the bucket was last refilled */
+let rateLimitRefilledAt = Date.now();
+
+/** @type {number} - No job starts before this time (set by 429/503 responses) */
+let queuePausedUntil = 0;
+
+/** @type {number|null} - Timer that wakes the queue when a token or the pause ends */
+let queueWakeTimer = null;
+
+/** @type {Object|null} - Provider settings (reloaded when changed in settings) */
+let serviceProviderSettings = null;
+
+/** @type {Object} - Scheduler settings (reloaded when changed in settings) */
+let schedulerSettings = { ...DEFAULT_SCHEDULER_SETTINGS };
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Get the provider settings, loading them on first use
+ * @returns {Promise<Object>} Settings from loadProviderSettings()
+ */
+async function getServiceProviderSettings() {
+  if (!serviceProviderSettings) {
+    serviceProviderSettings = await withLocalModelStatus(await loadProviderSettings());
+  }
+  return serviceProviderSettings;
+}
+
+/**
+ * Note whether the on-device model loaded, when it is the chosen provider
+ * Without its files the provider counts as not configured, so posts go
+ * straight to keyword analysis
+ *
+ * @param {Object} settings - Settings from loadProviderSettings()
+ * @returns {Promise<Object>} The same settings with localModelAvailable set
+ */
+async function withLocalModelStatus(settings) {
+  if (settings.classifierProvider === 'local') {
+    settings.localModelAvailable = (await getLocalModelStatus()).available;
+  }
+  return settings;
+}
+
+onProviderSettingsChanged(async (settings) => {
+  serviceProviderSettings = await withLocalModelStatus(settings);
+});
+
+/**
+ * Load the scheduler settings and follow changes
+ * @returns {Promise<void>}
+ */
+async function loadSchedulerSettings() {
+  const { schedulerSettings: saved } = await chrome.storage.sync.get(['schedulerSettings']);
+  schedulerSettings = { ...DEFAULT_SCHEDULER_SETTINGS, ...saved };
+}
+
+loadSchedulerSettings();
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.schedulerSettings) {
+    schedulerSettings = { ...DEFAULT_SCHEDULER_SETTINGS, ...changes.schedulerSettings.newValue };
+    pumpQueue();
+  }
+});
+
+/**
+ * Describe the chosen provider for the tabs' widget
+ * @returns {Promise<{enabled: boolean, provider: string, name: string, title: string}>} Status
+ */
+async function getAnalysisStatus() {
+  const settings = await getServiceProviderSettings();
+  const provider = getClassifierProvider(settings.classifierProvider);
+  const enabled = provider.isConfigured(settings);
+
+  let title = enabled ? provider.title : '📝 Text Analysis';
+  if (settings.blockedProvider) title = '🔒 Local only · Text Analysis';
+
+  return {
+    enabled,
+    provider: settings.classifierProvider,
+    name: provider.name,
+    title
+  };
+}
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+/**
+ * Request an image analysis
+ * Identical requests share one analysis; results seen before (by post or by
+ * image content) come from the cache
+ *
+ * @param {{postId: string, part?: number, imageUrl: string, caption: string, labels: string[], multiLabel: boolean}} request
+ * @param {string} requester - Who is asking (tab id), for cancellation
+ * @returns {Promise<{result: Object|null, fromCache: boolean, provider: string}>} Provider result and where it came from
+ * @throws {Error} If every attempt failed, or error.cancelled if cancelled
+ */
+function requestAnalysis(request, requester) {
+  const key = analysisKey(mediaPartId(request) || request.imageUrl, request.multiLabel);
+
+  const existing = inFlightAnalyses.get(key);
+  if (existing) {
+    existing.requesters.add(requester);
+    return existing.promise;
+  }
+
+  const controller = new AbortController();
+  const promise = analyzeWithCache(request, controller.signal);
+  inFlightAnalyses.set(key, { postId: request.postId, promise, requesters: new Set([requester]), controller });
+
+  promise
+    .catch(() => {})
+    .finally(() => inFlightAnalyses.delete(key));
+
+  return promise;
+}
+
+/**
+ * Withdraw a tab's interest in a post (it left the screen)
+ * The analysis is cancelled once no tab wants it any more
+ *
+ * @param {string} postId - Post identifier
+ * @param {string} requester - Tab that no longer needs the result
+ * @returns {void}
+ */
+function cancelAnalysis(postId, requester) {
+  for (const entry of inFlightAnalyses.values()) {
+    if (entry.postId !== postId) continue;
+
+    entry.requesters.delete(requester);
+    if (entry.requesters.size === 0) {
+      entry.controller.abort();
+    }
+  }
+}
+
+/**
+ * Identify the image of a post a request is for
+ * @param {{postId?: string, part?: number}} request - Analysis request
+ * @returns {string|null} Post id for the main image, "<postId>#<part>" for
+ *   the others, or null without a post id
+ */
+function mediaPartId({ postId, part }) {
+  if (!postId) return null;
+  return part ? `${postId}#${part}` : postId;
+}
+
+/**
+ * Build the in-flight key for a request
+ * @param {string} id - Post id (or image URL)
+ * @param {boolean} multiLabel - Whether multi-label scores were asked for
+ * @returns {string} Key
+ */
+function analysisKey(id, multiLabel) {
+  return `${id}|${multiLabel ? 'multi' : 'single'}`;
+}
+
+/**
+ * Answer a request from the cache, or schedule it and cache the result
+ * @param {Object} request - Analysis request
+ * @param {AbortSignal} signal - Aborted when the request is cancelled
+ * @returns {Promise<{result: Object|null, fromCache: boolean, provider: string}>} Provider result and where it came from
+ */
+async function analyzeWithCache(request, signal) {
+  const settings = await getServiceProviderSettings();
+  const provider = settings.classifierProvider;
+  if (!getClassifierProvider(provider).isConfigured(settings)) {
+    return { result: null, fromCache: false, provider };
+  }
+
+  const variant = [
+    provider,
+    request.multiLabel ? 'multi' : 'single',
+    [...request.labels].sort().join(',')
+  ].join('|');
+
+  // 1. Same post seen before
+  const postKey = request.postId ? `post:${mediaPartId(request)}` : null;
+  const postHit = postKey && await getCachedResult(postKey, variant);
+  if (postHit) {
+    recordCacheLookup(true);
+    return { result: postHit.result, fromCache: true, provider };
+  }
+
+  // 2. Same image seen before (e.g. a repost)
+  const image = await fetchImageBytes(request.imageUrl, signal);
+  const imageKey = `img:${await hashImageBytes(image.bytes)}`;
+  const imageHit = await getCachedResult(imageKey, variant);
+  if (imageHit) {
+    recordCacheLookup(true);
+    if (postKey) await setCachedResult([postKey], variant, imageHit.result);
+    return { result: imageHit.result, fromCache: true, provider };
+  }
+
+  // 3. New: ask the provider (reusing the fetched image)
+  recordCacheLookup(false);
+  const caption = getClassifierProvider(provider).remote && settings.redactRequests
+    ? redactCaption(request.caption)
+    : request.caption;
+  const result = await scheduleJob({ ...request, caption, image }, signal);
+
+  await setCachedResult(postKey ? [postKey, imageKey] : [imageKey], variant, result);
+  return { result, fromCache: false, provider };
+}
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Add a provider request to the queue
+ * @param {Object} request - Analysis request with the fetched image
+ * @param {AbortSignal} signal - Cancels the job
+ * @returns {Promise<Object|null>} Provider result
+ */
+function scheduleJob(request, signal) {
+  return new Promise((resolve, reject) => {
+    const job = { request, signal, resolve, reject, attempt: 1 };
+
+    signal.addEventListener('abort', () => {
+      // Jobs still waiting are dropped; running ones abort their fetch
+      const index = analysisQueue.indexOf(job);
+      if (index !== -1) analysisQueue.splice(index, 1);
+      reject(cancelledError());
+    });
+
+    analysisQueue.push(job);
+    pumpQueue();
+  });
+}
+
+/**
+ * Start as many waiting jobs as the concurrency limit, rate limit and any
+ * server-requested pause allow; otherwise wake up when one of them ends
+ * @returns {Promise<void>}
+ */
+async function pumpQueue() {
+  const settings = await getServiceProviderSettings();
+  const isLocal = settings.classifierProvider === 'local';
+
+  // The on-device model uses the CPU; running several at once only slows each down
+  const concurrency = isLocal ? 1 : Math.max(1, schedulerSettings.concurrency);
+
+  while (analysisQueue.length > 0 && runningJobs < concurrency) {
+    const waitMs = isLocal ? 0 : Math.max(queuePausedUntil - Date.now(), takeRateLimitToken());
+    if (waitMs > 0) {
+      wakeQueueIn(waitMs);
+      return;
+    }
+
+    runJob(analysisQueue.shift(), settings);
+  }
+}
+
+/**
+ * Take a token from the rate limit bucket
+ * @returns {number} 0 if a token was taken, otherwise milliseconds until the next one
+ */
+function takeRateLimitToken() {
+  const msPerToken = 60000 / Math.max(1, schedulerSettings.requestsPerMinute);
+  const now = Date.now();
+
+  rateLimitTokens = Math.min(RATE_LIMIT_BURST, rateLimitTokens + (now - rateLimitRefilledAt) / msPerToken);
+  rateLimitRefilledAt = now;
+
+  if (rateLimitTokens >= 1) {
+    rateLimitTokens--;
+    return 0;
+  }
+  return Math.ceil((1 - rateLimitTokens) * msPerToken);
+}
+
+/**
+ * Run the queue again after a delay
+ * @param {number} ms - Milliseconds
+ * @returns {void}
+ */
+function wakeQueueIn(ms) {
+  if (queueWakeTimer) clearTimeout(queueWakeTimer);
+  queueWakeTimer = setTimeout(() => {
+    queueWakeTimer = null;
+    pumpQueue();
+  }, ms);
+}
+
+/**
+ * Run one attempt of a job and decide whether to retry
+ * @param {Object} job - Queued job
+ * @param {Object} settings - Provider settings
+ * @returns {Promise<void>}
+ */
+async function runJob(job, settings) {
+  runningJobs++;
+  const provider = getClassifierProvider(settings.classifierProvider);
+
+  // Each attempt is aborted by a timeout or by cancellation of the job
+  const timeout = AbortSignal.timeout(schedulerSettings.timeoutSeconds * 1000);
+  const signal = AbortSignal.any([job.signal, timeout]);
+
+  try {
+    job.resolve(await provider.classify({ ...job.request, signal }, settings));
+  } catch (error) {
+    if (job.signal.aborted) {
+      job.reject(cancelledError());
+    } else if (job.attempt >= MAX_ANALYSIS_ATTEMPTS || !isRetryable(error)) {
+      job.reject(error);
+    } else {
+      const waitMs = Math.min(MAX_RETRY_DELAY, error.retryAfterMs || RETRY_BASE_DELAY * 2 ** (job.attempt - 1));
+      if (DEBUG) console.log(`${provider.name} analysis failed (attempt ${job.attempt}), retrying in ${Math.round(waitMs / 1000)}s:`, error.message);
+
+      job.attempt++;
+
+      // The server is overloaded or loading the model: hold every request
+      if (error.status === 429 || error.status === 503) {
+        queuePausedUntil = Math.max(queuePausedUntil, Date.now() + waitMs);
+        analysisQueue.unshift(job);
+      } else {
+        setTimeout(() => {
+          if (job.signal.aborted) return;
+          analysisQueue.unshift(job);
+          pumpQueue();
+        }, waitMs);
+      }
+    }
+  } finally {
+    runningJobs--;
+    pumpQueue();
+  }
+}
+
+/**
+ * Decide whether a failed attempt is worth repeating
+ * Anything else (a malformed response, a missing model, a bug) would fail
+ * again, so the post goes straight to the keyword fallback
+ *
+ * @param {Error} error - Failure
+ * @returns {boolean} True for timeouts, network errors, 429 and 5xx
+ */
+function isRetryable(error) {
+  if (error.status) return error.status === 429 || error.status >= 500;
+  if (error.name === 'TimeoutError') return true;
+  return error.name === 'TypeError' && /failed to fetch/i.test(error.message);
+}
+
+/**
+ * Build the error used for cancelled requests
+ * @returns {Error} Error with .cancelled set
+ */
+function cancelledError() {
+  const error = new Error('Analysis cancelled');
+  error.cancelled = true;
+  return error;
+}
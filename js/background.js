@@ -1,18 +1,130 @@
 /**
  * Background Service Worker
- * Handles extension installation and basic message routing
+ * Handles extension installation, basic message routing and all image
+ * analysis for the Instagram tabs (see analysis-service.js)
  */
 
+// TensorFlow.js is not bundled: it is part of the optional on-device add-on
+// (see local-classifier.js). Without it the local classifier reports itself
+// unavailable. importScripts only works while the worker first starts.
+try {
+  importScripts('/vendor/tf.min.js');
+  importScripts('/vendor/tf-backend-wasm.min.js');
+} catch (error) {
+  console.log('On-device add-on not fully installed - on-device analysis limited or unavailable');
+}
+
+importScripts(
+  '/js/categories.js',
+  '/js/keyword-classifier.js',
+  '/js/local-classifier.js',
+  '/js/storage.js',
+  '/js/privacy.js',
+  '/js/providers.js',
+  '/js/result-cache.js',
+  '/js/analysis-service.js'
+);
+
 console.log('Background service worker loaded');
 
+/** @const {string} - Alarm that deletes history past the retention period */
+const RETENTION_ALARM = 'privacyRetention';
+
+/**
+ * Delete history older than the retention period, if one is set
+ * @returns {Promise<void>}
+ */
+async function enforceRetention() {
+  const { retentionDays } = await loadPrivacySettings();
+  const cutoff = getRetentionCutoff(retentionDays);
+  if (cutoff === null) return;
+
+  const deleted = await deleteHistoryBefore(cutoff);
+  await pruneCacheBefore(cutoff);
+  console.log(`Retention: deleted ${deleted} items older than ${retentionDays} days`);
+}
+
+/**
+ * Make sure the daily retention alarm exists
+ * @returns {Promise<void>}
+ */
+async function scheduleRetention() {
+  if (!await chrome.alarms.get(RETENTION_ALARM)) {
+    chrome.alarms.create(RETENTION_ALARM, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+  }
+}
+
+chrome.runtime.onStartup.addListener(scheduleRetention);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETENTION_ALARM) enforceRetention();
+});
+
+// A shorter retention period applies straight away
+onPrivacySettingsChanged(() => enforceRetention());
+
 /**
  * Handle extension installation/update events
  */
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('Extension event:', details.reason);
+  scheduleRetention();
   
-  // Open settings page on first install so user can add API token
+  // Open onboarding on first install so the user can set their values and intentions
   if (details.reason === 'install') {
-    chrome.runtime.openOptionsPage();
+    chrome.tabs.create({ url: chrome.runtime.getURL('onboarding.html') });
+  }
+});
+
+/**
+ * Handle messages from content scripts
+ * Content scripts cannot open extension pages themselves, so they ask us
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'openDashboard') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  }
+  
+  // User chose "I'm done for now" on an intervention
+  if (message.action === 'closeTab' && sender.tab) {
+    chrome.tabs.remove(sender.tab.id);
+  }
+  
+  // Analyse a post image with the chosen provider (shared queue for all tabs)
+  if (message.action === 'analyzeImage') {
+    requestAnalysis(message, String(sender.tab?.id))
+      .then(sendResponse)
+      .catch(error => sendResponse(error.cancelled || error.name === 'AbortError'
+        ? { cancelled: true }
+        : { error: error.message }));
+    return true;  // Keep the channel open for the async response
+  }
+  
+  // The post left the screen before its analysis finished
+  if (message.action === 'cancelAnalysis') {
+    cancelAnalysis(message.postId, String(sender.tab?.id));
+  }
+  
+  // Tabs ask which provider is active for their widget
+  if (message.action === 'getAnalysisStatus') {
+    getAnalysisStatus().then(sendResponse);
+    return true;
+  }
+  
+  // Settings page shows how well the result cache is working
+  if (message.action === 'getCacheStats') {
+    getCacheStats().then(sendResponse);
+    return true;
+  }
+  
+  if (message.action === 'clearAnalysisCache') {
+    clearAnalysisCache().then(() => sendResponse({ cleared: true }));
+    return true;
+  }
+  
+  // Settings page asks whether the on-device add-on is installed and loads
+  if (message.action === 'getLocalModelStatus') {
+    getLocalModelStatus().then(sendResponse);
+    return true;
   }
-});
\ No newline at end of file
+});
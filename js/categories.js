@@ -0,0 +1,342 @@
+// ============================================================================
+// FILE: js/categories.js
+// Purpose: Content category taxonomy shared by all extension contexts
+// ============================================================================
+
+/**
+ * Content Categories
+ *
+ * Each category has:
+ * - emoji: Visual icon for the category
+ * - keywords: Words to look for in captions (fallback when AI unavailable).
+ *   A keyword may carry a weight after "^": "ootd^2" counts double,
+ *   "mood^0.5" counts half (see keyword-classifier.js)
+ *
+ * The category names are also the zero-shot labels sent to the AI classifier.
+ *
+ * Users can add, rename, delete and merge categories in the settings page.
+ * Their edited taxonomy is stored in chrome.storage.local and replaces the
+ * defaults below everywhere (see loadTaxonomy()).
+ */
+
+'use strict';
+
+/** @const {Object} - Built-in category taxonomy: name → { emoji, keywords } */
+const DEFAULT_CATEGORIES = {
+  'beauty': {
+    emoji: '💄',
+    keywords: ['makeup^2', 'beauty', 'skincare^2', 'glow', 'skin', 'cosmetic', 'lipstick', 'mascara', 
+               'foundation', 'concealer', 'eyeshadow', 'eyeliner', 'blush', 'contour', 'highlight',
+               'bronzer', 'primer', 'serum', 'moisturizer', 'cleanser', 'toner', 'facial', 'acne',
+               'wrinkle', 'botox', 'filler', 'lashes', 'brows', 'manicure', 'pedicure', 'nails',
+               'hairstyle', 'haircut', 'hair color', 'balayage', 'salon', 'spa', 'pamper']
+  },
+  'fashion': {
+    emoji: '👗',
+    keywords: ['outfit^2', 'ootd^2', 'fashion', 'style', 'dress', 'wear', 'clothing', 'clothes',
+               'designer', 'brand', 'luxury', 'haute couture', 'streetwear', 'casual', 'formal',
+               'accessories', 'jewelry', 'handbag', 'purse', 'shoes', 'heels', 'sneakers', 'boots',
+               'jeans', 'shirt', 'blouse', 'suit', 'jacket', 'coat', 'sweater', 'vintage', 'thrift',
+               'runway', 'model', 'trend', 'wardrobe', 'closet', 'shopping', 'boutique', 'fitting']
+  },
+  'food': {
+    emoji: '🍔',
+    keywords: ['food', 'eat', 'meal', 'recipe', 'delicious', 'yummy', 'cook', 'restaurant',
+               'breakfast', 'lunch', 'dinner', 'brunch', 'snack', 'dessert', 'appetizer', 'entree',
+               'cuisine', 'chef', 'kitchen', 'baking', 'ingredients', 'tasty', 'flavor', 'spicy',
+               'sweet', 'savory', 'homemade', 'foodie', 'cafe', 'bar', 'cocktail', 'wine', 'beer',
+               'coffee', 'tea', 'smoothie', 'juice', 'vegan', 'vegetarian', 'diet', 'nutrition',
+               'protein', 'carbs', 'healthy eating', 'comfort food', 'takeout', 'delivery']
+  },
+  'fitness': {
+    emoji: '💪',
+    keywords: ['workout^2', 'gym^2', 'fitness', 'exercise', 'training', 'muscle', 'yoga', 'run',
+               'cardio', 'weights', 'lifting', 'crossfit', 'pilates', 'spinning', 'cycling',
+               'marathon', 'triathlon', 'athlete', 'sports', 'basketball', 'football', 'soccer',
+               'tennis', 'swimming', 'boxing', 'mma', 'strength', 'endurance', 'flexibility',
+               'stretch', 'warmup', 'cooldown', 'reps', 'sets', 'gains', 'shredded', 'abs',
+               'biceps', 'squats', 'deadlift', 'bench press', 'protein shake', 'preworkout',
+               'recovery', 'rest day', 'personal trainer', 'fitfam', 'transformation']
+  },
+  'travel': {
+    emoji: '✈️',
+    keywords: ['travel', 'trip', 'vacation', 'explore', 'adventure', 'journey', 'visit', 'tourist',
+               'destination', 'flight', 'airport', 'hotel', 'airbnb', 'hostel', 'backpacking',
+               'sightseeing', 'landmark', 'monument', 'beach', 'mountain', 'city', 'country',
+               'abroad', 'overseas', 'passport', 'visa', 'luggage', 'suitcase', 'itinerary',
+               'wanderlust', 'nomad', 'roadtrip', 'cruise', 'resort', 'island', 'tropical',
+               'europe', 'asia', 'africa', 'americas', 'oceania', 'sunset', 'sunrise', 'view^0.5',
+               'landscape', 'culture', 'local^0.5', 'souvenir', 'photography', 'bucketlist']
+  },
+  'pets': {
+    emoji: '🐾',
+    keywords: ['dog', 'cat', 'pet', 'puppy', 'kitten', 'animal', 'fur baby', 'paw', 'doggo',
+               'pupper', 'kitty', 'meow', 'woof', 'bark', 'adopt', 'rescue', 'shelter', 'breed',
+               'veterinary', 'vet', 'grooming', 'training', 'tricks', 'fetch', 'walk', 'leash',
+               'collar', 'toys', 'treats', 'cuddle', 'fluffy', 'cute', 'adorable', 'bird', 'fish',
+               'hamster', 'rabbit', 'bunny', 'guinea pig', 'reptile', 'turtle', 'snake', 'lizard',
+               'horse', 'pony', 'farm animals', 'exotic pets', 'pet parent', 'furbaby']
+  },
+  'friends': {
+    emoji: '👥',
+    keywords: ['friends', 'bestie', 'bff', 'squad', 'crew', 'gang', 'buddy', 'pal', 'mate',
+               'friendship', 'hangout', 'chill', 'party', 'gathering', 'reunion', 'meetup',
+               'girls night', 'boys night', 'sleepover', 'roadtrip', 'memories', 'throwback',
+               'group photo', 'selfie', 'groupie', 'besties', 'ride or die', 'partner in crime',
+               'social', 'fun times', 'good times', 'celebration', 'birthday', 'anniversary',
+               'together', 'bonding', 'laughing', 'jokes', 'pranks', 'adventures', 'memories']
+  },
+  'news': {
+    emoji: '📰',
+    keywords: ['news', 'breaking', 'headline', 'article', 'report', 'journalist', 'media',
+               'press', 'coverage', 'story', 'update', 'latest', 'current events', 'world news',
+               'local news', 'national', 'international', 'investigation', 'exclusive', 'interview',
+               'documentary', 'journalism', 'newspaper', 'magazine', 'broadcast', 'anchor',
+               'reporter', 'correspondent', 'analysis', 'opinion', 'editorial', 'column',
+               'fact check', 'source', 'developing', 'urgent', 'alert', 'announcement']
+  },
+  'politics': {
+    emoji: '🏛️',
+    keywords: ['politics', 'political', 'election', 'vote', 'voting', 'campaign', 'candidate',
+               'president', 'senator', 'congress', 'parliament', 'minister', 'government',
+               'democracy', 'republican', 'democrat', 'liberal', 'conservative', 'progressive',
+               'policy', 'legislation', 'bill', 'law', 'constitution', 'rights', 'freedom',
+               'protest', 'activism', 'rally', 'movement', 'petition', 'debate', 'polls',
+               'left wing', 'right wing', 'centrist', 'partisan', 'bipartisan', 'reform',
+               'corruption', 'scandal', 'impeachment', 'diplomacy', 'foreign policy']
+  },
+  'memes': {
+    emoji: '😂',
+    keywords: ['meme^2', 'memes^2', 'funny', 'lol', 'lmao', 'rofl', 'hilarious', 'joke', 'humor',
+               'comedy', 'viral', 'trending', 'relatable', 'mood^0.5', 'vibe^0.5', 'same^0.5', 'facts^0.5',
+               'savage', 'roast', 'burn', 'shade', 'tea', 'spill', 'iconic', 'legendary',
+               'cursed', 'blessed', 'wholesome', 'dank', 'shitpost', 'troll', 'rickroll',
+               'stonks', 'bruh', 'oof', 'yeet', 'based', 'cringe', 'cope', 'seethe', 'ratio',
+               'no cap', 'fr fr', 'bussin', 'slaps', 'hits different', 'iykyk', 'ifykyk']
+  },
+  'tech': {
+    emoji: '💻',
+    keywords: ['tech', 'technology', 'computer', 'laptop', 'phone', 'smartphone', 'iphone',
+               'android', 'app', 'software', 'hardware', 'gadget', 'device', 'innovation',
+               'ai', 'artificial intelligence', 'machine learning', 'coding', 'programming',
+               'developer', 'engineer', 'startup', 'silicon valley', 'internet', 'wifi',
+               'blockchain', 'crypto', 'bitcoin', 'nft', 'metaverse', 'vr', 'ar', 'gaming',
+               'console', 'pc', 'specs', 'upgrade', 'hack', 'cybersecurity', 'data', 'cloud',
+               'server', 'database', 'algorithm', 'automation', 'robot', 'drone', 'smart home']
+  },
+  'music': {
+    emoji: '🎵',
+    keywords: ['music', 'song', 'album', 'artist', 'band', 'concert', 'live^0.5', 'performance',
+               'tour', 'festival', 'spotify', 'playlist', 'mixtape', 'track^0.5', 'single^0.5', 'ep',
+               'record', 'vinyl', 'genre', 'pop', 'rock', 'hip hop', 'rap', 'country', 'jazz',
+               'classical', 'electronic', 'edm', 'house', 'techno', 'indie', 'alternative',
+               'lyrics', 'melody', 'beat', 'rhythm', 'bass', 'guitar', 'drums', 'piano',
+               'singer', 'vocalist', 'musician', 'producer', 'dj', 'remix', 'cover^0.5', 'acoustic']
+  },
+  'art': {
+    emoji: '🎨',
+    keywords: ['art', 'artist', 'artwork', 'painting', 'drawing', 'sketch', 'illustration',
+               'design', 'graphic', 'digital art', 'creative', 'creativity', 'gallery', 'museum',
+               'exhibition', 'sculpture', 'photography', 'photo', 'portrait', 'landscape',
+               'abstract', 'modern art', 'contemporary', 'street art', 'graffiti', 'mural',
+               'canvas', 'brush', 'paint', 'watercolor', 'acrylic', 'oil painting', 'charcoal',
+               'pencil', 'ink', 'masterpiece', 'aesthetic', 'visual', 'composition', 'color',
+               'palette', 'texture', 'style', 'technique', 'commission', 'portfolio']
+  },
+  'business': {
+    emoji: '💼',
+    keywords: ['business', 'entrepreneur', 'startup', 'company', 'corporate', 'office', 'work',
+               'career', 'job', 'professional', 'networking', 'linkedin', 'resume', 'interview',
+               'meeting', 'conference', 'presentation', 'pitch', 'investor', 'funding', 'venture',
+               'capital', 'revenue', 'profit', 'sales', 'marketing', 'branding', 'strategy',
+               'management', 'leadership', 'ceo', 'founder', 'executive', 'team', 'employee',
+               'workplace', 'productivity', 'success', 'goals', 'hustle', 'grind', 'boss',
+               'promotion', 'client', 'customer', 'b2b', 'b2c', 'ecommerce', 'retail']
+  },
+  'education': {
+    emoji: '📚',
+    keywords: ['education', 'school', 'university', 'college', 'student', 'study', 'learning',
+               'class', 'course', 'lecture', 'professor', 'teacher', 'academic', 'degree',
+               'diploma', 'graduation', 'graduate', 'undergraduate', 'phd', 'masters', 'thesis',
+               'research', 'library', 'books', 'reading', 'homework', 'assignment', 'exam',
+               'test', 'quiz', 'grades', 'gpa', 'scholarship', 'campus', 'dorm', 'semester',
+               'knowledge', 'skills', 'online course', 'webinar', 'workshop', 'certification',
+               'training', 'tutor', 'mentor', 'stem', 'science', 'math', 'engineering']
+  },
+  'sports': {
+    emoji: '⚽',
+    keywords: ['sports', 'game', 'match', 'tournament', 'championship', 'league', 'team',
+               'player', 'athlete', 'coach', 'stadium', 'arena', 'field', 'court', 'score',
+               'win', 'loss', 'victory', 'defeat', 'playoff', 'finals', 'season', 'draft',
+               'football', 'soccer', 'basketball', 'baseball', 'hockey', 'tennis', 'golf',
+               'cricket', 'rugby', 'boxing', 'mma', 'ufc', 'olympics', 'medal', 'record',
+               'champion', 'mvp', 'goat', 'rookie', 'transfer', 'signing', 'contract', 'fan',
+               'supporter', 'rivalry', 'derby', 'espn', 'highlights', 'replay', 'referee']
+  },
+  'lifestyle': {
+    emoji: '🏠',
+    keywords: ['home', 'decor', 'life^0.5', 'daily^0.5', 'morning', 'routine', 'cozy', 'living',
+               'interior', 'design', 'furniture', 'minimalist', 'organization', 'cleaning',
+               'motivation', 'inspiration', 'selfcare', 'wellness', 'mindfulness', 'meditation',
+               'journal', 'productivity', 'habits', 'goals', 'aesthetic', 'vibes', 'mood board',
+               'pinterest', 'diy', 'crafts', 'hobby', 'collection', 'plants', 'succulents',
+               'candles', 'hygge', 'bedroom', 'kitchen', 'bathroom', 'apartment', 'house']
+  },
+  'other': {
+    emoji: '📷',
+    keywords: [] // Catch-all category
+  }
+};
+
+/** @const {string} - Storage key for the user's edited taxonomy (chrome.storage.local) */
+const TAXONOMY_STORAGE_KEY = 'categoryTaxonomy';
+
+/** @const {number} - Maximum length of a category name */
+const MAX_CATEGORY_NAME_LENGTH = 30;
+
+/**
+ * Make an independent copy of a taxonomy so edits never touch the defaults
+ * @param {Object} taxonomy - Category name → { emoji, keywords }
+ * @returns {Object} Deep copy
+ */
+function cloneTaxonomy(taxonomy) {
+  const copy = {};
+  for (const [name, data] of Object.entries(taxonomy)) {
+    copy[name] = { emoji: data.emoji, keywords: [...data.keywords] };
+  }
+  return copy;
+}
+
+/**
+ * Load the user's taxonomy, or the defaults if it was never edited
+ * @returns {Promise<Object>} Category name → { emoji, keywords }
+ */
+async function loadTaxonomy() {
+  try {
+    const items = await chrome.storage.local.get(TAXONOMY_STORAGE_KEY);
+    const stored = items[TAXONOMY_STORAGE_KEY];
+
+    if (stored && validateTaxonomy(stored).length === 0) {
+      return cloneTaxonomy(stored);
+    }
+  } catch (error) {
+    console.error('Failed to load categories:', error);
+  }
+
+  return cloneTaxonomy(DEFAULT_CATEGORIES);
+}
+
+/**
+ * Validate and store an edited taxonomy
+ * @param {Object} taxonomy - Category name → { emoji, keywords }
+ * @returns {Promise<string[]>} Validation errors (nothing is saved if any)
+ */
+async function saveTaxonomy(taxonomy) {
+  const errors = validateTaxonomy(taxonomy);
+  if (errors.length === 0) {
+    await chrome.storage.local.set({ [TAXONOMY_STORAGE_KEY]: cloneTaxonomy(taxonomy) });
+  }
+  return errors;
+}
+
+/**
+ * Go back to the built-in categories
+ * @returns {Promise<void>}
+ */
+async function restoreDefaultTaxonomy() {
+  await chrome.storage.local.remove(TAXONOMY_STORAGE_KEY);
+}
+
+/**
+ * Check that a taxonomy is usable by the classifiers
+ * - Names are lowercase letters, numbers, spaces or hyphens, and unique
+ * - The 'other' catch-all category exists
+ * - There is at least one real category besides 'other'
+ * - Every category has an emoji and a list of non-empty keywords
+ * - Keyword weights ("word^2") are positive numbers
+ *
+ * @param {Object} taxonomy - Category name → { emoji, keywords }
+ * @returns {string[]} Human-readable errors (empty if valid)
+ */
+function validateTaxonomy(taxonomy) {
+  const errors = [];
+
+  if (!taxonomy || typeof taxonomy !== 'object') {
+    return ['Categories must be an object'];
+  }
+
+  const names = Object.keys(taxonomy);
+
+  if (!names.includes('other')) {
+    errors.push('The "other" category is required');
+  }
+  if (names.filter(name => name !== 'other').length === 0) {
+    errors.push('Add at least one category besides "other"');
+  }
+
+  for (const name of names) {
+    const data = taxonomy[name];
+
+    if (!/^[a-z0-9][a-z0-9 -]*$/.test(name)) {
+      errors.push(`"${name}": names may only use lowercase letters, numbers, spaces and hyphens`);
+    }
+    if (name.length > MAX_CATEGORY_NAME_LENGTH) {
+      errors.push(`"${name}": names must be ${MAX_CATEGORY_NAME_LENGTH} characters or fewer`);
+    }
+    if (!data || typeof data.emoji !== 'string' || data.emoji.trim() === '') {
+      errors.push(`"${name}": an emoji is required`);
+    }
+    if (!data || !Array.isArray(data.keywords) ||
+        data.keywords.some(keyword => typeof keyword !== 'string' || keyword.trim() === '')) {
+      errors.push(`"${name}": keywords must be a list of words`);
+    } else {
+      for (const keyword of data.keywords) {
+        if (keyword.includes('^') &&
+            !(/^[^^]+\^\d+(\.\d+)?$/.test(keyword.trim()) && parseFloat(keyword.split('^')[1]) > 0)) {
+          errors.push(`"${name}": "${keyword}" needs a positive number after ^ (e.g. "ootd^2")`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Listen for taxonomy edits made in the settings page
+ * @param {function(Object): void} callback - Receives the new taxonomy
+ * @returns {void}
+ */
+function onTaxonomyChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[TAXONOMY_STORAGE_KEY]) {
+      const taxonomy = changes[TAXONOMY_STORAGE_KEY].newValue;
+      callback(taxonomy ? cloneTaxonomy(taxonomy) : cloneTaxonomy(DEFAULT_CATEGORIES));
+    }
+  });
+}
+
+/**
+ * Format a possibly fractional post count for display
+ * Multi-label posts are split between their categories, so per-category
+ * counts can have a fraction
+ *
+ * @param {number} count - Post count
+ * @returns {string} e.g. "12" or "3.4"
+ */
+function formatCount(count) {
+  return Number.isInteger(count) ? String(count) : count.toFixed(1);
+}
+
+/**
+ * Parse a number input and keep it within limits
+ * @param {string|number} value - Input value
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {number} fallback - Used when the input is not a number
+ * @returns {number} Whole number between min and max
+ */
+function clampNumber(value, min, max, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+}
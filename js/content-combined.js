@@ -1,14 +1,14 @@
 // ============================================================================
 // FILE: js/content-combined.js
-// Purpose: Main content analysis script that runs on Instagram
+// Purpose: Main content analysis script that runs on every supported site
 // ============================================================================
 
 /**
  * Instagram Content Tracker
  * 
- * This script runs on Instagram pages and:
- * 1. Monitors visible posts as you scroll
- * 2. Analyzes images using AI (if API token provided) or text keywords
+ * This script runs on Instagram, TikTok and YouTube Shorts pages and:
+ * 1. Monitors visible posts as you scroll, using the site's adapter (js/sites/)
+ * 2. Analyzes images with the chosen AI provider (via the background worker) or text keywords
  * 3. Categorizes content into types (beauty, fashion, food, etc.)
  * 4. Displays real-time statistics in a floating widget
  * 
@@ -25,20 +25,40 @@
 /** @const {boolean} - Set to true to enable console logging for debugging */
 const DEBUG = false;
 
-/** @const {string} - Hugging Face model for generating image captions */
-const CAPTION_MODEL = 'Salesforce/blip-image-captioning-base';
-
-/** @const {string} - Hugging Face model for classifying text into categories */
-const CLASSIFIER_MODEL = 'facebook/bart-large-mnli';
-
 /** @const {number} - Minimum confidence score (0-1) for AI predictions */
 const CONFIDENCE_THRESHOLD = 0.3;
 
-/** @const {number} - Milliseconds to wait between API calls to avoid rate limits */
-const API_RATE_LIMIT_DELAY = 1000;
+/** @const {number} - Posts analysed at once per tab (the background worker applies the real limits) */
+const MAX_PARALLEL_ANALYSES = 4;
+
+/** @const {number} - Default minimum score (0-1) for each label in multi-label mode */
+const DEFAULT_MULTI_LABEL_THRESHOLD = 0.3;
+
+/** @const {Object<string, string>} - Widget labels for each classification method, in display order */
+const METHOD_LABELS = {
+  ai: '🤖 AI',
+  cache: '💾 Cached',
+  keyword: '📝 Keyword',
+  manual: '✋ Manual'
+};
+
+/** @const {number} - Minimum on-screen height (px) for a post to count, to avoid fragments */
+const MIN_POST_HEIGHT = 100;
+
+/** @const {number} - Share of a post (or of the viewport) that must be visible to count as looking at it */
+const DWELL_VISIBILITY_THRESHOLD = 0.5;
+
+/** @const {number} - How often accumulated on-screen time is written to storage (milliseconds) */
+const DWELL_FLUSH_INTERVAL = 5000;
 
-/** @const {number} - How often to scan for new content (milliseconds) */
-const SCAN_INTERVAL = 5000;
+/** @const {number} - Flushes on-screen time waits for its post's record before it is dropped (two minutes) */
+const DWELL_MAX_PENDING_FLUSHES = 24;
+
+/** @const {number} - Posts listed under "Recent posts" in the widget for correcting */
+const RECENT_POSTS_SHOWN = 5;
+
+/** @const {number} - How often to check whether a study phase has ended (milliseconds) */
+const STUDY_PHASE_CHECK_INTERVAL = 10 * 60 * 1000;
 
 // ============================================================================
 // GLOBAL STATE
@@ -50,225 +70,345 @@ let processedContent = new Set();
 /** @type {Set<string>} - IDs of posts the user has viewed */
 let viewedContentIds = new Set();
 
+/** @type {Map<string, Object>} - Stored classification records by post ID (all tabs) */
+let postRecords = new Map();
+
+/** @type {IntersectionObserver|null} - Reports posts entering and leaving the screen */
+let visibilityObserver = null;
+
+/** @type {WeakSet<HTMLElement>} - Post elements registered with the visibility observer */
+let registeredPosts = new WeakSet();
+
+/** @type {Map<HTMLElement, string>} - Post ID of each element currently on screen */
+let onScreenPostIds = new Map();
+
+/** @type {Map<HTMLElement, IntersectionObserverEntry>} - On-screen elements with nothing to identify them yet */
+let unresolvedPosts = new Map();
+
+/** @type {Map<string, string>} - Fingerprint → site post ID, for posts whose site ID appeared later */
+let postAliases = new Map();
+
+/** @type {WeakMap<HTMLElement, string>} - Image asset each fingerprinted element showed when identified */
+let fingerprintedAssets = new WeakMap();
+
+/** @const {Object} - Adapter for the site this tab is on (see js/sites.js) */
+const currentSite = detectSite();
+
+/** @type {string} - Active surface of the site (e.g. Instagram feed, reels, stories …) */
+let currentSurface = currentSite.detectSurface(window.location.pathname);
+
+/** @type {string} - Last seen page URL, used to detect in-app navigation */
+let currentUrl = window.location.href;
+
+/** @type {Set<string>} - IDs of posts currently visible enough to count as being looked at */
+let lookedAtPostIds = new Set();
+
+/** @type {{element: HTMLElement, postId: string, surface: string}[]} - Posts waiting to be analyzed */
+let analysisQueue = [];
+
+/** @type {Set<string>} - IDs of posts in the analysis queue */
+let queuedPostIds = new Set();
+
+/** @type {number} - Analyses currently running in this tab */
+let activeAnalyses = 0;
+
+/** @type {Set<string>} - Queued posts that left the screen; their image analysis is skipped or cancelled */
+let cancelledPostIds = new Set();
+
+/** @type {number} - Posts this session whose image analysis failed (keywords were used) */
+let analysisFailures = 0;
+
+/** @type {Set<string>} - Posts whose surface gave no ID, so a fingerprint was used */
+let fingerprintedIds = new Set();
+
+/** @type {Object[]} - Extraction health samples of the most recent posts in this tab */
+let recentHealthSamples = [];
+
+/** @type {Object[]} - Extraction health samples not yet written to storage */
+let pendingHealthSamples = [];
+
+/** @type {Object<string, number>} - Stored posts per classification method (ai, cache, keyword, manual) */
+let methodCounts = {};
+
+/** @type {Object<string, {count: number, dwellMs: number}>} - Stored posts and on-screen time per media type */
+let mediaStats = {};
+
+/** @type {Map<string, number>} - Start time of the running dwell timer for each visible post */
+let dwellTimers = new Map();
+
+/** @type {Map<string, number>} - On-screen milliseconds not yet written to storage */
+let pendingDwell = new Map();
+
+/** @type {Map<string, number>} - Flushes each post in pendingDwell has waited for its record */
+let pendingDwellFlushes = new Map();
+
+/** @type {Promise<void>} - Dwell time write in progress; writes run one after another */
+let dwellFlush = Promise.resolve();
+
+/** @type {boolean} - Whether a recount/redraw is already scheduled */
+let refreshScheduled = false;
+
+/** @type {Set<HTMLElement>} - Unidentified or fingerprinted on-screen posts that changed since the last check */
+let changedPendingPosts = new Set();
+
+/** @type {boolean} - Whether a check of the changed pending posts is already scheduled */
+let pendingCheckScheduled = false;
+
+/** @type {Object|null} - The user's values and intentions from onboarding */
+let userProfile = null;
+
+/** @type {number} - When this browsing session started (the site opened in this tab) */
+let sessionStartedAt = Date.now();
+
+/** @type {Object<string, number>} - On-screen milliseconds per category this session */
+let sessionDwellMs = {};
+
 /** @type {HTMLElement|null} - Reference to the floating statistics display */
 let floatingDisplay = null;
 
-/** @type {string|null} - Hugging Face API token for AI features */
-let apiToken = null;
+/** @type {{enabled: boolean, provider: string, name: string, title: string}} - Image analysis provider, as reported by the background worker */
+let analysisStatus = { enabled: false, provider: 'keywords', name: 'Keywords only', title: '📝 Text Analysis' };
+
+/** @type {boolean} - Keep every label above the threshold instead of only the top one */
+let multiLabelMode = false;
+
+/** @type {number} - Minimum score (0-1) for a label to be kept in multi-label mode */
+let multiLabelThreshold = DEFAULT_MULTI_LABEL_THRESHOLD;
 
 /**
  * Content categories with their counts and metadata
+ * Starts with the defaults and is replaced by the user's taxonomy on load.
  * Each category has:
  * - count: Number of posts in this category
+ * - dwellMs: Milliseconds spent looking at posts in this category
  * - emoji: Visual icon for the category
  * - keywords: Words to look for in captions (fallback when AI unavailable)
  */
+let contentCategories = buildContentCategories(DEFAULT_CATEGORIES);
+
+/** @type {Object} - Categories used by the keyword classifier (with learned keywords) */
+let keywordCategories = contentCategories;
+
+/** @type {Object<string, string[]>} - Keywords learned from the user's corrections */
+let learnedKeywords = {};
 
-let contentCategories = {
-  'beauty': { 
-    count: 0, 
-    emoji: '💄',
-    keywords: ['makeup', 'beauty', 'skincare', 'glow', 'skin', 'cosmetic', 'lipstick', 'mascara', 
-               'foundation', 'concealer', 'eyeshadow', 'eyeliner', 'blush', 'contour', 'highlight',
-               'bronzer', 'primer', 'serum', 'moisturizer', 'cleanser', 'toner', 'facial', 'acne',
-               'wrinkle', 'botox', 'filler', 'lashes', 'brows', 'manicure', 'pedicure', 'nails',
-               'hairstyle', 'haircut', 'hair color', 'balayage', 'salon', 'spa', 'pamper']
-  },
-  'fashion': { 
-    count: 0, 
-    emoji: '👗',
-    keywords: ['outfit', 'ootd', 'fashion', 'style', 'dress', 'wear', 'clothing', 'clothes',
-               'designer', 'brand', 'luxury', 'haute couture', 'streetwear', 'casual', 'formal',
-               'accessories', 'jewelry', 'handbag', 'purse', 'shoes', 'heels', 'sneakers', 'boots',
-               'jeans', 'shirt', 'blouse', 'suit', 'jacket', 'coat', 'sweater', 'vintage', 'thrift',
-               'runway', 'model', 'trend', 'wardrobe', 'closet', 'shopping', 'boutique', 'fitting']
-  },
-  'food': { 
-    count: 0, 
-    emoji: '🍔',
-    keywords: ['food', 'eat', 'meal', 'recipe', 'delicious', 'yummy', 'cook', 'restaurant',
-               'breakfast', 'lunch', 'dinner', 'brunch', 'snack', 'dessert', 'appetizer', 'entree',
-               'cuisine', 'chef', 'kitchen', 'baking', 'ingredients', 'tasty', 'flavor', 'spicy',
-               'sweet', 'savory', 'homemade', 'foodie', 'cafe', 'bar', 'cocktail', 'wine', 'beer',
-               'coffee', 'tea', 'smoothie', 'juice', 'vegan', 'vegetarian', 'diet', 'nutrition',
-               'protein', 'carbs', 'healthy eating', 'comfort food', 'takeout', 'delivery']
-  },
-  'fitness': { 
-    count: 0, 
-    emoji: '💪',
-    keywords: ['workout', 'gym', 'fitness', 'exercise', 'training', 'muscle', 'yoga', 'run',
-               'cardio', 'weights', 'lifting', 'crossfit', 'pilates', 'spinning', 'cycling',
-               'marathon', 'triathlon', 'athlete', 'sports', 'basketball', 'football', 'soccer',
-               'tennis', 'swimming', 'boxing', 'mma', 'strength', 'endurance', 'flexibility',
-               'stretch', 'warmup', 'cooldown', 'reps', 'sets', 'gains', 'shredded', 'abs',
-               'biceps', 'squats', 'deadlift', 'bench press', 'protein shake', 'preworkout',
-               'recovery', 'rest day', 'personal trainer', 'fitfam', 'transformation']
-  },
-  'travel': { 
-    count: 0, 
-    emoji: '✈️',
-    keywords: ['travel', 'trip', 'vacation', 'explore', 'adventure', 'journey', 'visit', 'tourist',
-               'destination', 'flight', 'airport', 'hotel', 'airbnb', 'hostel', 'backpacking',
-               'sightseeing', 'landmark', 'monument', 'beach', 'mountain', 'city', 'country',
-               'abroad', 'overseas', 'passport', 'visa', 'luggage', 'suitcase', 'itinerary',
-               'wanderlust', 'nomad', 'roadtrip', 'cruise', 'resort', 'island', 'tropical',
-               'europe', 'asia', 'africa', 'americas', 'oceania', 'sunset', 'sunrise', 'view',
-               'landscape', 'culture', 'local', 'souvenir', 'photography', 'bucketlist']
-  },
-  'pets': { 
-    count: 0, 
-    emoji: '🐾',
-    keywords: ['dog', 'cat', 'pet', 'puppy', 'kitten', 'animal', 'fur baby', 'paw', 'doggo',
-               'pupper', 'kitty', 'meow', 'woof', 'bark', 'adopt', 'rescue', 'shelter', 'breed',
-               'veterinary', 'vet', 'grooming', 'training', 'tricks', 'fetch', 'walk', 'leash',
-               'collar', 'toys', 'treats', 'cuddle', 'fluffy', 'cute', 'adorable', 'bird', 'fish',
-               'hamster', 'rabbit', 'bunny', 'guinea pig', 'reptile', 'turtle', 'snake', 'lizard',
-               'horse', 'pony', 'farm animals', 'exotic pets', 'pet parent', 'furbaby']
-  },
-  'friends': {
-    count: 0,
-    emoji: '👥',
-    keywords: ['friends', 'bestie', 'bff', 'squad', 'crew', 'gang', 'buddy', 'pal', 'mate',
-               'friendship', 'hangout', 'chill', 'party', 'gathering', 'reunion', 'meetup',
-               'girls night', 'boys night', 'sleepover', 'roadtrip', 'memories', 'throwback',
-               'group photo', 'selfie', 'groupie', 'besties', 'ride or die', 'partner in crime',
-               'social', 'fun times', 'good times', 'celebration', 'birthday', 'anniversary',
-               'together', 'bonding', 'laughing', 'jokes', 'pranks', 'adventures', 'memories']
-  },
-  'news': {
-    count: 0,
-    emoji: '📰',
-    keywords: ['news', 'breaking', 'headline', 'article', 'report', 'journalist', 'media',
-               'press', 'coverage', 'story', 'update', 'latest', 'current events', 'world news',
-               'local news', 'national', 'international', 'investigation', 'exclusive', 'interview',
-               'documentary', 'journalism', 'newspaper', 'magazine', 'broadcast', 'anchor',
-               'reporter', 'correspondent', 'analysis', 'opinion', 'editorial', 'column',
-               'fact check', 'source', 'developing', 'urgent', 'alert', 'announcement']
-  },
-  'politics': {
-    count: 0,
-    emoji: '🏛️',
-    keywords: ['politics', 'political', 'election', 'vote', 'voting', 'campaign', 'candidate',
-               'president', 'senator', 'congress', 'parliament', 'minister', 'government',
-               'democracy', 'republican', 'democrat', 'liberal', 'conservative', 'progressive',
-               'policy', 'legislation', 'bill', 'law', 'constitution', 'rights', 'freedom',
-               'protest', 'activism', 'rally', 'movement', 'petition', 'debate', 'polls',
-               'left wing', 'right wing', 'centrist', 'partisan', 'bipartisan', 'reform',
-               'corruption', 'scandal', 'impeachment', 'diplomacy', 'foreign policy']
-  },
-  'memes': {
-    count: 0,
-    emoji: '😂',
-    keywords: ['meme', 'memes', 'funny', 'lol', 'lmao', 'rofl', 'hilarious', 'joke', 'humor',
-               'comedy', 'viral', 'trending', 'relatable', 'mood', 'vibe', 'same', 'facts',
-               'savage', 'roast', 'burn', 'shade', 'tea', 'spill', 'iconic', 'legendary',
-               'cursed', 'blessed', 'wholesome', 'dank', 'shitpost', 'troll', 'rickroll',
-               'stonks', 'bruh', 'oof', 'yeet', 'based', 'cringe', 'cope', 'seethe', 'ratio',
-               'no cap', 'fr fr', 'bussin', 'slaps', 'hits different', 'iykyk', 'ifykyk']
-  },
-  'tech': {
-    count: 0,
-    emoji: '💻',
-    keywords: ['tech', 'technology', 'computer', 'laptop', 'phone', 'smartphone', 'iphone',
-               'android', 'app', 'software', 'hardware', 'gadget', 'device', 'innovation',
-               'ai', 'artificial intelligence', 'machine learning', 'coding', 'programming',
-               'developer', 'engineer', 'startup', 'silicon valley', 'internet', 'wifi',
-               'blockchain', 'crypto', 'bitcoin', 'nft', 'metaverse', 'vr', 'ar', 'gaming',
-               'console', 'pc', 'specs', 'upgrade', 'hack', 'cybersecurity', 'data', 'cloud',
-               'server', 'database', 'algorithm', 'automation', 'robot', 'drone', 'smart home']
-  },
-  'music': {
-    count: 0,
-    emoji: '🎵',
-    keywords: ['music', 'song', 'album', 'artist', 'band', 'concert', 'live', 'performance',
-               'tour', 'festival', 'spotify', 'playlist', 'mixtape', 'track', 'single', 'ep',
-               'record', 'vinyl', 'genre', 'pop', 'rock', 'hip hop', 'rap', 'country', 'jazz',
-               'classical', 'electronic', 'edm', 'house', 'techno', 'indie', 'alternative',
-               'lyrics', 'melody', 'beat', 'rhythm', 'bass', 'guitar', 'drums', 'piano',
-               'singer', 'vocalist', 'musician', 'producer', 'dj', 'remix', 'cover', 'acoustic']
-  },
-  'art': {
-    count: 0,
-    emoji: '🎨',
-    keywords: ['art', 'artist', 'artwork', 'painting', 'drawing', 'sketch', 'illustration',
-               'design', 'graphic', 'digital art', 'creative', 'creativity', 'gallery', 'museum',
-               'exhibition', 'sculpture', 'photography', 'photo', 'portrait', 'landscape',
-               'abstract', 'modern art', 'contemporary', 'street art', 'graffiti', 'mural',
-               'canvas', 'brush', 'paint', 'watercolor', 'acrylic', 'oil painting', 'charcoal',
-               'pencil', 'ink', 'masterpiece', 'aesthetic', 'visual', 'composition', 'color',
-               'palette', 'texture', 'style', 'technique', 'commission', 'portfolio']
-  },
-  'business': {
-    count: 0,
-    emoji: '💼',
-    keywords: ['business', 'entrepreneur', 'startup', 'company', 'corporate', 'office', 'work',
-               'career', 'job', 'professional', 'networking', 'linkedin', 'resume', 'interview',
-               'meeting', 'conference', 'presentation', 'pitch', 'investor', 'funding', 'venture',
-               'capital', 'revenue', 'profit', 'sales', 'marketing', 'branding', 'strategy',
-               'management', 'leadership', 'ceo', 'founder', 'executive', 'team', 'employee',
-               'workplace', 'productivity', 'success', 'goals', 'hustle', 'grind', 'boss',
-               'promotion', 'client', 'customer', 'b2b', 'b2c', 'ecommerce', 'retail']
-  },
-  'education': {
-    count: 0,
-    emoji: '📚',
-    keywords: ['education', 'school', 'university', 'college', 'student', 'study', 'learning',
-               'class', 'course', 'lecture', 'professor', 'teacher', 'academic', 'degree',
-               'diploma', 'graduation', 'graduate', 'undergraduate', 'phd', 'masters', 'thesis',
-               'research', 'library', 'books', 'reading', 'homework', 'assignment', 'exam',
-               'test', 'quiz', 'grades', 'gpa', 'scholarship', 'campus', 'dorm', 'semester',
-               'knowledge', 'skills', 'online course', 'webinar', 'workshop', 'certification',
-               'training', 'tutor', 'mentor', 'stem', 'science', 'math', 'engineering']
-  },
-  'sports': {
-    count: 0,
-    emoji: '⚽',
-    keywords: ['sports', 'game', 'match', 'tournament', 'championship', 'league', 'team',
-               'player', 'athlete', 'coach', 'stadium', 'arena', 'field', 'court', 'score',
-               'win', 'loss', 'victory', 'defeat', 'playoff', 'finals', 'season', 'draft',
-               'football', 'soccer', 'basketball', 'baseball', 'hockey', 'tennis', 'golf',
-               'cricket', 'rugby', 'boxing', 'mma', 'ufc', 'olympics', 'medal', 'record',
-               'champion', 'mvp', 'goat', 'rookie', 'transfer', 'signing', 'contract', 'fan',
-               'supporter', 'rivalry', 'derby', 'espn', 'highlights', 'replay', 'referee']
-  },
-  'lifestyle': { 
-    count: 0, 
-    emoji: '🏠',
-    keywords: ['home', 'decor', 'life', 'daily', 'morning', 'routine', 'cozy', 'living',
-               'interior', 'design', 'furniture', 'minimalist', 'organization', 'cleaning',
-               'motivation', 'inspiration', 'selfcare', 'wellness', 'mindfulness', 'meditation',
-               'journal', 'productivity', 'habits', 'goals', 'aesthetic', 'vibes', 'mood board',
-               'pinterest', 'diy', 'crafts', 'hobby', 'collection', 'plants', 'succulents',
-               'candles', 'hygge', 'bedroom', 'kitchen', 'bathroom', 'apartment', 'house']
-  },
-  'other': { 
-    count: 0, 
-    emoji: '📷',
-    keywords: [] // Catch-all category
+/** @type {Object<string, number>} - Per-category multipliers for AI scores, from corrections */
+let labelPriors = {};
+
+/** @type {Map<string, {caption: string, imageUrl: string|null}>} - Posts classified on this page, oldest first */
+let recentPosts = new Map();
+
+/** @type {Map<string, Object>} - Posts, time and categories per account (see accounts.js) */
+let accountStats = new Map();
+
+/** @type {Object<string, string>} - The user's account tags: account key → friend, creator, brand or news */
+let accountTags = {};
+
+/** @type {Object|null} - Research study the user has joined (see study.js) */
+let studyState = null;
+
+/** @type {Object<string, boolean>} - Features the current study phase allows (all on outside a study) */
+let studyFeatures = getStudyFeatures(null);
+
+/**
+ * Create the counting state for a category taxonomy
+ * @param {Object} taxonomy - Category name → { emoji, keywords }
+ * @returns {Object} Category name → { count, dwellMs, emoji, keywords }
+ */
+function buildContentCategories(taxonomy) {
+  const categories = {};
+  
+  for (const [name, data] of Object.entries(taxonomy)) {
+    categories[name] = {
+      count: 0,
+      dwellMs: 0,
+      confidenceSum: 0,
+      scoredCount: 0,
+      emoji: data.emoji,
+      keywords: data.keywords
+    };
   }
-};
+  
+  return categories;
+}
+
+/**
+ * Load the user's category taxonomy and rebuild the counts when it is edited
+ * The category names and keywords drive both keyword and AI classification
+ * @returns {Promise<void>}
+ */
+async function loadCategories() {
+  contentCategories = buildContentCategories(await loadTaxonomy());
+  keywordCategories = withLearnedKeywords(contentCategories, learnedKeywords);
+  
+  onTaxonomyChanged((taxonomy) => {
+    contentCategories = buildContentCategories(taxonomy);
+    keywordCategories = withLearnedKeywords(contentCategories, learnedKeywords);
+    recountCategories();
+    updateFloatingDisplay();
+  });
+}
 
 // ============================================================================
-// API TOKEN MANAGEMENT
+// ANALYSIS PROVIDER
 // ============================================================================
 
 /**
- * Load the Hugging Face API token from Chrome storage
- * This token enables AI-powered image analysis
+ * Ask the background worker which classifier provider is active and follow
+ * changes from the settings page
+ * The worker owns the provider settings and API tokens; they are never read here
  * @returns {Promise<void>}
  */
-async function loadApiToken() {
+async function loadAnalysisStatus() {
   try {
-    const settings = await chrome.storage.sync.get(['huggingFaceToken']);
-    if (settings.huggingFaceToken) {
-      apiToken = settings.huggingFaceToken;
-      if (DEBUG) console.log('✅ API token loaded - AI analysis enabled');
-    } else {
-      if (DEBUG) console.log('⚠️ No API token - using text-only analysis');
+    analysisStatus = await chrome.runtime.sendMessage({ action: 'getAnalysisStatus' }) || analysisStatus;
+    if (DEBUG) {
+      console.log(analysisStatus.enabled
+        ? `✅ ${analysisStatus.name} image analysis enabled`
+        : '⚠️ No image analysis - using text-only analysis');
+    }
+  } catch (error) {
+    console.error('Failed to get analysis status:', error);
+  }
+}
+
+/**
+ * Refresh the analysis status whenever provider settings change
+ * @returns {void}
+ */
+function watchAnalysisStatus() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+    if (changes.classifierProvider || changes.huggingFaceToken || changes.providerConfig) {
+      loadAnalysisStatus().then(updateFloatingDisplay);
+    }
+  });
+}
+
+/**
+ * Check whether posts can be analysed from their image
+ * @returns {boolean} True if the chosen provider is set up
+ */
+function hasImageAnalysis() {
+  return analysisStatus.enabled;
+}
+
+/**
+ * Describe the active analysis mode for the widget title
+ * @returns {string} Title text
+ */
+function getAnalysisTitle() {
+  return analysisStatus.title;
+}
+
+/**
+ * Load the multi-label settings and follow changes made in the settings page
+ * (they apply to posts classified from then on)
+ * @returns {Promise<void>}
+ */
+async function loadClassificationSettings() {
+  try {
+    const settings = await chrome.storage.sync.get(['multiLabelMode', 'multiLabelThreshold']);
+    multiLabelMode = settings.multiLabelMode === true;
+    multiLabelThreshold = settings.multiLabelThreshold || DEFAULT_MULTI_LABEL_THRESHOLD;
+  } catch (error) {
+    console.error('Failed to load classification settings:', error);
+  }
+  
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+    if (changes.multiLabelMode) {
+      multiLabelMode = changes.multiLabelMode.newValue === true;
     }
+    if (changes.multiLabelThreshold) {
+      multiLabelThreshold = changes.multiLabelThreshold.newValue || DEFAULT_MULTI_LABEL_THRESHOLD;
+    }
+  });
+}
+
+/**
+ * Learn keywords and label priors from the user's corrections, and learn
+ * again whenever a correction is made in any tab
+ * @returns {Promise<void>}
+ */
+async function loadFeedback() {
+  const learn = async () => {
+    try {
+      const corrections = await loadCorrections();
+      learnedKeywords = learnKeywords(corrections, contentCategories);
+      labelPriors = computeLabelPriors(corrections);
+      keywordCategories = withLearnedKeywords(contentCategories, learnedKeywords);
+      
+      if (DEBUG) {
+        const learnedCount = Object.values(learnedKeywords).reduce((sum, terms) => sum + terms.length, 0);
+        console.log(`🎓 ${corrections.length} corrections, ${learnedCount} learned keywords`);
+      }
+    } catch (error) {
+      console.error('Failed to load corrections:', error);
+    }
+  };
+  
+  await learn();
+  onCorrectionsChanged(learn);
+}
+
+/**
+ * Load the research study the user joined, if any, and follow phase
+ * changes (checked periodically, since phases change by date)
+ * Posts are tracked in every phase; only the features shown change
+ * @returns {Promise<void>}
+ */
+async function loadStudyMode() {
+  const applyPhase = () => {
+    const features = getStudyFeatures(studyState);
+    if (JSON.stringify(features) === JSON.stringify(studyFeatures)) return;
+    
+    studyFeatures = features;
+    if (DEBUG) console.log('🎓 Study phase features:', studyFeatures);
+    if (floatingDisplay) updateFloatingDisplay();
+  };
+  
+  try {
+    studyState = await loadStudyState();
+    studyFeatures = getStudyFeatures(studyState);
+  } catch (error) {
+    console.error('Failed to load study mode:', error);
+  }
+  
+  onStudyStateChanged((state) => {
+    studyState = state;
+    applyPhase();
+  });
+  setInterval(applyPhase, STUDY_PHASE_CHECK_INTERVAL);
+}
+
+/**
+ * Check the intervention rules, unless the study phase turns them off
+ * @returns {void}
+ */
+function runInterventionChecks() {
+  if (studyFeatures.interventions && isTrackedPage()) {
+    checkInterventions(getSessionStats());
+  }
+}
+
+/**
+ * Load the user's profile (values, intentions, time budget) from storage
+ * and keep it updated when edited from the onboarding page
+ * @returns {Promise<void>}
+ */
+async function loadProfile() {
+  try {
+    userProfile = await loadUserProfile();
+    if (DEBUG) console.log(userProfile ? '✅ User profile loaded' : '⚠️ Onboarding not completed');
   } catch (error) {
-    console.error('Failed to load API token:', error);
+    console.error('Failed to load user profile:', error);
   }
+  
+  onUserProfileChanged((profile) => {
+    userProfile = profile;
+    updateFloatingDisplay();
+  });
 }
 
 // ============================================================================
@@ -276,394 +416,1317 @@ async function loadApiToken() {
 // ============================================================================
 
 /**
- * Convert an image URL to base64 format for API submission
- * @param {string} url - The image URL to convert
- * @returns {Promise<string|null>} Base64 encoded image or null if failed
+ * Analyze a post's images with the classifier provider chosen in settings
+ * Each image is queued in the background worker, which calls the provider
+ * (shared across tabs, rate limited, retried and cached). The images'
+ * labels are averaged (see aggregateLabels()) and kept as described in
+ * selectLabels(). Images whose analysis failed are left out.
+ * 
+ * @param {string} postId - Unique identifier for the post
+ * @param {string[]} imageUrls - Images to analyze, main image first
+ * @param {string} caption - Original post caption (used to enhance classification)
+ * @returns {Promise<Object>} On success { labels, generatedCaption, models, provider, fromCache }
+ *   with labels sorted by score; otherwise { fallbackReason, generatedCaption? } where the
+ *   reason is 'cancelled', 'failed' or 'low-confidence'
  */
-async function imageUrlToBase64(url) {
+async function analyzeImages(postId, imageUrls, caption = '') {
   try {
-    const response = await fetch(url);
-    const blob = await response.blob();
+    if (DEBUG) console.log(`🔍 Requesting ${analysisStatus.name} analysis of ${imageUrls.length} image(s)...`);
     
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        // Extract just the base64 data (remove the data:image/jpeg;base64, prefix)
-        const base64 = reader.result.split(',')[1];
-        resolve(base64);
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
+    const labels = Object.keys(contentCategories).filter(c => c !== 'other');
+    const responses = await Promise.all(imageUrls.map((imageUrl, part) => chrome.runtime.sendMessage({
+      action: 'analyzeImage',
+      postId,
+      part,
+      imageUrl,
+      caption,
+      labels,
+      multiLabel: multiLabelMode
+    })));
+    
+    if (responses.some(response => response?.cancelled)) {
+      if (DEBUG) console.log('⏭️ Post left the screen - image analysis cancelled');
+      return { fallbackReason: 'cancelled' };
+    }
+    
+    const succeeded = responses.filter(response => response && !response.error);
+    if (succeeded.length === 0) {
+      analysisFailures++;
+      if (DEBUG) console.error('AI analysis failed:', responses[0]?.error);
+      return { fallbackReason: 'failed' };
+    }
+    
+    const results = succeeded.map(response => response.result).filter(Boolean);
+    if (results.length === 0) return { fallbackReason: 'low-confidence' };
+    
+    const generatedCaption = results.map(result => result.generatedCaption).filter(Boolean).join(' / ');
+    if (DEBUG && generatedCaption) console.log('Generated caption:', generatedCaption);
+    
+    const kept = selectLabels(applyLabelPriors(aggregateLabels(results.map(result => result.labels)), labelPriors));
+    if (kept.length === 0) {
+      return { fallbackReason: 'low-confidence', generatedCaption };
+    }
+    
+    const fromCache = succeeded.every(response => response.fromCache === true);
+    if (DEBUG) {
+      const summary = kept.map(label => `${label.category} ${(label.score * 100).toFixed(1)}%`).join(', ');
+      console.log(`✅ AI classified as: ${summary}${fromCache ? ' (cached)' : ''}`);
+    }
+    return {
+      labels: kept,
+      generatedCaption,
+      models: Array.from(new Set(results.flatMap(result => result.models || []))),
+      provider: succeeded[0].provider,
+      fromCache
+    };
   } catch (error) {
-    if (DEBUG) console.error('Failed to convert image:', error);
-    return null;
+    analysisFailures++;
+    if (DEBUG) console.error('AI analysis failed:', error);
+    return { fallbackReason: 'failed' };
   }
 }
 
 /**
- * Analyze an image using Hugging Face AI models
- * Process:
- * 1. Convert image to base64
- * 2. Send to BLIP model to generate a caption describing the image
- * 3. Send caption to BART model to classify into our categories
+ * Keep the labels to store for a post
+ * Single-label mode keeps the top label if above CONFIDENCE_THRESHOLD;
+ * multi-label mode keeps every label scoring at least the multi-label threshold
  * 
- * @param {string} imageUrl - URL of the image to analyze
- * @param {string} caption - Original post caption (used to enhance classification)
- * @returns {Promise<string|null>} Category name or null if analysis failed
+ * @param {{category: string, score: number}[]} labels - Labels sorted by score
+ * @returns {{category: string, score: number}[]} Labels kept (may be empty)
+ */
+function selectLabels(labels) {
+  return multiLabelMode
+    ? labels.filter(label => label.score >= multiLabelThreshold)
+    : labels.slice(0, 1).filter(label => label.score > CONFIDENCE_THRESHOLD);
+}
+
+/**
+ * Fallback categorization using the weighted keyword classifier
+ * Used when AI is unavailable or fails. Includes keywords learned from
+ * the user's corrections.
+ * 
+ * @param {string} caption - Text to analyze
+ * @returns {{category: string, score: number, confidence: number, runnerUp: Object|null}} Result
+ */
+function categorizeByKeywords(caption) {
+  return classifyByKeywords(caption, keywordCategories);
+}
+
+/**
+ * Turn a keyword classification into scored labels
+ * Scores are each category's share of the total keyword score. In
+ * multi-label mode every category reaching MIN_KEYWORD_SCORE is kept,
+ * otherwise only the winner.
+ * 
+ * @param {Object} result - Result from categorizeByKeywords()
+ * @returns {{category: string, score: number}[]} Labels, best first
+ */
+function keywordLabels(result) {
+  if (result.category === 'other') {
+    return [{ category: 'other', score: result.confidence }];
+  }
+  
+  const total = Object.values(result.scores).reduce((sum, score) => sum + score, 0);
+  const ranked = Object.entries(result.scores)
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, score]) => ({ category, score: score / total, raw: score }));
+  
+  if (multiLabelMode) {
+    return ranked
+      .filter(label => label.raw >= MIN_KEYWORD_SCORE)
+      .map(({ category, score }) => ({ category, score }));
+  }
+  return [{ category: ranked[0].category, score: ranked[0].score }];
+}
+
+/**
+ * Round a 0-1 score for storage
+ * @param {number} score - Score
+ * @returns {number} Score with two decimals
+ */
+function roundScore(score) {
+  return Math.round(score * 100) / 100;
+}
+
+// ============================================================================
+// CONTENT EXTRACTION
+// ============================================================================
+
+/**
+ * Get the extractors for the active surface
+ * @returns {Object} Surface extractor (see js/sites.js)
+ */
+function getSurfaceExtractor() {
+  return currentSite.surfaces[currentSurface] || UNTRACKED_SURFACE;
+}
+
+/**
+ * Whether the active page has posts to track (not e.g. a normal YouTube video)
+ * @returns {boolean} True if posts are tracked here
+ */
+function isTrackedPage() {
+  return !getSurfaceExtractor().untracked;
+}
+
+/**
+ * Extract a stable ID from a post element (see post-identity.js)
+ * The same post always gets the same ID, so it is never counted twice
+ * 
+ * @param {HTMLElement} element - The post element
+ * @returns {string|null} Post ID, or null if nothing identifies the post yet
  */
-async function analyzeImageWithAI(imageUrl, caption = '') {
-  // Skip if no API token available
-  if (!apiToken) {
+function extractPostId(element) {
+  try {
+    // Method 1: Ask the active surface (post/reel links, story URLs)
+    const surfaceId = getSurfaceExtractor().extractId(element);
+    if (surfaceId) return surfaceId;
+    
+    // Method 2: Fingerprint the content, unless it is known by its site ID
+    const fingerprint = fingerprintElement(element);
+    if (!fingerprint) return null;
+    
+    const postId = postAliases.get(fingerprint) || fingerprint;
+    fingerprintedIds.add(postId);
+    if (isFingerprintId(postId)) {
+      fingerprintedAssets.set(element, imageAssetId(extractImageUrl(element)));
+    }
+    return postId;
+  } catch (error) {
+    if (DEBUG) console.error('Failed to identify post:', error);
     return null;
   }
+}
+
+/**
+ * Fingerprint a post element from its caption, author and image
+ * @param {HTMLElement} element - The post element
+ * @returns {string|null} Fingerprint ID, or null if too little has rendered
+ */
+function fingerprintElement(element) {
+  return fingerprintPost({
+    caption: extractCaption(element),
+    author: currentSite.extractAuthor(element)?.handle,
+    imageUrl: extractImageUrl(element)
+  });
+}
+
+/**
+ * Extract image URL from a post element using the active surface's extractor
+ * 
+ * @param {HTMLElement} element - The post element
+ * @returns {string|null} Image URL or null if not found
+ */
+function extractImageUrl(element) {
+  return getSurfaceExtractor().extractImageUrl(element);
+}
+
+/**
+ * Work out a post's media type and images using the active surface's extractor
+ * 
+ * @param {HTMLElement} element - The post element
+ * @returns {{type: string, imageUrls: string[], video: HTMLVideoElement|null}} Media (see describeMedia())
+ */
+function extractMedia(element) {
+  return getSurfaceExtractor().extractMedia(element);
+}
+
+/**
+ * Gather the images to analyze for a post: its carousel slides, or its
+ * cover and frames sampled while the video plays (see post-media.js)
+ * 
+ * @param {string} postId - Post identifier (sampling stops if it leaves the screen)
+ * @param {Object} media - Media from extractMedia()
+ * @returns {Promise<string[]>} Image URLs; video frames are data: URLs
+ */
+async function collectMediaImages(postId, media) {
+  const imageUrls = media.imageUrls.slice(0, MAX_CAROUSEL_SLIDES);
+  
+  if (media.type === 'video' && media.video) {
+    const frames = await sampleVideoFrames(media.video, () => cancelledPostIds.has(postId));
+    if (DEBUG) console.log(`   🎞️ Sampled ${frames.length} video frame(s)`);
+    imageUrls.push(...frames);
+  }
+  return imageUrls;
+}
+
+/**
+ * Extract caption text from a post element using the active surface's extractor
+ * 
+ * @param {HTMLElement} element - The post element
+ * @returns {string} Caption text or empty string
+ */
+function extractCaption(element) {
+  return getSurfaceExtractor().extractCaption(element) || '';
+}
+
+// ============================================================================
+// MAIN ANALYSIS PIPELINE
+// ============================================================================
+
+/**
+ * Analyze a single post
+ * This is the main processing function that:
+ * 1. Extracts content from the post
+ * 2. Attempts AI analysis if available
+ * 3. Falls back to keyword analysis
+ * 4. Updates category counts
+ * 
+ * @param {HTMLElement} element - The post element to analyze
+ * @param {string} postId - Unique identifier for the post
+ * @param {string} surface - Surface of the current site the post was seen on
+ * @returns {Promise<void>}
+ */
+async function analyzePost(element, postId, surface) {
+  // Skip if already processed
+  if (processedContent.has(postId)) {
+    return;
+  }
+  
+  processedContent.add(postId);
+  
+  // Extract content from the post
+  const imageUrl = extractImageUrl(element);
+  const caption = extractCaption(element);
+  const media = extractMedia(element);
+  const author = currentSite.extractAuthor(element);
+  
+  if (DEBUG) {
+    console.log(`📸 Analyzing post: ${postId} (${media.type})`);
+    // Only whether they were found - captions and image URLs stay out of logs
+    console.log(`   Image: ${imageUrl ? 'found' : 'none'}, caption: ${caption.length} chars`);
+  }
+  
+  recordExtractionHealth(postId, surface, imageUrl, caption);
+  
+  // Remember the post so it can be corrected from the widget
+  recentPosts.delete(postId);
+  recentPosts.set(postId, { caption, imageUrl });
+  if (recentPosts.size > RECENT_POSTS_SHOWN) {
+    recentPosts.delete(recentPosts.keys().next().value);
+  }
+  
+  // Try AI analysis first if we have images and an AI backend
+  let analysis;
+  if (media.imageUrls.length === 0 && !media.video) {
+    analysis = { fallbackReason: 'no-image' };
+  } else if (!hasImageAnalysis()) {
+    analysis = { fallbackReason: 'no-provider' };
+  } else if (cancelledPostIds.has(postId)) {
+    analysis = { fallbackReason: 'cancelled' };
+  } else {
+    const imageUrls = await collectMediaImages(postId, media);
+    if (cancelledPostIds.has(postId)) {
+      analysis = { fallbackReason: 'cancelled' };
+    } else if (imageUrls.length === 0) {
+      analysis = { fallbackReason: 'no-image' };
+    } else {
+      analysis = await analyzeImages(postId, imageUrls, caption);
+    }
+  }
+  
+  // Provenance: how this classification was made
+  const provenance = {
+    method: analysis.fromCache ? 'cache' : 'ai',
+    provider: analysis.provider || null,
+    models: analysis.models || [],
+    generatedCaption: analysis.generatedCaption || null,
+    fallbackReason: null
+  };
+  
+  let labels = analysis.labels;
+  let runnerUp = null;
+  
+  if (labels) {
+    if (DEBUG) console.log(`   ✨ AI category: ${labels[0].category}`);
+  } else {
+    // No AI available or AI failed, fall back to keywords
+    const result = categorizeByKeywords(caption);
+    labels = keywordLabels(result);
+    runnerUp = result.runnerUp?.category || null;
+    
+    provenance.method = 'keyword';
+    provenance.fallbackReason = analysis.fallbackReason;
+    if (DEBUG) console.log(`   📝 Keyword category: ${labels[0].category} (runner-up: ${runnerUp}, reason: ${analysis.fallbackReason})`);
+  }
+  
+  // Persist the classification (another tab may have stored it first).
+  // The site ID may have turned up while the post was being analysed.
+  const record = await savePostRecordIfNew({
+    id: postAliases.get(postId) || postId,
+    category: labels[0].category,
+    labels: labels.map(label => ({ category: label.category, score: roundScore(label.score) })),
+    confidence: roundScore(labels[0].score),
+    timestamp: Date.now(),
+    platform: currentSite.id,
+    surface,
+    mediaType: media.type,
+    author: author?.handle || null,
+    authorVerified: author?.verified === true,
+    runnerUp,
+    ...provenance
+  });
+  
+  applyPostRecord(record);
+}
+
+/**
+ * Note what could be extracted from a new post, for the health warning and
+ * the totals on the settings page
+ * @param {string} postId - Post ID
+ * @param {string} surface - Surface the post was seen on
+ * @param {string|null} imageUrl - Extracted image URL
+ * @param {string} caption - Extracted caption
+ * @returns {void}
+ */
+function recordExtractionHealth(postId, surface, imageUrl, caption) {
+  const sample = {
+    surface,
+    noId: fingerprintedIds.has(postId),
+    noCaption: !caption,
+    noImage: !imageUrl
+  };
+  
+  pendingHealthSamples.push(sample);
+  recentHealthSamples.push(sample);
+  if (recentHealthSamples.length > HEALTH_WINDOW) recentHealthSamples.shift();
+}
+
+/**
+ * Write pending extraction health samples to storage
+ * @returns {Promise<void>}
+ */
+async function flushHealthSamples() {
+  const samples = pendingHealthSamples;
+  pendingHealthSamples = [];
+  
+  try {
+    await saveHealthSamples(currentSite.id, samples);
+  } catch (error) {
+    if (DEBUG) console.error('Failed to save extraction health:', error);
+  }
+}
+
+/**
+ * Add or replace a classification record in memory and refresh the counts
+ * Called for posts classified in this tab and for records stored by other tabs
+ * 
+ * @param {Object} record - Stored post record
+ * @returns {void}
+ */
+function applyPostRecord(record) {
+  postRecords.set(record.id, record);
+  processedContent.add(record.id);
+  viewedContentIds.add(record.id);
+  
+  scheduleRefresh();
+}
+
+/**
+ * Recount, redraw the widget and check interventions once the current batch
+ * of record changes has been applied (a category merge can change thousands)
+ * 
+ * @returns {void}
+ */
+function scheduleRefresh() {
+  if (refreshScheduled) return;
+  refreshScheduled = true;
+  
+  setTimeout(() => {
+    refreshScheduled = false;
+    recountCategories();
+    updateFloatingDisplay();
+    runInterventionChecks();
+  }, 0);
+}
+
+/**
+ * Get this session's post counts and minutes per category
+ * Post counts include posts classified by other tabs during the session
+ * 
+ * @returns {{posts: Object<string, number>, minutes: Object<string, number>}} Session stats
+ */
+function getSessionStats() {
+  const posts = {};
+  const minutes = {};
+  
+  for (const record of postRecords.values()) {
+    if (record.timestamp < sessionStartedAt) continue;
+    
+    for (const { category, weight } of getRecordAttribution(record)) {
+      posts[category] = (posts[category] || 0) + weight;
+    }
+  }
+  
+  for (const [category, dwellMs] of Object.entries(sessionDwellMs)) {
+    minutes[category] = dwellMs / 60000;
+  }
+  
+  return { posts, minutes };
+}
+
+/**
+ * Get the on-screen time for posts first seen today (local time)
+ * @returns {number} Milliseconds
+ */
+function getTodayDwellMs() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  let dwellMs = 0;
+  for (const record of postRecords.values()) {
+    if (record.timestamp >= today.getTime()) {
+      dwellMs += record.dwellMs || 0;
+    }
+  }
+  return dwellMs;
+}
+
+/**
+ * Rebuild every category count, on-screen time and confidence from the
+ * stored records
+ * Multi-label records are split between their categories, so counts can be
+ * fractional. Records whose category no longer exists are counted as 'other'.
+ * 
+ * @returns {void}
+ */
+function recountCategories() {
+  for (const category in contentCategories) {
+    contentCategories[category].count = 0;
+    contentCategories[category].dwellMs = 0;
+    contentCategories[category].confidenceSum = 0;
+    contentCategories[category].scoredCount = 0;
+  }
+  methodCounts = {};
+  mediaStats = {};
+  
+  for (const record of postRecords.values()) {
+    // Records from before provenance was stored used 'local' for on-device AI
+    const method = record.method === 'local' ? 'ai' : (record.method || 'keyword');
+    methodCounts[method] = (methodCounts[method] || 0) + 1;
+    
+    // Records from before media types were stored aren't counted by type
+    if (record.mediaType) {
+      const stats = mediaStats[record.mediaType] || (mediaStats[record.mediaType] = { count: 0, dwellMs: 0 });
+      stats.count++;
+      stats.dwellMs += record.dwellMs || 0;
+    }
+    
+    for (const attribution of getRecordAttribution(record)) {
+      const category = contentCategories[attribution.category] ? attribution.category : 'other';
+      contentCategories[category].count += attribution.weight;
+      contentCategories[category].dwellMs += (record.dwellMs || 0) * attribution.weight;
+    }
+    
+    // Confidence is averaged over the posts whose top label is the category
+    const top = contentCategories[record.category] ? record.category : 'other';
+    if (typeof record.confidence === 'number') {
+      contentCategories[top].confidenceSum += record.confidence;
+      contentCategories[top].scoredCount++;
+    }
+  }
+  
+  accountStats = buildAccountStats(postRecords.values());
+}
 
+/**
+ * Load the classification history from storage and rebuild the counts
+ * Also subscribes to changes made by other tabs so counts stay in sync
+ * 
+ * @returns {Promise<void>}
+ */
+async function loadHistory() {
   try {
-    // Step 1: Convert image to base64
-    const base64Image = await imageUrlToBase64(imageUrl);
-    if (!base64Image) {
-      return null;
+    const records = await loadPostRecords();
+    
+    for (const record of records) {
+      postRecords.set(record.id, record);
+      processedContent.add(record.id);
+      viewedContentIds.add(record.id);
+    }
+    
+    postAliases = await loadPostAliases();
+    accountTags = await loadAccountTags();
+    
+    recountCategories();
+    if (DEBUG) console.log(`✅ Loaded ${records.length} stored classifications`);
+  } catch (error) {
+    console.error('Failed to load classification history:', error);
+  }
+  
+  onPostRecordsChanged((record, postId) => {
+    if (record) {
+      applyPostRecord(record);
+    } else {
+      postRecords.delete(postId);
+      processedContent.delete(postId);
+      viewedContentIds.delete(postId);
+      scheduleRefresh();
+    }
+  });
+  
+  onPostAliasesChanged((fingerprint, postId) => {
+    if (postId) {
+      postAliases.set(fingerprint, postId);
+    } else {
+      postAliases.delete(fingerprint);
+    }
+  });
+  
+  onAccountTagsChanged((tags) => {
+    accountTags = tags;
+    scheduleRefresh();
+  });
+}
+
+/**
+ * Queue a post for analysis when it first appears on screen
+ * Posts already viewed (in any tab) or already queued are ignored
+ * 
+ * @param {HTMLElement} element - The post element
+ * @param {string} postId - Unique identifier for the post
+ * @returns {void}
+ */
+function enqueueAnalysis(element, postId) {
+  // Back on screen before its analysis finished: analyse the image after all
+  cancelledPostIds.delete(postId);
+  
+  if (viewedContentIds.has(postId) || queuedPostIds.has(postId)) {
+    return;
+  }
+  
+  queuedPostIds.add(postId);
+  analysisQueue.push({ element, postId, surface: currentSurface });
+  processAnalysisQueue();
+}
+
+/**
+ * Start analysing queued posts, up to MAX_PARALLEL_ANALYSES at once
+ * Called again whenever an analysis finishes
+ * 
+ * @returns {void}
+ */
+function processAnalysisQueue() {
+  while (analysisQueue.length > 0 && activeAnalyses < MAX_PARALLEL_ANALYSES) {
+    const { element, postId, surface } = analysisQueue.shift();
+    
+    if (viewedContentIds.has(postId)) {
+      queuedPostIds.delete(postId);
+      continue;
+    }
+    
+    viewedContentIds.add(postId);
+    activeAnalyses++;
+    
+    analyzePost(element, postId, surface)
+      .catch(error => console.error('Error analyzing post:', error))
+      .finally(() => {
+        activeAnalyses--;
+        queuedPostIds.delete(postId);
+        cancelledPostIds.delete(postId);
+        processAnalysisQueue();
+      });
+  }
+}
+
+/**
+ * Stop waiting for a post's image analysis because it left the screen
+ * The post is still classified, from its caption keywords
+ * 
+ * @param {string} postId - Post identifier
+ * @returns {void}
+ */
+function cancelPendingAnalysis(postId) {
+  if (!queuedPostIds.has(postId)) return;
+  
+  cancelledPostIds.add(postId);
+  chrome.runtime.sendMessage({ action: 'cancelAnalysis', postId }).catch(() => {});
+}
+
+// ============================================================================
+// VISIBILITY ENGINE
+// ============================================================================
+
+/**
+ * Create the IntersectionObserver that drives analysis and dwell timing
+ * Every post element is registered once; after that only enter/exit events
+ * trigger work, so nothing re-queries or measures the whole feed.
+ * 
+ * @returns {void}
+ */
+function setupVisibilityEngine() {
+  visibilityObserver = new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+      handleVisibilityChange(entry);
+    }
+  }, {
+    threshold: [0, 0.25, 0.5, 0.75, 1]
+  });
+  
+  // Time only counts while the tab is actually in front of the user
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      for (const postId of lookedAtPostIds) {
+        startDwellTimer(postId);
+      }
+    } else {
+      for (const postId of lookedAtPostIds) {
+        stopDwellTimer(postId);
+      }
+      flushDwellTime();
+    }
+  });
+  
+  window.addEventListener('pagehide', () => {
+    for (const postId of lookedAtPostIds) {
+      stopDwellTimer(postId);
+    }
+    flushDwellTime();
+    flushHealthSamples();
+  });
+  
+  setInterval(() => {
+    flushDwellTime();
+    flushHealthSamples();
+  }, DWELL_FLUSH_INTERVAL);
+  
+  if (DEBUG) console.log('✅ Visibility engine attached');
+}
+
+/**
+ * React to a post entering, leaving or changing how much of it is on screen
+ * - Enter: resolve the post ID and queue it for analysis
+ * - Looked at: at least half of the post is visible, or it fills at least
+ *   half of the viewport (for posts taller than the screen) → dwell timer runs
+ * - Exit: stop the dwell timer
+ * 
+ * @param {IntersectionObserverEntry} entry - Visibility change for one post element
+ * @returns {void}
+ */
+function handleVisibilityChange(entry) {
+  const element = entry.target;
+  const isOnScreen = entry.isIntersecting && entry.boundingClientRect.height > MIN_POST_HEIGHT;
+  let postId = onScreenPostIds.get(element);
+  
+  if (!isOnScreen) {
+    markOffScreen(element);
+    return;
+  }
+  
+  if (!postId) {
+    // Element just entered the screen
+    postId = extractPostId(element);
+    if (!postId) {
+      // Nothing rendered yet; retried as the page changes (resolvePendingPosts)
+      unresolvedPosts.set(element, entry);
+      return;
+    }
+    unresolvedPosts.delete(element);
+    onScreenPostIds.set(element, postId);
+    enqueueAnalysis(element, postId);
+  }
+  
+  const isLookedAt = (
+    entry.intersectionRatio >= DWELL_VISIBILITY_THRESHOLD ||
+    entry.intersectionRect.height >= window.innerHeight * DWELL_VISIBILITY_THRESHOLD
+  );
+  
+  if (isLookedAt) {
+    lookedAtPostIds.add(postId);
+    startDwellTimer(postId);
+  } else {
+    lookedAtPostIds.delete(postId);
+    stopDwellTimer(postId);
+  }
+}
+
+/**
+ * Find post elements inside a node and register each with the visibility observer
+ * Uses the active surface's post finder
+ * 
+ * @param {Element|Document} root - Node to search (the node itself is included)
+ * @returns {void}
+ */
+function registerPosts(root) {
+  if (!visibilityObserver) return;
+  
+  for (const post of getSurfaceExtractor().findPosts(root)) {
+    if (registeredPosts.has(post)) continue;
+    
+    registeredPosts.add(post);
+    visibilityObserver.observe(post);
+  }
+}
+
+/**
+ * Stop observing the post elements inside a node removed from the page
+ * The removed subtree is walked rather than searched with findPosts(): a
+ * detached node has no layout, so viewport containers can't be found again
+ * 
+ * @param {Element} root - Removed node
+ * @returns {void}
+ */
+function unregisterRemovedPosts(root) {
+  if (!visibilityObserver || root.isConnected) return; // Moved, not removed
+  
+  for (const element of [root, ...root.querySelectorAll('*')]) {
+    if (!registeredPosts.has(element)) continue;
+    
+    markOffScreen(element);
+    registeredPosts.delete(element);
+    visibilityObserver.unobserve(element);
+  }
+}
+
+/**
+ * Stop tracking an element as on screen and stop its dwell timer
+ * @param {HTMLElement} element - The post element
+ * @returns {void}
+ */
+function markOffScreen(element) {
+  unresolvedPosts.delete(element);
+  
+  const postId = onScreenPostIds.get(element);
+  if (!postId) return;
+  
+  onScreenPostIds.delete(element);
+  lookedAtPostIds.delete(postId);
+  stopDwellTimer(postId);
+  cancelPendingAnalysis(postId);
+}
+
+/**
+ * Note which pending posts (on screen but unidentified, or known by their
+ * fingerprint) a batch of page changes touched, and check them once the
+ * page settles
+ * Content renders bit by bit, so an ID may turn up in a later change; posts
+ * nothing changed in are not looked at again
+ * 
+ * @param {MutationRecord[]} mutations - Page changes
+ * @returns {void}
+ */
+function notePendingPostChanges(mutations) {
+  const pending = new Set(unresolvedPosts.keys());
+  for (const [element, postId] of onScreenPostIds) {
+    if (isFingerprintId(postId)) pending.add(element);
+  }
+  if (pending.size === 0) return;
+  
+  const targets = new Set(mutations.map(mutation => mutation.target));
+  for (const target of targets) {
+    for (let node = target; node; node = node.parentElement) {
+      if (pending.has(node)) {
+        changedPendingPosts.add(node);
+        break;
+      }
     }
+  }
+  schedulePendingPostCheck();
+}
 
-    if (DEBUG) console.log('🔍 Starting AI image analysis...');
-
-    // Step 2: Generate image caption using BLIP model
-    const captionResponse = await fetch(
-      `https://api-inference.huggingface.co/models/${CAPTION_MODEL}`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiToken}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          inputs: base64Image,
-          options: { wait_for_model: true }
-        })
+/**
+ * Check the changed pending posts on the next frame (at most once a frame)
+ * @returns {void}
+ */
+function schedulePendingPostCheck() {
+  if (pendingCheckScheduled || changedPendingPosts.size === 0) return;
+  pendingCheckScheduled = true;
+  
+  requestAnimationFrame(() => {
+    pendingCheckScheduled = false;
+    const elements = changedPendingPosts;
+    changedPendingPosts = new Set();
+    resolvePendingPosts(elements);
+  });
+}
+
+/**
+ * Retry on-screen posts that couldn't be identified, and move posts known
+ * by their fingerprint to their site ID once it appears
+ * 
+ * @param {Iterable<HTMLElement>} elements - Pending posts that changed
+ * @returns {void}
+ */
+function resolvePendingPosts(elements) {
+  for (const element of elements) {
+    const entry = unresolvedPosts.get(element);
+    if (entry) {
+      if (!element.isConnected) {
+        unresolvedPosts.delete(element);
+      } else if (extractPostId(element)) {
+        handleVisibilityChange(entry);
       }
-    );
-
-    if (!captionResponse.ok) {
-      if (DEBUG) console.error('Caption API error:', captionResponse.status);
-      return null;
+      continue;
     }
-
-    const captionResults = await captionResponse.json();
-    const generatedCaption = captionResults[0]?.generated_text || '';
     
-    if (DEBUG) console.log('Generated caption:', generatedCaption);
-
-    // Step 3: Combine AI caption with original caption for better context
-    const fullText = `${generatedCaption} ${caption}`.trim();
-
-    // Step 4: Classify the text into our categories
-    const categories = Object.keys(contentCategories).filter(c => c !== 'other');
+    const postId = onScreenPostIds.get(element);
+    if (!postId || !isFingerprintId(postId)) continue;
     
-    const classificationResponse = await fetch(
-      `https://api-inference.huggingface.co/models/${CLASSIFIER_MODEL}`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiToken}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          inputs: fullText,
-          parameters: {
-            candidate_labels: categories,
-            multi_label: false
-          },
-          options: { wait_for_model: true }
-        })
-      }
-    );
-
-    if (!classificationResponse.ok) {
-      if (DEBUG) console.error('Classification API error:', classificationResponse.status);
-      return null;
-    }
-
-    const classificationResults = await classificationResponse.json();
+    const siteId = getSurfaceExtractor().extractId(element);
+    if (!siteId) continue;
     
-    // Step 5: Return the highest confidence category if above threshold
-    if (classificationResults?.labels?.length > 0) {
-      const topCategory = classificationResults.labels[0];
-      const topScore = classificationResults.scores[0];
-      
-      if (topScore > CONFIDENCE_THRESHOLD) {
-        if (DEBUG) {
-          console.log(`✅ AI classified as: ${topCategory} (${(topScore * 100).toFixed(1)}% confidence)`);
-        }
-        return topCategory;
-      }
+    // The element is the post that was fingerprinted, even if its caption
+    // expanded or comments loaded since - unless it now shows another image
+    // (a reused element showing another post)
+    if (fingerprintedAssets.get(element) === imageAssetId(extractImageUrl(element))) {
+      reconcilePost(element, postId, siteId);
     }
-
-    return null;
-  } catch (error) {
-    if (DEBUG) console.error('AI analysis failed:', error);
-    return null;
   }
 }
 
 /**
- * Fallback categorization using keyword matching in captions
- * Used when AI is unavailable or fails
+ * Move an on-screen post from its fingerprint to its site ID
+ * Its timers, pending time and record move along; if the analysis is
+ * still running it stores the record under the site ID (see analyzePost)
  * 
- * @param {string} caption - Text to analyze
- * @returns {string} Category name
+ * @param {HTMLElement} element - The post element
+ * @param {string} fingerprint - ID the post had so far
+ * @param {string} siteId - ID the site gave it
+ * @returns {Promise<void>}
  */
-function categorizeByKeywords(caption) {
-  const text = (caption || '').toLowerCase();
+async function reconcilePost(element, fingerprint, siteId) {
+  if (DEBUG) console.log(`🔗 ${fingerprint} is ${siteId}`);
   
-  // Check each category's keywords
-  for (const [category, data] of Object.entries(contentCategories)) {
-    if (category === 'other') continue;
-    
-    // If any keyword matches, return this category
-    if (data.keywords.some(keyword => text.includes(keyword))) {
-      return category;
-    }
+  postAliases.set(fingerprint, siteId);
+  onScreenPostIds.set(element, siteId);
+  
+  if (lookedAtPostIds.delete(fingerprint)) {
+    stopDwellTimer(fingerprint);
+    lookedAtPostIds.add(siteId);
+    startDwellTimer(siteId);
+  }
+  
+  const dwellMs = pendingDwell.get(fingerprint);
+  if (dwellMs) {
+    pendingDwell.delete(fingerprint);
+    pendingDwellFlushes.delete(fingerprint);
+    pendingDwell.set(siteId, (pendingDwell.get(siteId) || 0) + dwellMs);
+  }
+  
+  if (recentPosts.has(fingerprint)) {
+    recentPosts.set(siteId, recentPosts.get(fingerprint));
+    recentPosts.delete(fingerprint);
+  }
+  
+  if (viewedContentIds.has(fingerprint)) {
+    viewedContentIds.add(siteId);
+    processedContent.add(siteId);
   }
   
-  return 'other';
+  try {
+    const record = await reconcilePostRecord(fingerprint, siteId);
+    if (record) applyPostRecord(record);
+  } catch (error) {
+    console.error('Failed to reconcile post IDs:', error);
+  }
 }
 
-// ============================================================================
-// CONTENT EXTRACTION
-// ============================================================================
-
 /**
- * Extract a unique ID from an Instagram post element
- * Try multiple methods to ensure we don't count the same post twice
+ * Handle in-app navigation (the supported sites never reload the page)
+ * Switches surface extractors and re-resolves on-screen posts, because
+ * full-screen viewers (Reels, Stories) reuse the same element for the next
+ * item and only the URL changes
  * 
- * @param {HTMLElement} element - The post element
- * @returns {string} Unique identifier for the post
+ * @returns {void}
  */
-function extractPostId(element) {
-  try {
-    const article = element.closest('article') || element;
-    
-    // Method 1: Look for Instagram's post/reel URLs
-    const links = article.querySelectorAll('a[href*="/p/"], a[href*="/reel/"]');
-    for (const link of links) {
-      const match = link.href.match(/\/(p|reel)\/([^\/\?]+)/);
-      if (match) return match[2];
+function handleNavigation() {
+  if (window.location.href === currentUrl) return;
+  
+  currentUrl = window.location.href;
+  currentSurface = currentSite.detectSurface(window.location.pathname);
+  if (DEBUG) console.log(`🧭 Surface: ${currentSite.id}/${currentSurface}`);
+  
+  updateFloatingDisplay();
+  if (!isTrackedPage()) {
+    // e.g. from Shorts to a normal YouTube video: nothing on screen counts,
+    // and posts are observed afresh when coming back
+    for (const element of [...onScreenPostIds.keys(), ...unresolvedPosts.keys()]) {
+      markOffScreen(element);
     }
+    visibilityObserver?.disconnect();
+    registeredPosts = new WeakSet();
+    return;
+  }
+  
+  registerPosts(document);
+  
+  for (const [element, oldId] of Array.from(onScreenPostIds.entries())) {
+    const newId = extractPostId(element);
+    if (newId === oldId) continue;
     
-    // Method 2: Use image source as ID
-    const img = article.querySelector('img[src]');
-    if (img && img.src) {
-      return img.src.split('/').pop().split('?')[0];
-    }
+    const wasLookedAt = lookedAtPostIds.has(oldId);
+    markOffScreen(element);
+    if (!newId) continue;
     
-    // Method 3: Generate ID from content hash
-    const text = article.textContent || '';
-    const hash = text.substring(0, 50).replace(/\s+/g, '');
-    return `post-${Date.now()}-${hash}`;
-  } catch (error) {
-    // Fallback: Random ID
-    return `post-${Date.now()}-${Math.random()}`;
+    onScreenPostIds.set(element, newId);
+    enqueueAnalysis(element, newId);
+    if (wasLookedAt) {
+      lookedAtPostIds.add(newId);
+      startDwellTimer(newId);
+    }
+  }
+  
+  // The new URL may identify posts that had nothing to go on
+  for (const element of unresolvedPosts.keys()) {
+    changedPendingPosts.add(element);
   }
+  schedulePendingPostCheck();
 }
 
 /**
- * Extract image URL from a post element
- * Instagram uses various image formats, so we try multiple selectors
- * 
- * @param {HTMLElement} element - The post element
- * @returns {string|null} Image URL or null if not found
+ * Start the dwell timer for a visible post (no-op if already running)
+ * @param {string} postId - Unique identifier for the post
+ * @returns {void}
  */
-function extractImageUrl(element) {
-  const selectors = [
-    'img[srcset]',  // High-res images
-    'img[src]',      // Regular images
-    'video[poster]'  // Video thumbnails
-  ];
-  
-  for (const selector of selectors) {
-    const img = element.querySelector(selector);
-    if (img) {
-      if (img.srcset) {
-        // Get highest quality from srcset
-        const srcsetParts = img.srcset.split(',');
-        const lastPart = srcsetParts[srcsetParts.length - 1].trim();
-        return lastPart.split(' ')[0];
-      } else if (img.src && !img.src.includes('data:')) {
-        return img.src;
-      } else if (img.poster) {
-        return img.poster;
-      }
-    }
-  }
+function startDwellTimer(postId) {
+  if (dwellTimers.has(postId) || document.visibilityState !== 'visible') return;
+  dwellTimers.set(postId, performance.now());
+}
+
+/**
+ * Stop the dwell timer for a post and add the elapsed time to the pending total
+ * @param {string} postId - Unique identifier for the post
+ * @returns {void}
+ */
+function stopDwellTimer(postId) {
+  const startedAt = dwellTimers.get(postId);
+  if (startedAt === undefined) return;
   
-  return null;
+  dwellTimers.delete(postId);
+  const elapsed = performance.now() - startedAt;
+  pendingDwell.set(postId, (pendingDwell.get(postId) || 0) + elapsed);
 }
 
 /**
- * Extract caption text from a post element
- * Instagram's DOM structure varies, so we try multiple selectors
+ * Write accumulated on-screen time to storage, after any write in progress
+ * Each write reads and rewrites records, so overlapping writes would lose time
  * 
- * @param {HTMLElement} element - The post element
- * @returns {string} Caption text or empty string
+ * @returns {Promise<void>}
  */
-function extractCaption(element) {
-  const selectors = [
-    'h1',                              // Sometimes captions are in h1
-    'span[dir="auto"]',                // Common caption container
-    '[data-testid="post-caption"]',   // Test ID (may change)
-    'div[style*="line-height"] span'   // Style-based selector
-  ];
+function flushDwellTime() {
+  dwellFlush = dwellFlush
+    .then(writeDwellTime)
+    .catch(error => {
+      if (DEBUG) console.error('Failed to flush dwell time:', error);
+    });
+  return dwellFlush;
+}
+
+/**
+ * Write accumulated on-screen time to storage
+ * Running timers are checkpointed so long views show up while still on screen.
+ * Time for posts whose classification is not stored yet is kept for the next
+ * flushes, and dropped after DWELL_MAX_PENDING_FLUSHES (the post was never
+ * classified, e.g. it left the screen before its analysis ran).
+ * 
+ * @returns {Promise<void>}
+ */
+async function writeDwellTime() {
+  for (const postId of Array.from(dwellTimers.keys())) {
+    stopDwellTimer(postId);
+    startDwellTimer(postId);
+  }
   
-  let caption = '';
+  const entries = Array.from(pendingDwell.entries());
+  pendingDwell.clear();
   
-  for (const selector of selectors) {
+  for (const [postId, dwellMs] of entries) {
+    if (dwellMs < 1) continue;
+    
     try {
-      const elements = element.querySelectorAll(selector);
-      for (const el of elements) {
-        const text = el.textContent || '';
-        // Use the longest text we find (likely the actual caption)
-        if (text.length > caption.length && text.length > 10) {
-          caption = text;
+      const stored = await addPostDwellTime(postId, Math.round(dwellMs));
+      if (!stored) {
+        const flushes = (pendingDwellFlushes.get(postId) || 0) + 1;
+        if (flushes < DWELL_MAX_PENDING_FLUSHES) {
+          pendingDwell.set(postId, (pendingDwell.get(postId) || 0) + dwellMs);
+          pendingDwellFlushes.set(postId, flushes);
+        } else {
+          pendingDwellFlushes.delete(postId);
         }
+        continue;
+      }
+      pendingDwellFlushes.delete(postId);
+      
+      const record = postRecords.get(postId) || { category: 'other' };
+      for (const { category, weight } of getRecordAttribution(record)) {
+        sessionDwellMs[category] = (sessionDwellMs[category] || 0) + dwellMs * weight;
       }
     } catch (error) {
-      // Continue with next selector
+      if (DEBUG) console.error('Failed to store dwell time:', error);
     }
   }
   
-  return caption;
+  runInterventionChecks();
+}
+
+/**
+ * Format a duration for display in the widget
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "45s" or "3.5 min"
+ */
+function formatDwellTime(ms) {
+  if (ms < 60000) {
+    return `${Math.round(ms / 1000)}s`;
+  }
+  return `${(ms / 60000).toFixed(1)} min`;
 }
 
 // ============================================================================
-// MAIN ANALYSIS PIPELINE
+// MANUAL CORRECTIONS
 // ============================================================================
 
 /**
- * Analyze a single Instagram post
- * This is the main processing function that:
- * 1. Extracts content from the post
- * 2. Attempts AI analysis if available
- * 3. Falls back to keyword analysis
- * 4. Updates category counts
+ * Reassign a post to the category chosen by the user
+ * The stored record is updated (other tabs and the dashboard follow) and the
+ * correction is learned from (see feedback.js)
  * 
- * @param {HTMLElement} element - The post element to analyze
  * @param {string} postId - Unique identifier for the post
+ * @param {string} category - Category chosen by the user
  * @returns {Promise<void>}
  */
-async function analyzePost(element, postId) {
-  // Skip if already processed
-  if (processedContent.has(postId)) {
-    return;
+async function correctPost(postId, category) {
+  try {
+    // Learn from the redacted caption's words; keep its text only if allowed
+    const { keepCorrectionCaptions } = await loadPrivacySettings();
+    const caption = redactCaption(recentPosts.get(postId)?.caption);
+    const record = await correctPostRecord(postId, category, {
+      caption: keepCorrectionCaptions ? caption : '',
+      terms: Array.from(extractFeedbackTerms(caption))
+    });
+    if (record) {
+      if (DEBUG) console.log(`✋ Post ${postId} corrected to ${category}`);
+      applyPostRecord(record);
+    }
+  } catch (error) {
+    console.error('Failed to save correction:', error);
   }
+}
+
+/**
+ * Rebuild the "Recent posts" list in the widget
+ * Skipped while the user is choosing a category, so the menu stays open
+ * 
+ * @returns {void}
+ */
+function renderRecentPosts() {
+  const list = floatingDisplay?.querySelector('.recent-posts');
+  if (!list || list.contains(document.activeElement)) return;
   
-  processedContent.add(postId);
-  
-  // Extract content from the post
-  const imageUrl = extractImageUrl(element);
-  const caption = extractCaption(element);
+  list.innerHTML = '';
+  const postIds = studyFeatures.corrections
+    ? Array.from(recentPosts.keys()).reverse().filter(postId => postRecords.has(postId))
+    : [];
   
-  if (DEBUG) {
-    console.log(`📸 Analyzing post: ${postId}`);
-    if (imageUrl) console.log(`   Image: ${imageUrl.substring(0, 50)}...`);
-    if (caption) console.log(`   Caption: ${caption.substring(0, 50)}...`);
-  }
+  list.style.display = postIds.length > 0 ? 'flex' : 'none';
+  if (postIds.length === 0) return;
   
-  let category = 'other';
+  const heading = document.createElement('div');
+  Object.assign(heading.style, {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: '11px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  });
+  heading.textContent = 'Recent posts';
+  list.appendChild(heading);
   
-  // Try AI analysis first if we have an image and API token
-  if (imageUrl && apiToken) {
-    const aiCategory = await analyzeImageWithAI(imageUrl, caption);
-    if (aiCategory) {
-      category = aiCategory;
-      if (DEBUG) console.log(`   ✨ AI category: ${category}`);
+  for (const postId of postIds) {
+    const record = postRecords.get(postId);
+    const { caption, imageUrl } = recentPosts.get(postId);
+    
+    const row = document.createElement('div');
+    Object.assign(row.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px'
+    });
+    row.title = caption || postId;
+    
+    // Thumbnail, or the category emoji when the post has no image
+    const thumbnail = document.createElement(imageUrl ? 'img' : 'span');
+    Object.assign(thumbnail.style, {
+      width: '28px',
+      height: '28px',
+      flexShrink: '0',
+      borderRadius: '4px',
+      objectFit: 'cover',
+      textAlign: 'center',
+      lineHeight: '28px'
+    });
+    if (imageUrl) {
+      thumbnail.src = imageUrl;
+      thumbnail.alt = '';
     } else {
-      // AI failed, fall back to keywords
-      category = categorizeByKeywords(caption);
-      if (DEBUG) console.log(`   📝 Keyword category: ${category}`);
+      thumbnail.textContent = contentCategories[record.category]?.emoji || '📌';
     }
-  } else {
-    // No AI available, use keywords only
-    category = categorizeByKeywords(caption);
-    if (DEBUG) console.log(`   📝 Keyword category: ${category}`);
+    
+    // Category picker; changing it stores a correction
+    const picker = document.createElement('select');
+    Object.assign(picker.style, {
+      flex: '1',
+      minWidth: '0',
+      padding: '4px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      borderRadius: '6px',
+      color: '#fff',
+      fontSize: '12px'
+    });
+    for (const [category, data] of Object.entries(contentCategories)) {
+      const option = document.createElement('option');
+      option.value = category;
+      option.textContent = `${data.emoji} ${category}`;
+      option.style.color = '#000';
+      picker.appendChild(option);
+    }
+    picker.value = contentCategories[record.category] ? record.category : 'other';
+    picker.addEventListener('change', () => {
+      correctPost(postId, picker.value);
+      picker.blur();
+    });
+    
+    // Marks posts the user already corrected
+    const marker = document.createElement('span');
+    Object.assign(marker.style, {
+      width: '16px',
+      fontSize: '12px',
+      textAlign: 'center'
+    });
+    marker.textContent = record.method === 'manual' ? '✋' : '';
+    marker.title = record.method === 'manual' ? 'Corrected by you' : '';
+    
+    row.appendChild(thumbnail);
+    row.appendChild(picker);
+    row.appendChild(marker);
+    list.appendChild(row);
   }
-  
-  // Update the count for this category
-  contentCategories[category].count++;
-  
-  // Refresh the display
-  updateFloatingDisplay();
 }
 
+// ============================================================================
+// USER INTERFACE
+// ============================================================================
+
 /**
- * Scan the page for visible Instagram posts and analyze them
- * This function:
- * 1. Finds all posts on the page
- * 2. Checks which ones are visible in the viewport
- * 3. Analyzes new posts that haven't been processed yet
+ * Render the accounts seen most, with their category mix and a picker to
+ * tag them, and the posts per relationship type
+ * Skipped while a picker is open, so redraws don't close it
  * 
- * @returns {Promise<void>}
+ * @returns {void}
  */
-async function scanVisibleContent() {
-  if (DEBUG) console.log('Scanning for visible content...');
-  
-  // Find all posts on the page (Instagram uses various selectors)
-  const postSelectors = [
-    'article',                  // Main post container
-    'div[role="article"]',     // Alternative selector
-    '[data-testid="post"]'     // Test ID (may change)
-  ];
-  
-  let posts = [];
-  for (const selector of postSelectors) {
-    posts = document.querySelectorAll(selector);
-    if (posts.length > 0) break;
-  }
+function renderTopAccounts() {
+  const list = floatingDisplay?.querySelector('.top-accounts');
+  if (!list || list.contains(document.activeElement)) return;
   
-  if (DEBUG) console.log(`Found ${posts.length} posts on page`);
+  list.innerHTML = '';
+  const accounts = getTopAccounts(accountStats);
   
-  let newPostCount = 0;
+  list.style.display = accounts.length > 0 ? 'flex' : 'none';
+  if (accounts.length === 0) return;
   
-  for (const post of posts) {
-    try {
-      // Check if post is visible in viewport
-      const rect = post.getBoundingClientRect();
-      const isVisible = (
-        rect.top < window.innerHeight &&
-        rect.bottom > 0 &&
-        rect.height > 100  // Minimum height to avoid fragments
-      );
-      
-      if (isVisible) {
-        const postId = extractPostId(post);
-        
-        if (!viewedContentIds.has(postId)) {
-          viewedContentIds.add(postId);
-          newPostCount++;
-          await analyzePost(post, postId);
-          
-          // Rate limiting: pause between API calls
-          if (apiToken && newPostCount % 3 === 0) {
-            await new Promise(resolve => setTimeout(resolve, API_RATE_LIMIT_DELAY));
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error analyzing post:', error);
+  const heading = document.createElement('div');
+  Object.assign(heading.style, {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: '11px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  });
+  heading.textContent = 'Top accounts';
+  list.appendChild(heading);
+  
+  for (const account of accounts) {
+    const row = document.createElement('div');
+    Object.assign(row.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      fontSize: '12px'
+    });
+    
+    // Handle, with a tick for verified accounts
+    const name = document.createElement('span');
+    Object.assign(name.style, {
+      flex: '1',
+      minWidth: '0',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
+      color: '#e0e0e0'
+    });
+    name.textContent = `@${account.handle}${account.verified ? ' ✓' : ''}`;
+    name.title = account.verified ? 'Verified account' : '';
+    
+    // Main categories of the account's posts
+    const mix = document.createElement('span');
+    Object.assign(mix.style, {
+      color: 'rgba(255, 255, 255, 0.6)',
+      fontSize: '11px'
+    });
+    const shares = getCategoryMix(account.categories);
+    mix.textContent = shares
+      .map(({ category, share }) => `${contentCategories[category]?.emoji || '📌'}${Math.round(share * 100)}%`)
+      .join(' ');
+    mix.title = shares.map(({ category, share }) => `${category} ${Math.round(share * 100)}%`).join(', ');
+    
+    // Relationship picker; changing it stores the tag
+    const picker = document.createElement('select');
+    Object.assign(picker.style, {
+      padding: '2px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      borderRadius: '6px',
+      color: '#fff',
+      fontSize: '11px'
+    });
+    for (const type of ['', ...Object.keys(ACCOUNT_TYPES)]) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = type ? getAccountTypeLabel(type) : '—';
+      option.style.color = '#000';
+      picker.appendChild(option);
     }
+    picker.value = accountTags[account.key] || '';
+    picker.title = 'Tag this account';
+    picker.addEventListener('change', () => {
+      setAccountTag(account.key, picker.value || null)
+        .catch(error => console.error('Failed to tag account:', error));
+      picker.blur();
+    });
+    
+    // Post count badge
+    const count = document.createElement('span');
+    Object.assign(count.style, {
+      background: 'rgba(255, 255, 255, 0.15)',
+      color: '#fff',
+      padding: '2px 6px',
+      borderRadius: '10px',
+      fontSize: '11px'
+    });
+    count.textContent = account.posts;
+    
+    row.appendChild(name);
+    row.appendChild(mix);
+    row.appendChild(picker);
+    row.appendChild(count);
+    list.appendChild(row);
   }
   
-  if (DEBUG && newPostCount > 0) {
-    console.log(`✅ Analyzed ${newPostCount} new posts`);
-  }
+  // Posts per relationship type (untagged accounts last)
+  const totals = countByAccountType(accountStats, accountTags);
+  const breakdown = document.createElement('div');
+  Object.assign(breakdown.style, {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: '11px',
+    textAlign: 'center'
+  });
+  breakdown.textContent = [...Object.keys(ACCOUNT_TYPES), 'untagged']
+    .filter(type => totals[type])
+    .map(type => `${getAccountTypeLabel(type)} ${totals[type].posts}`)
+    .join(' · ');
+  list.appendChild(breakdown);
 }
 
-// ============================================================================
-// USER INTERFACE
-// ============================================================================
-
 /**
  * Create the floating display widget that shows category statistics
- * This creates a draggable, minimizable overlay on the Instagram page
+ * This creates a draggable, minimizable overlay on the page
  * 
  * @returns {void}
  */
@@ -713,7 +1776,7 @@ function createFloatingDisplay() {
     fontWeight: '600',
     letterSpacing: '0.3px'
   });
-  title.textContent = apiToken ? '🤖 AI Vision Analysis' : '📝 Text Analysis';
+  title.textContent = getAnalysisTitle();
   
   // Minimize/maximize button
   const minimizeBtn = document.createElement('button');
@@ -776,6 +1839,81 @@ function createFloatingDisplay() {
   totalCount.textContent = 'Total: 0';
   statsContainer.appendChild(totalCount);
   
+  // Today's time against the daily budget from onboarding
+  const budgetStatus = document.createElement('div');
+  budgetStatus.className = 'budget-status';
+  Object.assign(budgetStatus.style, {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: '11px',
+    textAlign: 'center',
+    marginTop: '4px'
+  });
+  statsContainer.appendChild(budgetStatus);
+  
+  // How the posts were classified
+  const methodBreakdown = document.createElement('div');
+  methodBreakdown.className = 'method-breakdown';
+  Object.assign(methodBreakdown.style, {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: '11px',
+    textAlign: 'center',
+    marginTop: '4px'
+  });
+  statsContainer.appendChild(methodBreakdown);
+  
+  // Posts and time per media type
+  const mediaBreakdown = document.createElement('div');
+  mediaBreakdown.className = 'media-breakdown';
+  Object.assign(mediaBreakdown.style, {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: '11px',
+    textAlign: 'center',
+    marginTop: '4px'
+  });
+  statsContainer.appendChild(mediaBreakdown);
+  
+  // Image analyses that failed this session
+  const failureStatus = document.createElement('div');
+  failureStatus.className = 'analysis-status';
+  Object.assign(failureStatus.style, {
+    color: '#f59e0b',
+    fontSize: '11px',
+    textAlign: 'center',
+    marginTop: '4px'
+  });
+  statsContainer.appendChild(failureStatus);
+  
+  // Posts the site adapter couldn't read properly (e.g. after a redesign)
+  const healthStatus = document.createElement('div');
+  healthStatus.className = 'health-status';
+  Object.assign(healthStatus.style, {
+    color: '#f59e0b',
+    fontSize: '11px',
+    textAlign: 'center',
+    marginTop: '4px'
+  });
+  statsContainer.appendChild(healthStatus);
+  
+  // Recent posts, for correcting their category
+  const recentList = document.createElement('div');
+  recentList.className = 'recent-posts';
+  Object.assign(recentList.style, {
+    display: 'none',
+    flexDirection: 'column',
+    gap: '6px',
+    marginBottom: '12px'
+  });
+  
+  // Accounts seen most, for tagging them by relationship
+  const accountList = document.createElement('div');
+  accountList.className = 'top-accounts';
+  Object.assign(accountList.style, {
+    display: 'none',
+    flexDirection: 'column',
+    gap: '6px',
+    marginBottom: '12px'
+  });
+  
   // Reset button
   const resetBtn = document.createElement('button');
   resetBtn.className = 'tracker-reset';
@@ -795,9 +1933,32 @@ function createFloatingDisplay() {
   });
   resetBtn.textContent = 'Reset Counts';
   
+  // History button opens the dashboard page
+  const historyBtn = document.createElement('button');
+  historyBtn.className = 'tracker-history';
+  Object.assign(historyBtn.style, {
+    width: '100%',
+    padding: '8px',
+    marginBottom: '8px',
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    color: '#fff',
+    fontSize: '12px',
+    fontWeight: '600',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+    transition: 'all 0.2s'
+  });
+  historyBtn.textContent = '📊 View History';
+  
   // Assemble the widget
   content.appendChild(categoryList);
   content.appendChild(statsContainer);
+  content.appendChild(recentList);
+  content.appendChild(accountList);
+  content.appendChild(historyBtn);
   content.appendChild(resetBtn);
   
   floatingDisplay.appendChild(header);
@@ -827,6 +1988,11 @@ function createFloatingDisplay() {
     }
   });
   
+  // History button handler
+  historyBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'openDashboard' });
+  });
+  
   // Reset button handler
   resetBtn.addEventListener('click', () => {
     if (confirm('Reset all content counts?')) {
@@ -870,13 +2036,17 @@ function updateFloatingDisplay() {
     return;
   }
   
+  // The study phase may hide the widget (tracking continues), and pages
+  // without posts don't show it
+  floatingDisplay.style.display = studyFeatures.widget && isTrackedPage() ? 'block' : 'none';
+  
   const categoryList = floatingDisplay.querySelector('.category-list');
   const totalCountEl = floatingDisplay.querySelector('.total-count');
   const title = floatingDisplay.querySelector('span');
   
   // Update title based on API status
   if (title) {
-    title.textContent = apiToken ? '🤖 AI Vision Analysis' : '📝 Text Analysis';
+    title.textContent = getAnalysisTitle();
   }
   
   if (!categoryList || !totalCountEl) return;
@@ -884,10 +2054,12 @@ function updateFloatingDisplay() {
   // Clear and rebuild category list
   categoryList.innerHTML = '';
   let total = 0;
+  let totalDwellMs = 0;
   
   // Add each category with count > 0
   for (const [category, data] of Object.entries(contentCategories)) {
     total += data.count;
+    totalDwellMs += data.dwellMs;
     
     if (data.count > 0) {
       const item = document.createElement('div');
@@ -900,6 +2072,15 @@ function updateFloatingDisplay() {
         transition: 'all 0.2s'
       });
       
+      // Highlight categories the user wants more of (green) or less of (amber)
+      const alignment = getCategoryAlignment(userProfile, category);
+      if (alignment) {
+        item.style.borderLeft = `3px solid ${alignment === 'aligned' ? '#10b981' : '#f59e0b'}`;
+        item.title = alignment === 'aligned'
+          ? 'You want to see more of this'
+          : 'You want to see less of this';
+      }
+      
       // Category emoji
       const emoji = document.createElement('span');
       Object.assign(emoji.style, {
@@ -921,6 +2102,28 @@ function updateFloatingDisplay() {
       });
       name.textContent = category;
       
+      // Time spent on this category
+      const minutes = document.createElement('span');
+      Object.assign(minutes.style, {
+        color: 'rgba(255, 255, 255, 0.6)',
+        fontSize: '11px',
+        marginRight: '8px'
+      });
+      minutes.textContent = data.dwellMs > 0 ? formatDwellTime(data.dwellMs) : '';
+      
+      // Average confidence of the classifications
+      const confidence = document.createElement('span');
+      Object.assign(confidence.style, {
+        color: 'rgba(255, 255, 255, 0.4)',
+        fontSize: '10px',
+        marginRight: '8px'
+      });
+      if (data.scoredCount > 0) {
+        const average = data.confidenceSum / data.scoredCount;
+        confidence.textContent = `${Math.round(average * 100)}%`;
+        confidence.title = `Average confidence of ${data.scoredCount} classification(s)`;
+      }
+      
       // Count badge
       const count = document.createElement('span');
       Object.assign(count.style, {
@@ -931,10 +2134,12 @@ function updateFloatingDisplay() {
         fontSize: '12px',
         fontWeight: '600'
       });
-      count.textContent = data.count.toString();
+      count.textContent = formatCount(data.count);
       
       item.appendChild(emoji);
       item.appendChild(name);
+      item.appendChild(minutes);
+      item.appendChild(confidence);
       item.appendChild(count);
       
       // Hover effect
@@ -953,22 +2158,95 @@ function updateFloatingDisplay() {
   }
   
   // Update total
-  totalCountEl.textContent = `Total: ${total}`;
+  totalCountEl.textContent = totalDwellMs > 0
+    ? `Total: ${formatCount(total)} · ${formatDwellTime(totalDwellMs)}`
+    : `Total: ${formatCount(total)}`;
+  
+  // Update method breakdown
+  const methodBreakdownEl = floatingDisplay.querySelector('.method-breakdown');
+  if (methodBreakdownEl) {
+    methodBreakdownEl.textContent = Object.entries(METHOD_LABELS)
+      .filter(([method]) => methodCounts[method] > 0)
+      .map(([method, label]) => `${label} ${methodCounts[method]}`)
+      .join(' · ');
+  }
+  
+  // Update media type breakdown
+  const mediaBreakdownEl = floatingDisplay.querySelector('.media-breakdown');
+  if (mediaBreakdownEl) {
+    mediaBreakdownEl.textContent = Object.keys(MEDIA_TYPE_LABELS)
+      .filter(type => mediaStats[type]?.count > 0)
+      .map(type => {
+        const { count, dwellMs } = mediaStats[type];
+        return `${getMediaTypeLabel(type)} ${count}${dwellMs > 0 ? ` (${formatDwellTime(dwellMs)})` : ''}`;
+      })
+      .join(' · ');
+  }
+  
+  renderRecentPosts();
+  renderTopAccounts();
+  
+  // Update failed analyses
+  const analysisStatusEl = floatingDisplay.querySelector('.analysis-status');
+  if (analysisStatusEl) {
+    analysisStatusEl.textContent = analysisFailures > 0
+      ? `⚠️ AI failed for ${analysisFailures} post${analysisFailures === 1 ? '' : 's'} (keywords used)`
+      : '';
+  }
+  
+  // Update extraction health warning
+  const healthStatusEl = floatingDisplay.querySelector('.health-status');
+  if (healthStatusEl) {
+    healthStatusEl.textContent = getExtractionWarning(recentHealthSamples) || '';
+  }
+  
+  // Update daily budget
+  const budgetStatusEl = floatingDisplay.querySelector('.budget-status');
+  if (budgetStatusEl) {
+    const budget = userProfile?.dailyBudgetMinutes;
+    const todayMinutes = getTodayDwellMs() / 60000;
+    
+    budgetStatusEl.textContent = budget
+      ? `Today: ${Math.round(todayMinutes)} / ${budget} min`
+      : '';
+    budgetStatusEl.style.color = budget && todayMinutes > budget
+      ? '#f59e0b'
+      : 'rgba(255, 255, 255, 0.6)';
+  }
 }
 
 /**
- * Reset all counts and clear processed content
- * @returns {void}
+ * Reset all counts and clear processed content, including stored history
+ * @returns {Promise<void>}
  */
-function resetCounts() {
-  // Reset all category counts to 0
-  for (const category in contentCategories) {
-    contentCategories[category].count = 0;
-  }
-  
+async function resetCounts() {
   // Clear tracking sets
   processedContent.clear();
   viewedContentIds.clear();
+  postRecords.clear();
+  pendingDwell.clear();
+  pendingDwellFlushes.clear();
+  sessionDwellMs = {};
+  recentPosts.clear();
+  
+  // Zero every count, time and confidence (and the method, media and account stats)
+  recountCategories();
+  
+  // Time already on screen is dropped; posts still looked at count from now
+  dwellTimers.clear();
+  for (const postId of lookedAtPostIds) {
+    startDwellTimer(postId);
+  }
+  
+  analysisFailures = 0;
+  interventionLevels.clear();
+  
+  // Clear stored history (other tabs are notified through storage events)
+  try {
+    await clearPostRecords();
+  } catch (error) {
+    console.error('Failed to clear classification history:', error);
+  }
   
   // Update display
   updateFloatingDisplay();
@@ -981,59 +2259,32 @@ function resetCounts() {
 // ============================================================================
 
 /**
- * Set up scroll listener to detect when user scrolls
- * Uses debouncing to avoid excessive processing
- * @returns {void}
- */
-function setupScrollListener() {
-  let scrollTimeout;
-  
-  const handleScroll = () => {
-    clearTimeout(scrollTimeout);
-    // Debounce: wait 300ms after scrolling stops before scanning
-    scrollTimeout = setTimeout(() => {
-      scanVisibleContent();
-    }, 300);
-  };
-  
-  // Listen for both scroll and wheel events
-  window.addEventListener('scroll', handleScroll, { passive: true });
-  window.addEventListener('wheel', handleScroll, { passive: true });
-  
-  if (DEBUG) console.log('✅ Scroll listeners attached');
-}
-
-/**
- * Set up mutation observer to detect when new content is added to the page
- * Instagram loads content dynamically, so we need to watch for DOM changes
+ * Set up mutation observer to detect when posts are added to or removed from the page
+ * The sites load content dynamically, so new posts are registered with the
+ * visibility observer as they appear. URL changes are also noticed here, since
+ * in-app navigation always changes the DOM.
  * @returns {void}
  */
 function setupMutationObserver() {
   const observer = new MutationObserver((mutations) => {
-    // Check if any new posts were added
-    const hasNewContent = mutations.some(mutation => {
-      if (mutation.addedNodes.length > 0) {
-        return Array.from(mutation.addedNodes).some(node => {
-          return node.nodeType === 1 && // Element node
-                 (node.tagName === 'ARTICLE' || 
-                  (node.querySelector && node.querySelector('article')));
-        });
-      }
-      return false;
-    });
+    handleNavigation();
+    notePendingPostChanges(mutations);
     
-    if (hasNewContent) {
-      // Wait a bit for content to fully load, then scan
-      setTimeout(scanVisibleContent, 500);
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === 1) registerPosts(node); // Element node
+      }
+      
+      for (const node of mutation.removedNodes) {
+        if (node.nodeType === 1) unregisterRemovedPosts(node);
+      }
     }
   });
   
-  // Watch the main content area (or body as fallback)
-  const targetNode = document.querySelector('main') || 
-                    document.querySelector('[role="main"]') || 
-                    document.body;
+  window.addEventListener('popstate', handleNavigation);
   
-  observer.observe(targetNode, {
+  // Watch the whole body: the sites replace <main> when navigating between pages
+  observer.observe(document.body, {
     childList: true,  // Watch for added/removed children
     subtree: true     // Watch all descendants
   });
@@ -1051,30 +2302,45 @@ function setupMutationObserver() {
  * @returns {Promise<void>}
  */
 async function initialize() {
-  console.log('🚀 Initializing Instagram Content Tracker...');
+  console.log(`🚀 Initializing Content Tracker on ${currentSite.name}...`);
   
   try {
-    // Load API token from storage
-    await loadApiToken();
+    // Ask the background worker which AI provider analyses images
+    await loadAnalysisStatus();
+    watchAnalysisStatus();
+    
+    // Load the user's categories, then restore counts from previous
+    // pages, sessions and other tabs
+    await loadCategories();
+    await loadHistory();
+    
+    // Load single/multi-label classification settings and learn from
+    // the user's corrections
+    await loadClassificationSettings();
+    await loadFeedback();
+    
+    // Load the research study phase, which can hide the widget and interventions
+    await loadStudyMode();
+    
+    // Load the user's values and their limits for mindful interventions
+    await loadProfile();
+    await loadInterventionRules();
     
     // Create the UI immediately
     createFloatingDisplay();
+    updateFloatingDisplay();
     
-    // Set up event listeners
-    setupScrollListener();
-    setupMutationObserver();
-    
-    // Do initial scan after a short delay
-    setTimeout(() => {
-      scanVisibleContent();
-    }, 1000);
+    // Use selectors loaded from a config file, if any, and pick up new ones
+    // without a reload
+    await loadSelectorConfig();
+    watchSelectorConfig(() => registerPosts(document));
     
-    // Periodic backup scan (in case events are missed)
-    setInterval(() => {
-      scanVisibleContent();
-    }, SCAN_INTERVAL);
+    // Set up observers, then register posts already on the page
+    setupVisibilityEngine();
+    setupMutationObserver();
+    registerPosts(document);
     
-    console.log('✅ Instagram Content Tracker initialized successfully!');
+    console.log('✅ Content Tracker initialized successfully!');
   } catch (error) {
     console.error('Failed to initialize tracker:', error);
   }
@@ -0,0 +1,791 @@
+// ============================================================================
+// FILE: js/dashboard.js
+// Purpose: History dashboard built from the stored classification records
+// ============================================================================
+
+/**
+ * Dashboard Page Script
+ * Shows the locally stored classification history over time:
+ * - Total posts viewed and the change from the previous day/week
+ * - Posts per category per day or per week
+ * - Where posts were seen (feed, Reels, Stories, Explore, profiles)
+ * - Which accounts posted them, and posts per relationship type (friend,
+ *   creator, brand, news) from the user's account tags (see accounts.js)
+ * - A day-of-week × hour-of-day heatmap of viewing activity
+ * - The user's corrections, what was learned from them and an export of
+ *   them as a labelled dataset
+ * - Export and import of all tracking data (see data-transfer.js)
+ */
+
+'use strict';
+
+/** @const {number} - Milliseconds in one day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @const {number} - Accounts listed in the "who fills your feed" table */
+const DASHBOARD_ACCOUNTS_SHOWN = 10;
+
+/** @const {string[]} - Row labels for the heatmap (weeks start on Monday) */
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Settings for each period the dashboard can group by
+ * - bucketCount: How many periods the trend chart and heatmap cover
+ * - startOf: Returns the start of the period containing a timestamp
+ * - shift: Moves a period start forward/backward by whole periods
+ */
+const PERIODS = {
+  day: {
+    bucketCount: 14,
+    title: 'Posts per category per day',
+    currentLabel: 'Today',
+    previousLabel: 'Yesterday',
+    startOf: startOfDay,
+    shift: (time, amount) => addDays(time, amount),
+    formatLabel: time => new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+  },
+  week: {
+    bucketCount: 8,
+    title: 'Posts per category per week',
+    currentLabel: 'This week',
+    previousLabel: 'Last week',
+    startOf: startOfWeek,
+    shift: (time, amount) => addDays(time, amount * 7),
+    formatLabel: time => `w/c ${new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`
+  }
+};
+
+/** @type {string} - Currently selected period ('day' or 'week') */
+let selectedPeriod = 'day';
+
+/** @type {Object[]} - All stored classification records */
+let records = [];
+
+/** @type {Object[]} - Posts the user reassigned to another category */
+let corrections = [];
+
+/** @type {Object} - The user's category taxonomy (name → { emoji, keywords }) */
+let taxonomy = DEFAULT_CATEGORIES;
+
+/** @type {Object<string, string>} - The user's account tags (account key → type) */
+let accountTags = {};
+
+/** @type {Map<string, Object|null>} - Record changes not yet applied (post ID → new record, or null if removed) */
+let pendingRecordChanges = new Map();
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+/**
+ * Get the local midnight at the start of the day containing a timestamp
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {number} Start of the day
+ */
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Get the local midnight on the Monday of the week containing a timestamp
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {number} Start of the week
+ */
+function startOfWeek(time) {
+  const date = new Date(startOfDay(time));
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  return addDays(date.getTime(), -daysSinceMonday);
+}
+
+/**
+ * Add whole calendar days to a timestamp (safe across DST changes)
+ * @param {number} time - Timestamp in milliseconds
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {number} Shifted timestamp
+ */
+function addDays(time, days) {
+  const date = new Date(time);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+/**
+ * Count records per category, surface and media type between two timestamps
+ * Surfaces are counted as "<platform>/<surface>", e.g. "tiktok/foryou"
+ * Multi-label records are split between their categories, so category
+ * counts can be fractional. Confidence is averaged over the records whose
+ * top label is the category.
+ *
+ * @param {number} from - Inclusive start timestamp
+ * @param {number} to - Exclusive end timestamp
+ * @returns {{total: number, byCategory: Object<string, number>, bySurface: Object<string, number>,
+ *            byMediaType: Object<string, number>, confidence: Object<string, number>}} Counts and
+ *            average confidence per category
+ */
+function countBetween(from, to) {
+  const byCategory = {};
+  const bySurface = {};
+  const byMediaType = {};
+  const confidenceSums = {};
+  const scoredCounts = {};
+  let total = 0;
+
+  for (const record of records) {
+    if (record.timestamp >= from && record.timestamp < to) {
+      const surface = `${record.platform || 'instagram'}/${record.surface || 'unknown'}`;
+      for (const { category, weight } of getRecordAttribution(record)) {
+        byCategory[category] = (byCategory[category] || 0) + weight;
+      }
+      bySurface[surface] = (bySurface[surface] || 0) + 1;
+      if (record.mediaType) byMediaType[record.mediaType] = (byMediaType[record.mediaType] || 0) + 1;
+      total++;
+
+      if (typeof record.confidence === 'number') {
+        confidenceSums[record.category] = (confidenceSums[record.category] || 0) + record.confidence;
+        scoredCounts[record.category] = (scoredCounts[record.category] || 0) + 1;
+      }
+    }
+  }
+
+  const confidence = {};
+  for (const category of Object.keys(scoredCounts)) {
+    confidence[category] = confidenceSums[category] / scoredCounts[category];
+  }
+
+  return { total, byCategory, bySurface, byMediaType, confidence };
+}
+
+/**
+ * Build the period buckets shown in the trend chart, oldest first
+ * @returns {{start: number, end: number, total: number, byCategory: Object}[]} Buckets
+ */
+function buildBuckets() {
+  const period = PERIODS[selectedPeriod];
+  const currentStart = period.startOf(Date.now());
+  const buckets = [];
+
+  for (let i = period.bucketCount - 1; i >= 0; i--) {
+    const start = period.shift(currentStart, -i);
+    const end = period.shift(start, 1);
+    buckets.push({ start, end, ...countBetween(start, end) });
+  }
+
+  return buckets;
+}
+
+/**
+ * Format the change between two counts as a signed percentage
+ * @param {number} current - Count for the current period
+ * @param {number} previous - Count for the previous period
+ * @returns {string} e.g. "+25%", "−10%", "new" or "–"
+ */
+function formatChange(current, previous) {
+  if (previous === 0) {
+    return current === 0 ? '–' : 'new';
+  }
+
+  const percent = Math.round(((current - previous) / previous) * 100);
+  if (percent > 0) return `+${percent}%`;
+  if (percent < 0) return `−${Math.abs(percent)}%`;
+  return '0%';
+}
+
+/**
+ * Pick a stable colour for a category based on its position in the taxonomy
+ * @param {string} category - Category name
+ * @returns {string} CSS colour
+ */
+function categoryColor(category) {
+  const names = getCategoryNames();
+  const index = Math.max(names.indexOf(category), 0);
+  const hue = Math.round((index * 360) / names.length);
+  return `hsl(${hue}, 65%, 55%)`;
+}
+
+/**
+ * Get every category name, including any only found in stored records
+ * @returns {string[]} Category names
+ */
+function getCategoryNames() {
+  const names = Object.keys(taxonomy);
+
+  for (const record of records) {
+    if (!names.includes(record.category)) {
+      names.push(record.category);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Get the display emoji for a category
+ * @param {string} category - Category name
+ * @returns {string} Emoji
+ */
+function categoryEmoji(category) {
+  return taxonomy[category]?.emoji || taxonomy.other.emoji;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the summary cards (totals and change from previous period)
+ * @param {Object[]} buckets - Period buckets from buildBuckets()
+ * @returns {void}
+ */
+function renderSummary(buckets) {
+  const period = PERIODS[selectedPeriod];
+  const current = buckets[buckets.length - 1];
+  const previous = buckets[buckets.length - 2];
+
+  document.getElementById('totalPosts').textContent = records.length.toString();
+  document.getElementById('currentPosts').textContent = current.total.toString();
+  document.getElementById('previousPosts').textContent = previous.total.toString();
+  document.getElementById('currentLabel').textContent = period.currentLabel;
+  document.getElementById('previousLabel').textContent = period.previousLabel;
+
+  const changeEl = document.getElementById('changePosts');
+  changeEl.textContent = formatChange(current.total, previous.total);
+  changeEl.className = 'value';
+  if (current.total > previous.total) changeEl.classList.add('change-up');
+  if (current.total < previous.total) changeEl.classList.add('change-down');
+}
+
+/**
+ * Render the stacked per-category trend chart
+ * @param {Object[]} buckets - Period buckets from buildBuckets()
+ * @returns {void}
+ */
+function renderTrendChart(buckets) {
+  const period = PERIODS[selectedPeriod];
+  const chart = document.getElementById('trendChart');
+  const labels = document.getElementById('trendLabels');
+  const legend = document.getElementById('trendLegend');
+
+  document.getElementById('trendTitle').textContent = period.title;
+  chart.innerHTML = '';
+  labels.innerHTML = '';
+  legend.innerHTML = '';
+
+  const maxTotal = Math.max(1, ...buckets.map(bucket => bucket.total));
+  const usedCategories = new Set();
+
+  for (const bucket of buckets) {
+    const column = document.createElement('div');
+    column.className = 'trend-column';
+    column.title = `${period.formatLabel(bucket.start)}: ${bucket.total} posts`;
+
+    for (const [category, count] of Object.entries(bucket.byCategory)) {
+      const segment = document.createElement('div');
+      segment.style.height = `${(count / maxTotal) * 200}px`;
+      segment.style.background = categoryColor(category);
+      segment.title = `${category}: ${formatCount(count)}`;
+      column.appendChild(segment);
+      usedCategories.add(category);
+    }
+
+    chart.appendChild(column);
+
+    const label = document.createElement('span');
+    label.textContent = period.formatLabel(bucket.start);
+    labels.appendChild(label);
+  }
+
+  for (const category of getCategoryNames()) {
+    if (!usedCategories.has(category)) continue;
+
+    const item = document.createElement('span');
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.background = categoryColor(category);
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(`${categoryEmoji(category)} ${category}`));
+    legend.appendChild(item);
+  }
+}
+
+/**
+ * Fill a table body with rows comparing the current and previous period
+ * Rows with a confidence get an extra cell for it
+ *
+ * @param {HTMLElement} table - The <tbody> to fill
+ * @param {{label: string, current: number, previous: number, confidence?: number|null}[]} rows - Rows to show
+ * @returns {void}
+ */
+function fillComparisonTable(table, rows) {
+  table.innerHTML = '';
+
+  const visibleRows = rows
+    .filter(row => row.current > 0 || row.previous > 0)
+    .sort((a, b) => b.current - a.current);
+
+  if (visibleRows.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = table.closest('table').querySelectorAll('th').length;
+    cell.className = 'empty';
+    cell.textContent = 'No posts viewed in these periods yet';
+    row.appendChild(cell);
+    table.appendChild(row);
+    return;
+  }
+
+  for (const data of visibleRows) {
+    const row = document.createElement('tr');
+    const values = [
+      data.label,
+      formatCount(data.current),
+      formatCount(data.previous),
+      formatChange(data.current, data.previous)
+    ];
+
+    if (data.confidence !== undefined) {
+      values.push(data.confidence === null ? '–' : `${Math.round(data.confidence * 100)}%`);
+    }
+
+    values.forEach((value, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      if (index > 0) cell.className = 'number';
+      row.appendChild(cell);
+    });
+
+    table.appendChild(row);
+  }
+}
+
+/**
+ * Render the per-category table comparing the current and previous period
+ * @param {Object[]} buckets - Period buckets from buildBuckets()
+ * @returns {void}
+ */
+function renderCategoryTable(buckets) {
+  const period = PERIODS[selectedPeriod];
+  const current = buckets[buckets.length - 1];
+  const previous = buckets[buckets.length - 2];
+
+  document.getElementById('currentColumn').textContent = period.currentLabel;
+  document.getElementById('previousColumn').textContent = period.previousLabel;
+
+  fillComparisonTable(document.getElementById('categoryTable'), getCategoryNames().map(category => ({
+    label: `${categoryEmoji(category)} ${category}`,
+    current: current.byCategory[category] || 0,
+    previous: previous.byCategory[category] || 0,
+    confidence: current.confidence[category] ?? null
+  })));
+}
+
+/**
+ * Render the per-surface table (feed vs Reels vs Stories …)
+ * Every Instagram surface is listed; other sites only once they have posts,
+ * and then each row names its site
+ *
+ * @param {Object[]} buckets - Period buckets from buildBuckets()
+ * @returns {void}
+ */
+function renderSurfaceTable(buckets) {
+  const period = PERIODS[selectedPeriod];
+  const current = buckets[buckets.length - 1];
+  const previous = buckets[buckets.length - 2];
+
+  document.getElementById('surfaceCurrentColumn').textContent = period.currentLabel;
+  document.getElementById('surfacePreviousColumn').textContent = period.previousLabel;
+
+  const seen = Object.keys({ ...current.bySurface, ...previous.bySurface });
+  const platforms = Object.keys(SITE_ADAPTERS)
+    .filter(platform => platform === 'instagram' || seen.some(key => key.startsWith(`${platform}/`)));
+
+  const keys = platforms.flatMap(platform =>
+    Object.keys(SITE_ADAPTERS[platform].surfaceLabels).map(surface => `${platform}/${surface}`));
+  keys.push(...seen.filter(key => !keys.includes(key)));
+
+  fillComparisonTable(document.getElementById('surfaceTable'), keys.map(key => {
+    const [platform, surface] = key.split('/');
+    const label = getSurfaceLabel(platform, surface);
+    return {
+      label: platforms.length > 1 ? `${SITE_ADAPTERS[platform]?.name || platform} · ${label}` : label,
+      current: current.bySurface[key] || 0,
+      previous: previous.bySurface[key] || 0
+    };
+  }));
+}
+
+/**
+ * Render the per-media-type table (images vs carousels vs videos)
+ * Records stored before media types were recorded aren't counted
+ *
+ * @param {Object[]} buckets - Period buckets from buildBuckets()
+ * @returns {void}
+ */
+function renderMediaTypeTable(buckets) {
+  const period = PERIODS[selectedPeriod];
+  const current = buckets[buckets.length - 1];
+  const previous = buckets[buckets.length - 2];
+
+  document.getElementById('mediaCurrentColumn').textContent = period.currentLabel;
+  document.getElementById('mediaPreviousColumn').textContent = period.previousLabel;
+
+  fillComparisonTable(document.getElementById('mediaTypeTable'), Object.keys(MEDIA_TYPE_LABELS).map(type => ({
+    label: getMediaTypeLabel(type),
+    current: current.byMediaType[type] || 0,
+    previous: previous.byMediaType[type] || 0
+  })));
+}
+
+/**
+ * Render the accounts seen most in the current period, with a picker to
+ * tag each, and the posts per relationship type in both periods
+ *
+ * @param {Object[]} buckets - Period buckets from buildBuckets()
+ * @returns {void}
+ */
+function renderAccounts(buckets) {
+  const period = PERIODS[selectedPeriod];
+  const current = buckets[buckets.length - 1];
+  const previous = buckets[buckets.length - 2];
+  const statsFor = bucket => buildAccountStats(
+    records.filter(record => record.timestamp >= bucket.start && record.timestamp < bucket.end));
+
+  const currentStats = statsFor(current);
+  const table = document.getElementById('topAccountsTable');
+  document.getElementById('accountsPeriodLabel').textContent = period.currentLabel.toLowerCase();
+  table.innerHTML = '';
+
+  const accounts = getTopAccounts(currentStats, DASHBOARD_ACCOUNTS_SHOWN);
+  if (accounts.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 5;
+    cell.className = 'empty';
+    cell.textContent = 'No accounts recognised in this period yet';
+    row.appendChild(cell);
+    table.appendChild(row);
+  }
+
+  for (const account of accounts) {
+    const row = document.createElement('tr');
+    const mix = getCategoryMix(account.categories, 3)
+      .map(({ category, share }) => `${categoryEmoji(category)} ${category} ${Math.round(share * 100)}%`)
+      .join(', ');
+
+    const values = [
+      `${SITE_ADAPTERS[account.platform]?.emoji || ''} @${account.handle}${account.verified ? ' ✓' : ''}`,
+      mix,
+      formatCount(account.posts),
+      String(Math.round(account.dwellMs / 60000))
+    ];
+    values.forEach((value, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      if (index > 1) cell.className = 'number';
+      row.appendChild(cell);
+    });
+
+    const picker = document.createElement('select');
+    for (const type of ['', ...Object.keys(ACCOUNT_TYPES)]) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = type ? getAccountTypeLabel(type) : '—';
+      picker.appendChild(option);
+    }
+    picker.value = accountTags[account.key] || '';
+    picker.addEventListener('change', () => {
+      setAccountTag(account.key, picker.value || null)
+        .catch(error => console.error('Failed to tag account:', error));
+    });
+
+    const pickerCell = document.createElement('td');
+    pickerCell.appendChild(picker);
+    row.appendChild(pickerCell);
+    table.appendChild(row);
+  }
+
+  document.getElementById('accountTypeCurrentColumn').textContent = period.currentLabel;
+  document.getElementById('accountTypePreviousColumn').textContent = period.previousLabel;
+
+  const currentTotals = countByAccountType(currentStats, accountTags);
+  const previousTotals = countByAccountType(statsFor(previous), accountTags);
+  fillComparisonTable(document.getElementById('accountTypeTable'), [...Object.keys(ACCOUNT_TYPES), 'untagged'].map(type => ({
+    label: getAccountTypeLabel(type),
+    current: currentTotals[type]?.posts || 0,
+    previous: previousTotals[type]?.posts || 0
+  })));
+}
+
+/**
+ * Render the day-of-week × hour-of-day heatmap for the charted range
+ * @param {Object[]} buckets - Period buckets from buildBuckets()
+ * @returns {void}
+ */
+function renderHeatmap(buckets) {
+  const heatmap = document.getElementById('heatmap');
+  const from = buckets[0].start;
+  const to = buckets[buckets.length - 1].end;
+  const days = Math.round((to - from) / DAY_MS);
+
+  document.getElementById('heatmapTitle').textContent = `Time of day (last ${days} days)`;
+  heatmap.innerHTML = '';
+
+  // grid[weekday][hour] = number of posts
+  const grid = WEEKDAY_LABELS.map(() => new Array(24).fill(0));
+  for (const record of records) {
+    if (record.timestamp < from || record.timestamp >= to) continue;
+
+    const date = new Date(record.timestamp);
+    grid[(date.getDay() + 6) % 7][date.getHours()]++;
+  }
+
+  const maxCount = Math.max(1, ...grid.flat());
+
+  // Header row with hours
+  heatmap.appendChild(document.createElement('span'));
+  for (let hour = 0; hour < 24; hour++) {
+    const label = document.createElement('span');
+    label.textContent = hour % 3 === 0 ? hour.toString() : '';
+    heatmap.appendChild(label);
+  }
+
+  WEEKDAY_LABELS.forEach((weekday, dayIndex) => {
+    const label = document.createElement('span');
+    label.textContent = weekday;
+    heatmap.appendChild(label);
+
+    for (let hour = 0; hour < 24; hour++) {
+      const count = grid[dayIndex][hour];
+      const cell = document.createElement('div');
+      cell.className = 'heatmap-cell';
+      cell.style.background = count > 0
+        ? `rgba(0, 122, 255, ${0.15 + 0.85 * (count / maxCount)})`
+        : '#e9ecef';
+      cell.title = `${weekday} ${hour}:00 – ${count} posts`;
+      heatmap.appendChild(cell);
+    }
+  });
+}
+
+/**
+ * Show how many posts were corrected and the keywords learned from them
+ * @returns {void}
+ */
+function renderCorrections() {
+  const summary = document.getElementById('correctionSummary');
+  const learnedList = document.getElementById('learnedKeywords');
+  const exportButton = document.getElementById('exportCorrectionsButton');
+
+  summary.textContent = corrections.length > 0
+    ? `You corrected ${corrections.length} post${corrections.length === 1 ? '' : 's'}. ` +
+      'Corrections teach the keyword classifier new words and adjust AI results.'
+    : 'Fix a post\'s category from "Recent posts" in the on-page widget to teach the classifier.';
+  exportButton.disabled = corrections.length === 0;
+
+  learnedList.innerHTML = '';
+  for (const [category, terms] of Object.entries(learnKeywords(corrections, taxonomy))) {
+    const line = document.createElement('div');
+    line.textContent = `${categoryEmoji(category)} ${category}: ${terms.join(', ')}`;
+    learnedList.appendChild(line);
+  }
+}
+
+/**
+ * Re-render every dashboard section
+ * @returns {void}
+ */
+function render() {
+  const buckets = buildBuckets();
+
+  renderSummary(buckets);
+  renderTrendChart(buckets);
+  renderCategoryTable(buckets);
+  renderSurfaceTable(buckets);
+  renderMediaTypeTable(buckets);
+  renderAccounts(buckets);
+  renderHeatmap(buckets);
+  renderCorrections();
+}
+
+/**
+ * Switch between daily and weekly grouping
+ * @param {string} period - 'day' or 'week'
+ * @returns {void}
+ */
+function selectPeriod(period) {
+  selectedPeriod = period;
+  document.getElementById('dailyButton').classList.toggle('active', period === 'day');
+  document.getElementById('weeklyButton').classList.toggle('active', period === 'week');
+  render();
+}
+
+// ============================================================================
+// EXPORT & IMPORT
+// ============================================================================
+
+/**
+ * Download the corrections as a JSON Lines file
+ * @returns {void}
+ */
+function exportCorrections() {
+  downloadFile(buildCorrectionDataset(corrections), `corrections-${localDateKey(Date.now())}.jsonl`, 'application/x-ndjson');
+}
+
+/**
+ * Download tracking data
+ * @param {string} kind - 'json', 'posts' or 'daily'
+ * @returns {Promise<void>}
+ */
+async function exportData(kind) {
+  const date = localDateKey(Date.now());
+
+  if (kind === 'json') {
+    const data = await buildExportData();
+    downloadFile(JSON.stringify(data, null, 2), `digital-wellness-${date}.json`, 'application/json');
+  } else if (kind === 'posts') {
+    downloadFile(postsToCsv(records), `digital-wellness-posts-${date}.csv`, 'text/csv');
+  } else {
+    downloadFile(dailyAggregatesToCsv(records), `digital-wellness-daily-${date}.csv`, 'text/csv');
+  }
+}
+
+/**
+ * Offer to grant access to imported provider endpoints
+ * The request needs a click of its own: the import's click is used up by
+ * the time the file has been read
+ *
+ * @param {HTMLElement} status - Import status line
+ * @param {string[]} origins - Origin patterns needing access
+ * @returns {void}
+ */
+function showPermissionRequest(status, origins) {
+  const hosts = origins.map(origin => new URL(origin.slice(0, -1)).host).join(', ');
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = `Allow access to ${hosts}`;
+  button.addEventListener('click', () => {
+    chrome.permissions.request({ origins }, (granted) => {
+      status.textContent = granted
+        ? `Access to ${hosts} granted.`
+        : `Without access to ${hosts} posts will use text-only analysis.`;
+    });
+  });
+
+  status.append(' ', button);
+}
+
+/**
+ * Import the chosen file and report what changed
+ * @returns {Promise<void>}
+ */
+async function importChosenFile() {
+  const file = document.getElementById('importFile').files[0];
+  const status = document.getElementById('importStatus');
+  const showStatus = (message, isError) => {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  };
+
+  if (!file) {
+    showStatus('Choose a JSON or CSV export first.', true);
+    return;
+  }
+
+  try {
+    const data = parseImportFile(file.name, await file.text());
+    const summary = await importData(data, {
+      includeSettings: document.getElementById('importSettingsCheckbox').checked
+    });
+
+    const parts = [
+      `${summary.added} posts added`,
+      `${summary.updated} updated`,
+      `${summary.unchanged} already here`
+    ];
+    if (summary.invalid > 0) parts.push(`${summary.invalid} invalid items skipped`);
+    if (summary.settings) parts.push('settings merged');
+    showStatus(`Imported: ${parts.join(', ')}.`, false);
+
+    if (summary.missingPermissions.length > 0) {
+      showPermissionRequest(status, summary.missingPermissions);
+    }
+  } catch (error) {
+    console.error('Import failed:', error);
+    showStatus(`Import failed: ${error.message}`, true);
+  }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Apply a changed record once the current batch of changes is in
+ * An import or a category merge changes thousands of records in one event,
+ * so they are applied together and drawn once
+ *
+ * @param {Object|null} record - New record, or null if it was removed
+ * @param {string} postId - Unique identifier for the post
+ * @returns {void}
+ */
+function scheduleRecordChange(record, postId) {
+  const scheduled = pendingRecordChanges.size > 0;
+  pendingRecordChanges.set(postId, record);
+  if (scheduled) return;
+
+  setTimeout(() => {
+    const changes = pendingRecordChanges;
+    pendingRecordChanges = new Map();
+
+    records = records.filter(existing => !changes.has(existing.id));
+    for (const changed of changes.values()) {
+      if (changed) records.push(changed);
+    }
+    render();
+  }, 0);
+}
+
+/**
+ * Load the stored history and keep the dashboard in sync with new records
+ * @returns {Promise<void>}
+ */
+async function initialize() {
+  taxonomy = await loadTaxonomy();
+  records = await loadPostRecords();
+  corrections = await loadCorrections();
+  accountTags = await loadAccountTags();
+  render();
+  
+  onTaxonomyChanged((newTaxonomy) => {
+    taxonomy = newTaxonomy;
+    render();
+  });
+
+  // Update live as posts are classified in open Instagram tabs
+  onPostRecordsChanged(scheduleRecordChange);
+
+  onAccountTagsChanged((tags) => {
+    accountTags = tags;
+    render();
+  });
+
+  onCorrectionsChanged(async () => {
+    corrections = await loadCorrections();
+    renderCorrections();
+  });
+}
+
+document.getElementById('dailyButton').addEventListener('click', () => selectPeriod('day'));
+document.getElementById('weeklyButton').addEventListener('click', () => selectPeriod('week'));
+document.getElementById('exportCorrectionsButton').addEventListener('click', exportCorrections);
+document.getElementById('exportJsonButton').addEventListener('click', () => exportData('json'));
+document.getElementById('exportPostsCsvButton').addEventListener('click', () => exportData('posts'));
+document.getElementById('exportDailyCsvButton').addEventListener('click', () => exportData('daily'));
+document.getElementById('importButton').addEventListener('click', importChosenFile);
+
+initialize();
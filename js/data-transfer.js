@@ -0,0 +1,689 @@
+// ============================================================================
+// FILE: js/data-transfer.js
+// Purpose: Export tracking data as JSON or CSV and import it back
+// ============================================================================
+
+/**
+ * Data Export and Import
+ *
+ * Exports:
+ * - JSON: everything needed to move to another browser - the per-post log,
+ *   corrections, intervention events, daily aggregates and settings
+ *   (including account tags)
+ * - Posts CSV: one row per post
+ *     id, platform, surface, mediaType, author, authorVerified, category, labels,
+ *     method, confidence, provider, models, timestamp, lastSeenAt, dwellMs
+ *   labels are "fitness:0.6;food:0.4", models are separated by "|" and
+ *   times are ISO 8601
+ * - Daily CSV: posts and on-screen minutes per local day and category
+ *
+ * API tokens and keys are never exported.
+ *
+ * Import accepts a JSON export or a posts CSV. Every item is validated;
+ * invalid ones are skipped and counted. Imported data is merged with what
+ * is already stored, so importing the same file twice changes nothing:
+ * - A post in both keeps the earliest first-seen time, the latest last-seen
+ *   time and the longer on-screen time; a manual correction wins over an
+ *   automatic classification
+ * - Corrections and intervention events are added if missing (a newer
+ *   correction replaces an older one)
+ * - Posts, corrections and intervention events keep only the fields the
+ *   extension stores, so captions and image URLs in a file never reach
+ *   storage; corrections keep their caption only if the user chose to keep
+ *   captions (see privacy.js)
+ * - Settings are only imported when asked: categories, intervention rules
+ *   and account tags are merged (tags set here are kept), other settings
+ *   are replaced
+ */
+
+'use strict';
+
+/** @const {string} - Identifies our JSON exports */
+const EXPORT_FORMAT = 'digital-wellness-export';
+
+/** @const {number} - JSON export version (bump on incompatible changes) */
+const EXPORT_VERSION = 1;
+
+/** @const {string[]} - chrome.storage.sync settings included in exports */
+const EXPORTED_SYNC_SETTINGS = [
+  'userProfile',
+  'interventionRules',
+  'multiLabelMode',
+  'multiLabelThreshold',
+  'classifierProvider',
+  'providerConfig',
+  'schedulerSettings'
+];
+
+/** @const {string[]} - Columns of the posts CSV */
+const POST_CSV_COLUMNS = [
+  'id', 'platform', 'surface', 'mediaType', 'author', 'authorVerified', 'category', 'labels',
+  'method', 'confidence', 'provider', 'models', 'timestamp', 'lastSeenAt', 'dwellMs'
+];
+
+/** @const {string[]} - Columns of the daily aggregates CSV */
+const DAILY_CSV_COLUMNS = ['date', 'category', 'posts', 'dwellMinutes'];
+
+/** @const {string[]} - Classification methods accepted on import ('local' is from older versions) */
+const IMPORT_METHODS = ['ai', 'cache', 'keyword', 'manual', 'local'];
+
+/** @const {string[]} - Intervention event fields kept on import (see js/interventions.js) */
+const IMPORTED_INTERVENTION_FIELDS = [
+  'id', 'ruleId', 'category', 'metric', 'threshold', 'value', 'type',
+  'shownAt', 'respondedAt', 'response', 'reflection'
+];
+
+/**
+ * @const {Object<string, {min: number, max: number, fallback: number}>} -
+ * Limits of the imported scheduler settings (as on the settings page)
+ */
+const SCHEDULER_SETTING_LIMITS = {
+  concurrency: { min: 1, max: 8, fallback: 2 },
+  requestsPerMinute: { min: 1, max: 600, fallback: 30 },
+  timeoutSeconds: { min: 5, max: 300, fallback: 30 }
+};
+
+/** @const {string[]} - Post record fields kept on import (see js/storage.js) */
+const IMPORTED_POST_FIELDS = [
+  'id', 'category', 'labels', 'confidence', 'runnerUp', 'timestamp', 'lastSeenAt', 'dwellMs',
+  'platform', 'surface', 'mediaType', 'author', 'authorVerified',
+  'method', 'provider', 'models', 'generatedCaption', 'fallbackReason', 'correctedFrom', 'correctedAt'
+];
+
+/** @const {string[]} - Correction fields kept on import (see js/storage.js) */
+const IMPORTED_CORRECTION_FIELDS = [
+  'id', 'category', 'predicted', 'predictedMethod', 'predictedLabels', 'caption', 'terms',
+  'generatedCaption', 'platform', 'surface', 'timestamp'
+];
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Collect everything for a JSON export
+ * @returns {Promise<Object>} Export document
+ */
+async function buildExportData() {
+  const [posts, corrections, interventions, taxonomy, accountTags, syncSettings] = await Promise.all([
+    loadPostRecords(),
+    loadCorrections(),
+    loadInterventionEvents(),
+    loadTaxonomy(),
+    loadAccountTags(),
+    chrome.storage.sync.get(EXPORTED_SYNC_SETTINGS)
+  ]);
+
+  if (syncSettings.providerConfig) {
+    syncSettings.providerConfig = withoutApiKeys(syncSettings.providerConfig);
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    posts: posts.sort((a, b) => a.timestamp - b.timestamp),
+    corrections,
+    interventions,
+    dailyAggregates: buildDailyAggregates(posts),
+    settings: { categoryTaxonomy: taxonomy, accountTags, ...syncSettings }
+  };
+}
+
+/**
+ * Copy provider settings without their API keys
+ * @param {Object} providerConfig - Provider name → settings
+ * @returns {Object} Settings with every apiKey removed
+ */
+function withoutApiKeys(providerConfig) {
+  const copy = {};
+  for (const [provider, config] of Object.entries(providerConfig)) {
+    const { apiKey, ...rest } = config || {};
+    copy[provider] = rest;
+  }
+  return copy;
+}
+
+/**
+ * Format a timestamp as a local calendar date
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {string} "YYYY-MM-DD"
+ */
+function localDateKey(time) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Total posts and on-screen time per local day and category
+ * Multi-label posts are split between their categories
+ *
+ * @param {Object[]} posts - Stored post records
+ * @returns {{date: string, category: string, posts: number, dwellMs: number}[]} Aggregates, by date then category
+ */
+function buildDailyAggregates(posts) {
+  const totals = new Map();
+
+  for (const record of posts) {
+    const date = localDateKey(record.timestamp);
+
+    for (const { category, weight } of getRecordAttribution(record)) {
+      const key = `${date}|${category}`;
+      if (!totals.has(key)) totals.set(key, { date, category, posts: 0, dwellMs: 0 });
+
+      const total = totals.get(key);
+      total.posts += weight;
+      total.dwellMs += (record.dwellMs || 0) * weight;
+    }
+  }
+
+  return Array.from(totals.values())
+    .map(total => ({ ...total, posts: Math.round(total.posts * 100) / 100, dwellMs: Math.round(total.dwellMs) }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.category.localeCompare(b.category));
+}
+
+/**
+ * Quote a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe text
+ */
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text
+ * @param {string[]} columns - Header row
+ * @param {Array[]} rows - Cell values, one array per row
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+/**
+ * Build the posts CSV
+ * @param {Object[]} posts - Stored post records
+ * @returns {string} CSV text, oldest post first
+ */
+function postsToCsv(posts) {
+  const isoTime = time => (typeof time === 'number' ? new Date(time).toISOString() : '');
+
+  const rows = posts
+    .slice()
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(record => [
+      record.id,
+      record.platform || 'instagram',
+      record.surface,
+      record.mediaType,
+      record.author,
+      record.authorVerified,
+      record.category,
+      (record.labels || []).map(label => `${label.category}:${label.score}`).join(';'),
+      record.method,
+      record.confidence,
+      record.provider,
+      (record.models || []).join('|'),
+      isoTime(record.timestamp),
+      isoTime(record.lastSeenAt),
+      record.dwellMs || 0
+    ]);
+
+  return toCsv(POST_CSV_COLUMNS, rows);
+}
+
+/**
+ * Build the daily aggregates CSV
+ * @param {Object[]} posts - Stored post records
+ * @returns {string} CSV text
+ */
+function dailyAggregatesToCsv(posts) {
+  const rows = buildDailyAggregates(posts).map(total => [
+    total.date,
+    total.category,
+    total.posts,
+    Math.round(total.dwellMs / 600) / 100
+  ]);
+
+  return toCsv(DAILY_CSV_COLUMNS, rows);
+}
+
+/**
+ * Save text as a file through the browser's download prompt
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ * @returns {void}
+ */
+function downloadFile(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Revoking straight after click() can cancel the download in some Chrome versions
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Parse CSV text (quoted cells may contain commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells, blank lines skipped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn a posts CSV row back into a post record
+ * @param {Object<string, string>} row - Column name → cell text
+ * @returns {Object} Post record (validated separately)
+ */
+function recordFromCsvRow(row) {
+  const parseTime = text => (text ? Date.parse(text) : undefined);
+  const parseNumber = text => (text === '' || text === undefined ? undefined : Number(text));
+
+  const labels = (row.labels || '')
+    .split(';')
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      return { category: entry.slice(0, separator), score: Number(entry.slice(separator + 1)) };
+    });
+
+  const record = {
+    id: row.id,
+    category: row.category,
+    labels,
+    method: row.method || 'keyword',
+    confidence: parseNumber(row.confidence),
+    platform: row.platform || undefined,
+    surface: row.surface || 'unknown',
+    mediaType: row.mediaType || undefined,
+    author: row.author || undefined,
+    authorVerified: row.authorVerified ? row.authorVerified === 'true' : undefined,
+    provider: row.provider || null,
+    models: row.models ? row.models.split('|') : [],
+    timestamp: parseTime(row.timestamp),
+    lastSeenAt: parseTime(row.lastSeenAt),
+    dwellMs: parseNumber(row.dwellMs) || 0
+  };
+
+  // Leave out fields the CSV row didn't have
+  for (const key of Object.keys(record)) {
+    if (record[key] === undefined) delete record[key];
+  }
+  return record;
+}
+
+/**
+ * Check an imported post record
+ * @param {Object} record - Imported record
+ * @returns {boolean} True if it can be stored
+ */
+function isValidPostRecord(record) {
+  const isTime = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+  const isScore = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+  return Boolean(record) &&
+    typeof record.id === 'string' && record.id !== '' && record.id.length <= 200 &&
+    typeof record.category === 'string' && record.category !== '' &&
+    isTime(record.timestamp) &&
+    (record.lastSeenAt === undefined || isTime(record.lastSeenAt)) &&
+    (record.dwellMs === undefined || (typeof record.dwellMs === 'number' && record.dwellMs >= 0)) &&
+    (record.confidence === undefined || record.confidence === null || isScore(record.confidence)) &&
+    (record.method === undefined || IMPORT_METHODS.includes(record.method)) &&
+    (record.labels === undefined || (Array.isArray(record.labels) &&
+      record.labels.every(label => typeof label?.category === 'string' && isScore(label.score))));
+}
+
+/**
+ * Copy the known fields of an imported item
+ * @param {Object} item - Imported item
+ * @param {string[]} fields - Fields to keep
+ * @returns {Object} Item without unknown fields
+ */
+function pickFields(item, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (item[field] !== undefined) picked[field] = item[field];
+  }
+  return picked;
+}
+
+/**
+ * Prepare an imported correction for storage
+ * The caption is only kept (redacted) if the user allows it; its words are
+ * learned from either way
+ *
+ * @param {Object} correction - Valid imported correction
+ * @param {boolean} keepCaption - The keepCorrectionCaptions privacy setting
+ * @returns {Object} Correction to store
+ */
+function importedCorrection(correction, keepCaption) {
+  const imported = pickFields(correction, IMPORTED_CORRECTION_FIELDS);
+  const caption = typeof imported.caption === 'string' ? redactCaption(imported.caption) : '';
+
+  if (!Array.isArray(imported.terms) || !imported.terms.every(term => typeof term === 'string')) {
+    imported.terms = Array.from(extractFeedbackTerms(caption));
+  }
+  imported.caption = keepCaption ? caption : '';
+  return imported;
+}
+
+/**
+ * Check an imported intervention event
+ * @param {Object} event - Imported event
+ * @returns {boolean} True if it can be stored
+ */
+function isValidInterventionEvent(event) {
+  const isTime = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+  return Boolean(event) &&
+    typeof event.id === 'string' && event.id !== '' && event.id.length <= 200 &&
+    ['pause', 'reflection', 'breathing'].includes(event.type) &&
+    isTime(event.shownAt) &&
+    (event.respondedAt === undefined || (isTime(event.respondedAt) && event.respondedAt >= event.shownAt)) &&
+    (event.response === undefined || ['continued', 'stopped'].includes(event.response)) &&
+    (event.reflection === undefined || typeof event.reflection === 'string');
+}
+
+/**
+ * Read an export file
+ * @param {string} filename - Name of the chosen file (decides JSON or CSV)
+ * @param {string} text - File contents
+ * @returns {{posts: Object[], corrections: Object[], interventions: Object[], settings: Object|null}} Parsed data
+ * @throws {Error} If the file is not one of our exports
+ */
+function parseImportFile(filename, text) {
+  if (filename.toLowerCase().endsWith('.csv')) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !['id', 'category', 'timestamp'].every(column => header.includes(column))) {
+      throw new Error('CSV files must be a posts export (with id, category and timestamp columns)');
+    }
+
+    const posts = rows.map(cells => {
+      const row = {};
+      header.forEach((column, index) => { row[column] = cells[index]; });
+      return recordFromCsvRow(row);
+    });
+    return { posts, corrections: [], interventions: [], settings: null };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new Error('The file is not a Digital Wellness export');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of the extension');
+  }
+
+  return {
+    posts: Array.isArray(data.posts) ? data.posts : [],
+    corrections: Array.isArray(data.corrections) ? data.corrections : [],
+    interventions: Array.isArray(data.interventions) ? data.interventions : [],
+    settings: data.settings && typeof data.settings === 'object' ? data.settings : null
+  };
+}
+
+/**
+ * Combine a stored post record with an imported copy of the same post
+ * @param {Object} existing - Stored record
+ * @param {Object} imported - Imported record
+ * @returns {Object} Merged record
+ */
+function mergePostRecord(existing, imported) {
+  const importedWins = imported.method === 'manual' && existing.method !== 'manual';
+  const merged = importedWins ? { ...existing, ...imported } : { ...imported, ...existing };
+
+  merged.timestamp = Math.min(existing.timestamp, imported.timestamp);
+  merged.dwellMs = Math.max(existing.dwellMs || 0, imported.dwellMs || 0);
+
+  const lastSeenAt = Math.max(existing.lastSeenAt || 0, imported.lastSeenAt || 0);
+  if (lastSeenAt > 0) merged.lastSeenAt = lastSeenAt;
+
+  return merged;
+}
+
+/**
+ * Validate imported data and merge it into storage
+ *
+ * @param {Object} data - Result of parseImportFile()
+ * @param {{includeSettings: boolean}} options - Whether to import settings too
+ * @returns {Promise<{added: number, updated: number, unchanged: number, invalid: number, settings: boolean,
+ *   missingPermissions: string[]}>} Summary; missingPermissions are imported endpoints needing host access
+ */
+async function importData(data, { includeSettings = false } = {}) {
+  const summary = { added: 0, updated: 0, unchanged: 0, invalid: 0, settings: false, missingPermissions: [] };
+
+  const [storedPosts, storedCorrections, storedInterventions, privacySettings] = await Promise.all([
+    loadPostRecords(),
+    loadCorrections(),
+    loadInterventionEvents(),
+    loadPrivacySettings()
+  ]);
+  const postsById = new Map(storedPosts.map(record => [record.id, record]));
+  const correctionsById = new Map(storedCorrections.map(correction => [correction.id, correction]));
+  const interventionIds = new Set(storedInterventions.map(event => event.id));
+
+  const updates = { posts: [], corrections: [], interventions: [] };
+
+  for (const item of data.posts) {
+    if (!isValidPostRecord(item)) {
+      summary.invalid++;
+      continue;
+    }
+
+    const record = pickFields(item, IMPORTED_POST_FIELDS);
+
+    const existing = postsById.get(record.id);
+    const merged = existing ? mergePostRecord(existing, record) : record;
+
+    if (!existing) {
+      summary.added++;
+    } else if (JSON.stringify(merged) !== JSON.stringify(existing)) {
+      summary.updated++;
+    } else {
+      summary.unchanged++;
+      continue;
+    }
+    postsById.set(record.id, merged);
+    updates.posts.push(merged);
+  }
+
+  for (const correction of data.corrections) {
+    const valid = typeof correction?.id === 'string' &&
+      typeof correction.category === 'string' &&
+      typeof correction.timestamp === 'number';
+    if (!valid) {
+      summary.invalid++;
+      continue;
+    }
+
+    const existing = correctionsById.get(correction.id);
+    if (!existing || correction.timestamp > existing.timestamp) {
+      updates.corrections.push(importedCorrection(correction, privacySettings.keepCorrectionCaptions));
+    }
+  }
+
+  for (const event of data.interventions) {
+    if (!isValidInterventionEvent(event)) {
+      summary.invalid++;
+      continue;
+    }
+    if (!interventionIds.has(event.id)) {
+      updates.interventions.push(pickFields(event, IMPORTED_INTERVENTION_FIELDS));
+    }
+  }
+
+  await saveStoredItems(updates);
+
+  if (includeSettings && data.settings) {
+    summary.missingPermissions = await importSettings(data.settings);
+    summary.settings = true;
+  }
+  return summary;
+}
+
+/**
+ * Merge imported settings into the current ones
+ * Invalid values are ignored; API keys already set here are kept
+ *
+ * @param {Object} settings - "settings" from a JSON export
+ * @returns {Promise<string[]>} Imported endpoint origins the extension can't reach yet
+ */
+async function importSettings(settings) {
+  // Categories: add missing ones and any new keywords to existing ones
+  if (settings.categoryTaxonomy && validateTaxonomy(settings.categoryTaxonomy).length === 0) {
+    const taxonomy = await loadTaxonomy();
+
+    for (const [name, data] of Object.entries(settings.categoryTaxonomy)) {
+      if (!taxonomy[name]) {
+        taxonomy[name] = { emoji: data.emoji, keywords: [...data.keywords] };
+      } else {
+        const keywords = new Set(taxonomy[name].keywords);
+        data.keywords.forEach(keyword => keywords.add(keyword));
+        taxonomy[name].keywords = Array.from(keywords);
+      }
+    }
+    await saveTaxonomy(taxonomy);
+  }
+
+  // Account tags: add tags for accounts not tagged here
+  if (settings.accountTags && typeof settings.accountTags === 'object') {
+    const tags = await loadAccountTags();
+    for (const [key, type] of Object.entries(settings.accountTags)) {
+      if (!tags[key] && ACCOUNT_TYPES[type]) tags[key] = type;
+    }
+    await chrome.storage.local.set({ [ACCOUNT_TAGS_KEY]: tags });
+  }
+
+  const current = await chrome.storage.sync.get(['interventionRules', 'providerConfig']);
+  const updates = {};
+
+  // Intervention rules: add the ones not already here
+  if (Array.isArray(settings.interventionRules)) {
+    const rules = current.interventionRules || [];
+    const ruleIds = new Set(rules.map(rule => rule.id));
+    const added = settings.interventionRules.filter(rule =>
+      rule && typeof rule.id === 'string' && !ruleIds.has(rule.id) &&
+      typeof rule.category === 'string' && typeof rule.threshold === 'number');
+    updates.interventionRules = [...rules, ...added];
+  }
+
+  // Provider settings: imported values over the current ones, keeping this
+  // browser's API keys and the providers the file doesn't mention
+  if (settings.providerConfig && typeof settings.providerConfig === 'object') {
+    const providerConfig = { ...current.providerConfig };
+    for (const [provider, config] of Object.entries(settings.providerConfig)) {
+      if (!config || typeof config !== 'object') continue;
+
+      const apiKey = current.providerConfig?.[provider]?.apiKey;
+      providerConfig[provider] = { ...providerConfig[provider], ...config };
+      if (apiKey) providerConfig[provider].apiKey = apiKey;
+    }
+    updates.providerConfig = providerConfig;
+  }
+
+  if (settings.userProfile && typeof settings.userProfile === 'object') {
+    updates.userProfile = sanitizeUserProfile(settings.userProfile);
+  }
+  if (typeof settings.multiLabelMode === 'boolean') {
+    updates.multiLabelMode = settings.multiLabelMode;
+  }
+  if (typeof settings.multiLabelThreshold === 'number' &&
+      settings.multiLabelThreshold > 0 && settings.multiLabelThreshold <= 1) {
+    updates.multiLabelThreshold = settings.multiLabelThreshold;
+  }
+  if (typeof settings.classifierProvider === 'string') {
+    updates.classifierProvider = settings.classifierProvider;
+  }
+  if (settings.schedulerSettings && typeof settings.schedulerSettings === 'object') {
+    updates.schedulerSettings = {};
+    for (const [name, { min, max, fallback }] of Object.entries(SCHEDULER_SETTING_LIMITS)) {
+      updates.schedulerSettings[name] = clampNumber(settings.schedulerSettings[name], min, max, fallback);
+    }
+  }
+
+  await chrome.storage.sync.set(updates);
+  return updates.providerConfig ? findMissingEndpointPermissions(updates.providerConfig) : [];
+}
+
+/**
+ * Find the provider endpoints the extension has no access to yet
+ * The settings page asks for access when an endpoint is saved; imported
+ * endpoints need the same (see the dashboard's import)
+ *
+ * @param {Object} providerConfig - Provider name → settings
+ * @returns {Promise<string[]>} Origin patterns (e.g. "https://example.com/*") still needing access
+ */
+async function findMissingEndpointPermissions(providerConfig) {
+  const origins = new Set();
+  for (const config of Object.values(providerConfig)) {
+    for (const url of [config?.baseUrl, config?.url]) {
+      try {
+        const { protocol, origin } = new URL(url);
+        if (protocol === 'https:' || protocol === 'http:') origins.add(`${origin}/*`);
+      } catch (error) {
+        // Not set, or not a URL
+      }
+    }
+  }
+
+  const missing = [];
+  for (const origin of origins) {
+    if (!(await chrome.permissions.contains({ origins: [origin] }))) missing.push(origin);
+  }
+  return missing;
+}
@@ -0,0 +1,135 @@
+// ============================================================================
+// FILE: js/extraction-health.js
+// Purpose: Measure how well posts are extracted from the page
+// ============================================================================
+
+/**
+ * Extraction Health
+ *
+ * When a site changes its page structure, selectors stop matching and
+ * posts quietly lose their IDs, captions or images: they are classified
+ * from nothing (usually as "other") or identified only by fingerprint.
+ * To notice, every newly seen post is recorded as a sample:
+ *   { noId, noCaption, noImage }
+ * where noId means the surface couldn't find the post's ID and a content
+ * fingerprint was used (see post-identity.js), which can't tell apart
+ * identical reposts and changes if the caption does.
+ *
+ * Totals stay on this device, in chrome.storage.local under
+ * "extractionHealth", per platform and surface:
+ *   { since, sites: { instagram: { feed: { posts, noId, noCaption, noImage }, … } } }
+ *
+ * The widget warns when too many of the last HEALTH_WINDOW posts in the tab
+ * had problems (see getExtractionWarning()).
+ */
+
+'use strict';
+
+/** @const {string} - Local storage key for the totals */
+const EXTRACTION_HEALTH_KEY = 'extractionHealth';
+
+/** @const {number} - Recent posts the widget warning looks at */
+const HEALTH_WINDOW = 30;
+
+/** @const {number} - Posts needed before the widget warns */
+const HEALTH_MIN_POSTS = 10;
+
+/** @const {number} - Share of posts without an ID that triggers a warning */
+const NO_ID_WARNING_SHARE = 0.3;
+
+/** @const {number} - Share of posts with neither caption nor image that triggers a warning */
+const NO_CONTENT_WARNING_SHARE = 0.5;
+
+/**
+ * Empty totals for one surface
+ * @returns {{posts: number, noId: number, noCaption: number, noImage: number}} Totals
+ */
+function emptyHealthCounts() {
+  return { posts: 0, noId: 0, noCaption: 0, noImage: 0 };
+}
+
+/**
+ * Add a post's sample to totals
+ * @param {Object} counts - Totals from emptyHealthCounts() (changed in place)
+ * @param {{noId: boolean, noCaption: boolean, noImage: boolean}} sample - One post
+ * @returns {void}
+ */
+function addHealthSample(counts, sample) {
+  counts.posts++;
+  if (sample.noId) counts.noId++;
+  if (sample.noCaption) counts.noCaption++;
+  if (sample.noImage) counts.noImage++;
+}
+
+/**
+ * Load the stored totals
+ * @returns {Promise<{since: number, sites: Object}>} Totals per platform and surface
+ */
+async function loadExtractionHealth() {
+  const items = await chrome.storage.local.get(EXTRACTION_HEALTH_KEY);
+  return items[EXTRACTION_HEALTH_KEY] || { since: Date.now(), sites: {} };
+}
+
+/**
+ * Add samples to the stored totals
+ * Tabs writing at the same moment may lose a few samples, which is fine
+ * for a health estimate
+ *
+ * @param {string} platform - Platform id
+ * @param {{surface: string, noId: boolean, noCaption: boolean, noImage: boolean}[]} samples - New samples
+ * @returns {Promise<void>}
+ */
+async function saveHealthSamples(platform, samples) {
+  if (samples.length === 0) return;
+
+  const health = await loadExtractionHealth();
+  const site = health.sites[platform] || (health.sites[platform] = {});
+
+  for (const sample of samples) {
+    addHealthSample(site[sample.surface] || (site[sample.surface] = emptyHealthCounts()), sample);
+  }
+  await chrome.storage.local.set({ [EXTRACTION_HEALTH_KEY]: health });
+}
+
+/**
+ * Forget the stored totals (e.g. after loading new selectors)
+ * @returns {Promise<void>}
+ */
+async function resetExtractionHealth() {
+  await chrome.storage.local.remove(EXTRACTION_HEALTH_KEY);
+}
+
+/**
+ * Add up a platform's totals over all its surfaces
+ * @param {Object<string, Object>} surfaces - Surface → totals
+ * @returns {Object} Combined totals
+ */
+function sumHealthCounts(surfaces) {
+  const total = emptyHealthCounts();
+  for (const counts of Object.values(surfaces)) {
+    for (const key of Object.keys(total)) total[key] += counts[key] || 0;
+  }
+  return total;
+}
+
+/**
+ * Decide whether recent posts show broken extraction
+ * @param {Object[]} samples - Most recent samples in this tab, oldest first
+ * @returns {string|null} Warning for the widget, or null if extraction looks fine
+ */
+function getExtractionWarning(samples) {
+  const recent = samples.slice(-HEALTH_WINDOW);
+  if (recent.length < HEALTH_MIN_POSTS) return null;
+
+  const counts = emptyHealthCounts();
+  recent.forEach(sample => addHealthSample(counts, sample));
+  const noContent = recent.filter(sample => sample.noCaption && sample.noImage).length;
+
+  if (counts.noId / counts.posts >= NO_ID_WARNING_SHARE) {
+    return `⚠️ ${Math.round((counts.noId / counts.posts) * 100)}% of recent posts had no ID - they may be miscounted. The site may have changed; new selectors can be loaded in Settings.`;
+  }
+  if (noContent / counts.posts >= NO_CONTENT_WARNING_SHARE) {
+    return `⚠️ ${Math.round((noContent / counts.posts) * 100)}% of recent posts had no caption or image - categories may be wrong. The site may have changed; new selectors can be loaded in Settings.`;
+  }
+  return null;
+}
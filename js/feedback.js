@@ -0,0 +1,210 @@
+// ============================================================================
+// FILE: js/feedback.js
+// Purpose: Learn from the user's manual corrections
+// ============================================================================
+
+/**
+ * Correction Feedback
+ *
+ * Posts reassigned by the user (see correctPostRecord() in storage.js) feed
+ * back into classification in two ways:
+ * 1. Learned keywords - words and #hashtags that keep appearing in captions
+ *    the user moved to the same category are added to that category's
+ *    keywords for the keyword classifier. Words already listed anywhere in
+ *    the taxonomy are left alone, so the user's own keywords always win.
+ * 2. Label priors - each time AI picked category A and the user chose B,
+ *    A's scores are nudged down and B's nudged up for later AI results.
+ *    Priors stay within MIN_LABEL_PRIOR and MAX_LABEL_PRIOR so a few
+ *    corrections can't silence a category.
+ *
+ * Corrections can also be exported as a labelled dataset (JSON Lines).
+ */
+
+'use strict';
+
+/** @const {number} - Corrections to the same category before a word is learned */
+const LEARN_MIN_CORRECTIONS = 2;
+
+/** @const {number} - Most learned keywords kept per category */
+const MAX_LEARNED_KEYWORDS = 30;
+
+/** @const {number} - Shortest word that can be learned (hashtags excepted) */
+const MIN_LEARNED_WORD_LENGTH = 4;
+
+/** @const {number} - Prior change per correction */
+const LABEL_PRIOR_STEP = 0.05;
+
+/** @const {number} - Lowest label prior */
+const MIN_LABEL_PRIOR = 0.5;
+
+/** @const {number} - Highest label prior */
+const MAX_LABEL_PRIOR = 1.5;
+
+/** @const {Set<string>} - Common words never learned as keywords */
+const FEEDBACK_STOP_WORDS = new Set([
+  'this', 'that', 'with', 'from', 'have', 'your', 'just', 'what', 'when', 'will',
+  'they', 'them', 'then', 'than', 'here', 'there', 'were', 'been', 'more', 'some',
+  'about', 'into', 'only', 'over', 'very', 'much', 'like', 'love', 'today', 'time',
+  'post', 'link', 'bio', 'follow', 'instagram', 'insta', 'reels', 'reel', 'explore',
+  'viral', 'trending', 'fyp', 'foryou', 'foryoupage', 'photo', 'video',
+  'tiktok', 'youtube', 'shorts',
+  'user', 'email', 'phone'  // Placeholders left by redactCaption()
+]);
+
+/**
+ * Pick the words of a caption that could become keywords
+ * @param {string} caption - Post caption
+ * @returns {Set<string>} Candidate words and hashtags
+ */
+function extractFeedbackTerms(caption) {
+  const { words, hashtags } = tokenize(caption);
+  const terms = new Set();
+
+  for (const word of words) {
+    if (FEEDBACK_STOP_WORDS.has(word) || /^\d+$/.test(word)) continue;
+    if (word.length >= MIN_LEARNED_WORD_LENGTH || hashtags.has(word)) {
+      terms.add(word);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Find the keywords to learn from the corrections
+ * A word is learned for a category once it appeared in at least
+ * LEARN_MIN_CORRECTIONS captions corrected to that category and in more of
+ * them than for any other category
+ *
+ * @param {Object[]} corrections - Stored corrections
+ * @param {Object} taxonomy - Category name → { keywords, … }
+ * @returns {Object<string, string[]>} Category → learned keywords, most frequent first
+ */
+function learnKeywords(corrections, taxonomy) {
+  // Every keyword the user already has, in any category
+  const known = new Set();
+  for (const data of Object.values(taxonomy)) {
+    for (const keyword of data.keywords || []) {
+      known.add(parseKeyword(keyword).term);
+    }
+  }
+
+  // Term → category → number of corrections
+  const counts = new Map();
+  for (const correction of corrections) {
+    if (!taxonomy[correction.category] || correction.category === 'other') continue;
+
+    const terms = correction.terms || Array.from(extractFeedbackTerms(correction.caption));
+    for (const term of terms) {
+      if (known.has(term)) continue;
+      if (!counts.has(term)) counts.set(term, {});
+
+      const perCategory = counts.get(term);
+      perCategory[correction.category] = (perCategory[correction.category] || 0) + 1;
+    }
+  }
+
+  const learned = {};
+  for (const [term, perCategory] of counts) {
+    const [best, second] = Object.entries(perCategory).sort((a, b) => b[1] - a[1]);
+    if (best[1] < LEARN_MIN_CORRECTIONS || (second && second[1] === best[1])) continue;
+
+    if (!learned[best[0]]) learned[best[0]] = [];
+    learned[best[0]].push({ term, count: best[1] });
+  }
+
+  for (const category of Object.keys(learned)) {
+    learned[category] = learned[category]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_LEARNED_KEYWORDS)
+      .map(entry => entry.term);
+  }
+  return learned;
+}
+
+/**
+ * Add learned keywords to a category taxonomy
+ * Returns a new object (the keyword index is cached per taxonomy object)
+ *
+ * @param {Object} categories - Category name → { keywords, … }
+ * @param {Object<string, string[]>} learned - Result of learnKeywords()
+ * @returns {Object} Categories with the learned keywords appended
+ */
+function withLearnedKeywords(categories, learned) {
+  const result = {};
+
+  for (const [name, data] of Object.entries(categories)) {
+    result[name] = learned[name]
+      ? { ...data, keywords: [...(data.keywords || []), ...learned[name]] }
+      : data;
+  }
+  return result;
+}
+
+/**
+ * Work out per-category priors from corrections of AI results
+ * Keyword mistakes are handled by learned keywords instead
+ *
+ * @param {Object[]} corrections - Stored corrections
+ * @returns {Object<string, number>} Category → score multiplier (1 when absent)
+ */
+function computeLabelPriors(corrections) {
+  const priors = {};
+  const nudge = (category, step) => {
+    priors[category] = (priors[category] || 1) + step;
+  };
+
+  for (const correction of corrections) {
+    const fromAi = correction.predictedMethod === 'ai' ||
+      correction.predictedMethod === 'cache' ||
+      correction.predictedMethod === 'local';
+    if (!fromAi || correction.predicted === correction.category) continue;
+
+    nudge(correction.predicted, -LABEL_PRIOR_STEP);
+    nudge(correction.category, LABEL_PRIOR_STEP);
+  }
+
+  for (const category of Object.keys(priors)) {
+    priors[category] = Math.min(MAX_LABEL_PRIOR, Math.max(MIN_LABEL_PRIOR, priors[category]));
+  }
+  return priors;
+}
+
+/**
+ * Apply label priors to AI labels
+ * @param {{category: string, score: number}[]} labels - Labels from the provider
+ * @param {Object<string, number>} priors - Result of computeLabelPriors()
+ * @returns {{category: string, score: number}[]} Adjusted labels (capped at 1), best first
+ */
+function applyLabelPriors(labels, priors) {
+  return labels
+    .map(label => ({ ...label, score: Math.min(1, label.score * (priors[label.category] || 1)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Turn the corrections into a labelled dataset
+ * One JSON object per line: the text the classifier saw, the label the user
+ * chose and what the classifier predicted
+ *
+ * @param {Object[]} corrections - Stored corrections
+ * @returns {string} JSON Lines text, oldest correction first
+ */
+function buildCorrectionDataset(corrections) {
+  return corrections
+    .slice()
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(correction => JSON.stringify({
+      id: correction.id,
+      caption: correction.caption,
+      terms: correction.terms || [],
+      generatedCaption: correction.generatedCaption,
+      label: correction.category,
+      predicted: correction.predicted,
+      predictedMethod: correction.predictedMethod,
+      predictedLabels: correction.predictedLabels,
+      platform: correction.platform || 'instagram',
+      surface: correction.surface,
+      correctedAt: new Date(correction.timestamp).toISOString()
+    }))
+    .join('\n');
+}
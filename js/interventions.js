@@ -0,0 +1,410 @@
+// ============================================================================
+// FILE: js/interventions.js
+// Purpose: Mindful interventions triggered by user-defined limits per category
+// ============================================================================
+
+/**
+ * Mindful Interventions
+ *
+ * Users define rules in the settings page, for example:
+ *   "after 20 fashion posts in a session → pause screen"
+ *   "after 15 minutes of memes → breathing exercise"
+ *
+ * A session starts when a supported site is opened in a tab. Rules are checked every
+ * time the session counts change; when one trips, a full-screen overlay is
+ * shown with a "continue anyway" path. A rule trips again each time another
+ * multiple of its limit is reached (20, 40, 60 … posts).
+ *
+ * A rule looks like:
+ *   { id, category, metric: 'posts'|'minutes', threshold, type: 'pause'|'reflection'|'breathing' }
+ * where category may be 'any' to count every post.
+ */
+
+'use strict';
+
+/** @const {number} - Seconds the pause screen waits before "continue" is enabled */
+const PAUSE_DURATION = 10;
+
+/** @const {{label: string, seconds: number}[]} - One breathing cycle (box breathing) */
+const BREATHING_STEPS = [
+  { label: 'Breathe in', seconds: 4 },
+  { label: 'Hold', seconds: 4 },
+  { label: 'Breathe out', seconds: 4 },
+  { label: 'Hold', seconds: 4 }
+];
+
+/** @const {number} - Number of breathing cycles in the exercise */
+const BREATHING_CYCLES = 3;
+
+/** @type {Object[]} - Enabled intervention rules */
+let interventionRules = [];
+
+/** @type {Map<string, number>} - How many times each rule has tripped this session */
+let interventionLevels = new Map();
+
+/** @type {HTMLElement|null} - The intervention overlay currently shown */
+let interventionOverlay = null;
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Load the user's intervention rules and keep them updated when edited
+ * @returns {Promise<void>}
+ */
+async function loadInterventionRules() {
+  try {
+    const settings = await chrome.storage.sync.get(['interventionRules']);
+    setInterventionRules(settings.interventionRules || []);
+  } catch (error) {
+    console.error('Failed to load intervention rules:', error);
+  }
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.interventionRules) {
+      setInterventionRules(changes.interventionRules.newValue || []);
+    }
+  });
+}
+
+/**
+ * Replace the active rules, keeping trip levels for rules that still exist
+ * @param {Object[]} rules - Rules from storage
+ * @returns {void}
+ */
+function setInterventionRules(rules) {
+  interventionRules = rules.filter(rule => rule.enabled !== false && rule.threshold > 0);
+
+  const ruleIds = new Set(interventionRules.map(rule => rule.id));
+  for (const ruleId of Array.from(interventionLevels.keys())) {
+    if (!ruleIds.has(ruleId)) interventionLevels.delete(ruleId);
+  }
+}
+
+/**
+ * Get the current session value a rule is measured against
+ * @param {Object} rule - Intervention rule
+ * @param {{posts: Object<string, number>, minutes: Object<string, number>}} stats - Session stats
+ * @returns {number} Post count or minutes
+ */
+function getRuleValue(rule, stats) {
+  const values = rule.metric === 'minutes' ? stats.minutes : stats.posts;
+
+  if (rule.category === 'any') {
+    return Object.values(values).reduce((sum, value) => sum + value, 0);
+  }
+  return values[rule.category] || 0;
+}
+
+/**
+ * Describe what a rule limits, for display
+ * @param {Object} rule - Intervention rule
+ * @returns {string} e.g. "20 fashion posts" or "15 minutes of memes"
+ */
+function describeRule(rule) {
+  if (rule.metric === 'minutes') {
+    return rule.category === 'any'
+      ? `${rule.threshold} minutes`
+      : `${rule.threshold} minutes of ${rule.category}`;
+  }
+
+  return rule.category === 'any'
+    ? `${rule.threshold} posts`
+    : `${rule.threshold} ${rule.category} posts`;
+}
+
+/**
+ * Check every rule against the live session stats and show an intervention
+ * for the first one that tripped. Nothing is shown while an overlay is open.
+ *
+ * @param {{posts: Object<string, number>, minutes: Object<string, number>}} stats - Session stats
+ * @returns {void}
+ */
+function checkInterventions(stats) {
+  if (interventionOverlay) return;
+
+  for (const rule of interventionRules) {
+    const value = getRuleValue(rule, stats);
+    const level = Math.floor(value / rule.threshold);
+
+    if (level > (interventionLevels.get(rule.id) || 0)) {
+      interventionLevels.set(rule.id, level);
+      showIntervention(rule, value);
+      return;
+    }
+  }
+}
+
+// ============================================================================
+// OVERLAY
+// ============================================================================
+
+/**
+ * Show the intervention overlay for a tripped rule
+ * @param {Object} rule - The rule that tripped
+ * @param {number} value - Session value that tripped it
+ * @returns {void}
+ */
+function showIntervention(rule, value) {
+  if (DEBUG) console.log(`🧘 Intervention: ${describeRule(rule)} (${rule.type})`);
+
+  const shownAt = Date.now();
+
+  interventionOverlay = document.createElement('div');
+  interventionOverlay.id = 'content-tracker-intervention';
+  Object.assign(interventionOverlay.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(28, 28, 30, 0.92)',
+    backdropFilter: 'blur(20px)',
+    WebkitBackdropFilter: 'blur(20px)',
+    zIndex: '1000000',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif'
+  });
+
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    width: '360px',
+    padding: '28px',
+    background: 'rgba(255, 255, 255, 0.06)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '16px',
+    color: '#fff',
+    textAlign: 'center'
+  });
+
+  const title = document.createElement('div');
+  Object.assign(title.style, {
+    fontSize: '20px',
+    fontWeight: '600',
+    marginBottom: '10px'
+  });
+
+  const message = document.createElement('div');
+  Object.assign(message.style, {
+    fontSize: '14px',
+    color: 'rgba(255, 255, 255, 0.75)',
+    lineHeight: '1.5',
+    marginBottom: '20px'
+  });
+  message.textContent = `You've reached your limit of ${describeRule(rule)} this session.`;
+
+  const body = document.createElement('div');
+  Object.assign(body.style, {
+    marginBottom: '20px'
+  });
+
+  const continueBtn = createInterventionButton('Continue anyway', false);
+  const stopBtn = createInterventionButton("I'm done for now", true);
+
+  const buttons = document.createElement('div');
+  Object.assign(buttons.style, {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  });
+  buttons.appendChild(stopBtn);
+  buttons.appendChild(continueBtn);
+
+  panel.appendChild(title);
+  panel.appendChild(message);
+  panel.appendChild(body);
+  panel.appendChild(buttons);
+  interventionOverlay.appendChild(panel);
+  document.body.appendChild(interventionOverlay);
+
+  // Type-specific content
+  let reflectionInput = null;
+  let stopAnimation = () => {};
+
+  if (rule.type === 'reflection') {
+    title.textContent = '💭 Take a moment';
+    reflectionInput = buildReflectionPrompt(body);
+  } else if (rule.type === 'breathing') {
+    title.textContent = '🌬️ Breathe with me';
+    stopAnimation = buildBreathingExercise(body);
+  } else {
+    title.textContent = '⏸️ Time for a pause';
+    stopAnimation = buildPauseCountdown(body, continueBtn);
+  }
+
+  // Record the response and close the overlay
+  const respond = (response) => {
+    stopAnimation();
+    interventionOverlay.remove();
+    interventionOverlay = null;
+
+    saveInterventionEvent({
+      id: `${shownAt}-${rule.id}`,
+      ruleId: rule.id,
+      category: rule.category,
+      metric: rule.metric,
+      threshold: rule.threshold,
+      value: Math.round(value * 10) / 10,
+      type: rule.type,
+      shownAt,
+      respondedAt: Date.now(),
+      response,
+      reflection: reflectionInput ? reflectionInput.value.trim() : undefined
+    }).catch(error => console.error('Failed to store intervention:', error));
+
+    if (response === 'stopped') {
+      chrome.runtime.sendMessage({ action: 'closeTab' });
+    }
+  };
+
+  continueBtn.addEventListener('click', () => respond('continued'));
+  stopBtn.addEventListener('click', () => respond('stopped'));
+}
+
+/**
+ * Create a button for the intervention overlay
+ * @param {string} label - Button text
+ * @param {boolean} primary - Whether this is the highlighted action
+ * @returns {HTMLButtonElement} Button
+ */
+function createInterventionButton(label, primary) {
+  const button = document.createElement('button');
+  Object.assign(button.style, {
+    width: '100%',
+    padding: '10px',
+    background: primary
+      ? 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'
+      : 'rgba(255, 255, 255, 0.1)',
+    border: primary ? 'none' : '1px solid rgba(255, 255, 255, 0.2)',
+    color: '#fff',
+    fontSize: '13px',
+    fontWeight: '600',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    transition: 'all 0.2s'
+  });
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Pause screen: "continue" stays disabled for a few seconds
+ * @param {HTMLElement} body - Container for the content
+ * @param {HTMLButtonElement} continueBtn - Button to enable when the pause ends
+ * @returns {function(): void} Stops the countdown
+ */
+function buildPauseCountdown(body, continueBtn) {
+  let remaining = PAUSE_DURATION;
+
+  const countdown = document.createElement('div');
+  Object.assign(countdown.style, {
+    fontSize: '40px',
+    fontWeight: '300'
+  });
+  countdown.textContent = remaining.toString();
+  body.appendChild(countdown);
+
+  continueBtn.disabled = true;
+  continueBtn.style.opacity = '0.4';
+
+  const timer = setInterval(() => {
+    remaining--;
+    countdown.textContent = remaining.toString();
+
+    if (remaining <= 0) {
+      clearInterval(timer);
+      countdown.textContent = '✓';
+      continueBtn.disabled = false;
+      continueBtn.style.opacity = '1';
+    }
+  }, 1000);
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Reflection prompt: a question and a free-text answer
+ * @param {HTMLElement} body - Container for the content
+ * @returns {HTMLTextAreaElement} The answer field
+ */
+function buildReflectionPrompt(body) {
+  const question = document.createElement('div');
+  Object.assign(question.style, {
+    fontSize: '15px',
+    marginBottom: '10px'
+  });
+  // Remind the user of the intentions they set during onboarding
+  const purposes = describePurposes(userProfile);
+  const site = detectSite()?.name || 'Instagram';
+  question.textContent = purposes
+    ? `You said you use ${site} for ${purposes}. Is this helping with that? How are you feeling right now?`
+    : `Is this what you opened ${site} for? How are you feeling right now?`;
+
+  const input = document.createElement('textarea');
+  Object.assign(input.style, {
+    width: '100%',
+    minHeight: '70px',
+    padding: '10px',
+    boxSizing: 'border-box',
+    background: 'rgba(255, 255, 255, 0.08)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '8px',
+    color: '#fff',
+    fontSize: '13px',
+    fontFamily: 'inherit',
+    resize: 'vertical'
+  });
+  input.placeholder = 'Write a few words (optional)';
+
+  body.appendChild(question);
+  body.appendChild(input);
+  return input;
+}
+
+/**
+ * Breathing exercise: an expanding/contracting circle guiding box breathing
+ * @param {HTMLElement} body - Container for the content
+ * @returns {function(): void} Stops the exercise
+ */
+function buildBreathingExercise(body) {
+  const circle = document.createElement('div');
+  Object.assign(circle.style, {
+    width: '120px',
+    height: '120px',
+    margin: '10px auto 16px',
+    borderRadius: '50%',
+    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    transform: 'scale(0.6)',
+    transition: 'transform 4s ease-in-out'
+  });
+
+  const label = document.createElement('div');
+  Object.assign(label.style, {
+    fontSize: '15px'
+  });
+
+  body.appendChild(circle);
+  body.appendChild(label);
+
+  let step = 0;
+  let timer = null;
+
+  const nextStep = () => {
+    if (step >= BREATHING_STEPS.length * BREATHING_CYCLES) {
+      label.textContent = 'Well done 🌿';
+      circle.style.transform = 'scale(0.8)';
+      return;
+    }
+
+    const current = BREATHING_STEPS[step % BREATHING_STEPS.length];
+    label.textContent = current.label;
+    if (current.label === 'Breathe in') circle.style.transform = 'scale(1)';
+    if (current.label === 'Breathe out') circle.style.transform = 'scale(0.6)';
+
+    step++;
+    timer = setTimeout(nextStep, current.seconds * 1000);
+  };
+
+  nextStep();
+  return () => clearTimeout(timer);
+}
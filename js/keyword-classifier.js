@@ -0,0 +1,214 @@
+// ============================================================================
+// FILE: js/keyword-classifier.js
+// Purpose: Weighted keyword classifier used when AI analysis is unavailable
+// ============================================================================
+
+/**
+ * Keyword Classifier
+ *
+ * Scores every category against a caption instead of taking the first match:
+ * 1. The text is split into word tokens and #hashtags (so "ai" never matches
+ *    inside "hair" and "car" never matches "ar")
+ * 2. Each keyword found adds its weight to its category's score
+ *    - Keywords can carry an explicit weight: "ootd^2", "mood^0.5"
+ *    - A keyword listed in several categories is split between them
+ *      ("training" is in fitness, pets and education → 1/3 each)
+ *    - Matching a #hashtag counts extra, since hashtags are deliberate labels
+ *    - Multi-word keywords match as phrases, or as one joined hashtag
+ *      ("healthy eating" matches "#healthyeating")
+ * 3. The best category wins if its score reaches MIN_KEYWORD_SCORE,
+ *    otherwise the post is 'other'
+ *
+ * The result includes a confidence (the winner's share of all scores) and
+ * the runner-up category.
+ */
+
+'use strict';
+
+/** @const {number} - Minimum score for a category to win (below this → 'other') */
+const MIN_KEYWORD_SCORE = 0.75;
+
+/** @const {number} - Multiplier for keywords matched as a #hashtag */
+const HASHTAG_BOOST = 1.5;
+
+/** @type {WeakMap<Object, Object>} - Compiled keyword index per taxonomy object */
+const keywordIndexCache = new WeakMap();
+
+/**
+ * Split a keyword entry into its text and weight
+ * @param {string} entry - e.g. "ootd", "ootd^2" or "hair color^1.5"
+ * @returns {{term: string, weight: number}} Keyword and its weight (default 1)
+ */
+function parseKeyword(entry) {
+  const [term, weightText] = entry.split('^');
+  const weight = weightText === undefined ? 1 : parseFloat(weightText);
+
+  return {
+    term: term.trim().toLowerCase(),
+    weight: weight > 0 ? weight : 1
+  };
+}
+
+/**
+ * Split text into lowercase word tokens, remembering which were hashtags
+ * @param {string} text - Caption or description
+ * @returns {{words: string[], hashtags: Set<string>}} Tokens in order and hashtag set
+ */
+function tokenize(text) {
+  const normalized = (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');  // Strip accents: "café" → "cafe"
+
+  const hashtags = new Set();
+  for (const match of normalized.matchAll(/#([\p{L}\p{N}_]+)/gu)) {
+    hashtags.add(match[1]);
+  }
+
+  const words = normalized.match(/[\p{L}\p{N}]+/gu) || [];
+  return { words, hashtags };
+}
+
+/**
+ * Build a lookup of every keyword in a taxonomy
+ * Cached per taxonomy object, so rebuild happens only after edits
+ *
+ * @param {Object} categories - Category name → { keywords, … }
+ * @returns {{words: Map<string, Object[]>, phrases: Object[]}} Keyword index
+ */
+function buildKeywordIndex(categories) {
+  const cached = keywordIndexCache.get(categories);
+  if (cached) return cached;
+
+  // How many categories list each keyword (to split shared keywords)
+  const sharedCount = new Map();
+  const entries = [];
+
+  for (const [category, data] of Object.entries(categories)) {
+    if (category === 'other') continue;
+
+    const seen = new Set();
+    for (const keyword of data.keywords || []) {
+      const { term, weight } = parseKeyword(keyword);
+      if (!term || seen.has(term)) continue;
+
+      seen.add(term);
+      entries.push({ category, term, weight });
+      sharedCount.set(term, (sharedCount.get(term) || 0) + 1);
+    }
+  }
+
+  const index = { words: new Map(), phrases: [] };
+
+  for (const entry of entries) {
+    const terms = entry.term.split(/[\s-]+/).filter(Boolean);
+    const keyword = {
+      category: entry.category,
+      term: entry.term,
+      terms,
+      joined: terms.join(''),
+      weight: entry.weight / sharedCount.get(entry.term)
+    };
+
+    if (terms.length === 1) {
+      if (!index.words.has(keyword.joined)) index.words.set(keyword.joined, []);
+      index.words.get(keyword.joined).push(keyword);
+    } else {
+      index.phrases.push(keyword);
+    }
+  }
+
+  keywordIndexCache.set(categories, index);
+  return index;
+}
+
+/**
+ * Check whether a phrase's words appear consecutively in the token list
+ * @param {string[]} words - Tokens of the text
+ * @param {string[]} terms - Words of the phrase
+ * @returns {boolean} True if found
+ */
+function containsPhrase(words, terms) {
+  for (let i = 0; i <= words.length - terms.length; i++) {
+    if (terms.every((term, j) => words[i + j] === term)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find a token's keywords, also trying it without a plural "s"/"es"
+ * @param {Map<string, Object[]>} wordIndex - Single-word keyword index
+ * @param {string} token - Word or hashtag
+ * @returns {Object[]} Matching keywords
+ */
+function lookupWord(wordIndex, token) {
+  return wordIndex.get(token) ||
+    (token.endsWith('es') && wordIndex.get(token.slice(0, -2))) ||
+    (token.endsWith('s') && wordIndex.get(token.slice(0, -1))) ||
+    [];
+}
+
+/**
+ * Score every category against a text
+ *
+ * @param {string} text - Caption or description to classify
+ * @param {Object} categories - Category name → { keywords, … }
+ * @returns {{category: string, score: number, confidence: number,
+ *            runnerUp: {category: string, score: number}|null,
+ *            scores: Object<string, number>}} Classification result
+ */
+function classifyByKeywords(text, categories) {
+  const index = buildKeywordIndex(categories);
+  const { words, hashtags } = tokenize(text);
+
+  // Best weight each keyword earned (each keyword counts once per post)
+  const matched = new Map();
+  const addMatch = (keyword, boost) => {
+    const weight = keyword.weight * boost;
+    if (weight > (matched.get(keyword) || 0)) matched.set(keyword, weight);
+  };
+
+  for (const word of words) {
+    for (const keyword of lookupWord(index.words, word)) {
+      addMatch(keyword, hashtags.has(word) ? HASHTAG_BOOST : 1);
+    }
+  }
+
+  for (const phrase of index.phrases) {
+    if (hashtags.has(phrase.joined)) {
+      addMatch(phrase, HASHTAG_BOOST);
+    } else if (containsPhrase(words, phrase.terms)) {
+      addMatch(phrase, 1);
+    }
+  }
+
+  // Add up per category
+  const scores = {};
+  for (const [keyword, weight] of matched) {
+    scores[keyword.category] = (scores[keyword.category] || 0) + weight;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  const [top, second] = ranked;
+
+  if (!top || top[1] < MIN_KEYWORD_SCORE) {
+    return {
+      category: 'other',
+      score: top ? top[1] : 0,
+      confidence: 0,
+      runnerUp: top ? { category: top[0], score: top[1] } : null,
+      scores
+    };
+  }
+
+  return {
+    category: top[0],
+    score: top[1],
+    confidence: top[1] / total,
+    runnerUp: second ? { category: second[0], score: second[1] } : null,
+    scores
+  };
+}
@@ -0,0 +1,248 @@
+// ============================================================================
+// FILE: js/local-classifier.js
+// Purpose: On-device image classification (runs in the background worker)
+// ============================================================================
+
+/**
+ * Local Image Classifier
+ *
+ * Classifies post images without sending them anywhere:
+ * 1. The image is fetched and scaled to the model's input size
+ * 2. A MobileNet image classifier (TensorFlow.js, WASM or CPU backend)
+ *    names what it sees using ImageNet labels ("dumbbell", "pizza", …)
+ * 3. Each predicted label is matched to the user's categories with the
+ *    keyword classifier, weighted by the model's probability
+ * 4. Keywords in the post caption add to the image scores
+ *
+ * This is an optional add-on, not a bundled backend: the extension ships
+ * without TensorFlow.js and the model, and never downloads them at run time.
+ * To use the classifier, copy these files into the extension:
+ *   vendor/tf.min.js                 TensorFlow.js (tf.min.js from @tensorflow/tfjs)
+ *   vendor/tf-backend-wasm.min.js    Optional WASM backend (plus its .wasm files)
+ *   models/mobilenet/model.json      MobileNet v2 graph model and weight shards
+ *   models/mobilenet/labels.json     ImageNet class names, one per model output
+ *
+ * If any of these are missing the classifier reports itself unavailable:
+ * the settings page doesn't offer it and posts fall back to keyword analysis.
+ */
+
+'use strict';
+
+/** @const {string} - Model location, once the add-on files are added */
+const LOCAL_MODEL_URL = '/models/mobilenet/model.json';
+
+/** @const {string} - Class names for the model's outputs */
+const LOCAL_LABELS_URL = '/models/mobilenet/labels.json';
+
+/** @const {string} - Model ID recorded with each classification */
+const LOCAL_MODEL_ID = 'mobilenet_v2 (on-device)';
+
+/** @const {number} - Width and height the model expects */
+const LOCAL_INPUT_SIZE = 224;
+
+/** @const {number} - How many of the model's predictions are used */
+const LOCAL_TOP_K = 5;
+
+/** @const {number} - Weight of caption keywords relative to the image */
+const LOCAL_CAPTION_WEIGHT = 0.5;
+
+/**
+ * @const {Object<string, string>} - ImageNet classes whose names don't
+ * contain any category keyword, mapped to a category
+ */
+const IMAGENET_CATEGORY_HINTS = {
+  'dumbbell': 'fitness',
+  'barbell': 'fitness',
+  'balance beam': 'fitness',
+  'horizontal bar': 'fitness',
+  'running shoe': 'fitness',
+  'lipstick': 'beauty',
+  'face powder': 'beauty',
+  'hair spray': 'beauty',
+  'perfume': 'beauty',
+  'lotion': 'beauty',
+  'jersey': 'fashion',
+  'miniskirt': 'fashion',
+  'sunglasses': 'fashion',
+  'cardigan': 'fashion',
+  'trench coat': 'fashion',
+  'seashore': 'travel',
+  'alp': 'travel',
+  'volcano': 'travel',
+  'airliner': 'travel',
+  'suitcase': 'travel',
+  'cliff': 'travel',
+  'valley': 'travel',
+  'lakeside': 'travel',
+  'pizza': 'food',
+  'cheeseburger': 'food',
+  'espresso': 'food',
+  'plate': 'food',
+  'ice cream': 'food',
+  'golden retriever': 'pets',
+  'tabby': 'pets',
+  'laptop': 'tech',
+  'cellular telephone': 'tech',
+  'notebook': 'tech',
+  'desktop computer': 'tech',
+  'acoustic guitar': 'music',
+  'electric guitar': 'music',
+  'grand piano': 'music',
+  'microphone': 'music',
+  'soccer ball': 'sports',
+  'basketball': 'sports',
+  'tennis ball': 'sports',
+  'book jacket': 'education',
+  'library': 'education',
+  'comic book': 'memes',
+  'palette': 'art',
+  'paintbrush': 'art'
+};
+
+/** @type {Promise<Object>|null} - Loaded model and labels (loaded once) */
+let localModelPromise = null;
+
+/** @type {{available: boolean, error: string|null}|null} - Result of the first load attempt */
+let localModelStatus = null;
+
+/**
+ * Load TensorFlow.js, the model and its labels
+ * @returns {Promise<{model: Object, labels: string[]}>} Loaded model
+ * @throws {Error} If TensorFlow.js or the model files have not been added
+ */
+function loadLocalModel() {
+  if (!localModelPromise) {
+    localModelPromise = (async () => {
+      if (typeof tf === 'undefined') {
+        throw new Error('TensorFlow.js has not been added (vendor/tf.min.js)');
+      }
+
+      // WASM is much faster than the plain CPU backend when it was added too
+      const backend = typeof tf.wasm !== 'undefined' ? 'wasm' : 'cpu';
+      if (backend === 'wasm') {
+        tf.wasm.setWasmPaths(chrome.runtime.getURL('/vendor/'));
+      }
+      await tf.setBackend(backend);
+      await tf.ready();
+
+      const [model, labelsResponse] = await Promise.all([
+        tf.loadGraphModel(chrome.runtime.getURL(LOCAL_MODEL_URL)),
+        fetch(chrome.runtime.getURL(LOCAL_LABELS_URL))
+      ]);
+      const labels = await labelsResponse.json();
+
+      console.log(`Local model loaded (${backend} backend, ${labels.length} classes)`);
+      return { model, labels };
+    })();
+
+    // Let a later call retry (e.g. after the files are added and the worker restarts)
+    localModelPromise.catch(() => {
+      localModelPromise = null;
+    });
+  }
+
+  return localModelPromise;
+}
+
+/**
+ * Check whether the local model can be used
+ * The first answer is kept until the worker restarts, so missing files
+ * are noticed once instead of on every post
+ *
+ * @returns {Promise<{available: boolean, error: string|null}>} Status for the settings page
+ */
+async function getLocalModelStatus() {
+  if (!localModelStatus) {
+    try {
+      await loadLocalModel();
+      localModelStatus = { available: true, error: null };
+    } catch (error) {
+      localModelStatus = { available: false, error: error.message };
+    }
+  }
+  return localModelStatus;
+}
+
+/**
+ * Fetch an image and return the model's top predictions
+ * @param {string} imageUrl - Post image URL
+ * @returns {Promise<{className: string, probability: number}[]>} Predictions, best first
+ */
+async function predictImageClasses(imageUrl) {
+  const { model, labels } = await loadLocalModel();
+
+  const response = await fetch(imageUrl);
+  if (!response.ok) {
+    throw new Error(`Image fetch failed: ${response.status}`);
+  }
+
+  const bitmap = await createImageBitmap(await response.blob(), {
+    resizeWidth: LOCAL_INPUT_SIZE,
+    resizeHeight: LOCAL_INPUT_SIZE,
+    resizeQuality: 'medium'
+  });
+
+  // Model expects a [1, 224, 224, 3] float tensor in the 0-1 range
+  const output = tf.tidy(() => {
+    const pixels = tf.browser.fromPixels(bitmap).toFloat().div(255).expandDims(0);
+    return tf.softmax(model.predict(pixels));
+  });
+  bitmap.close();
+
+  const probabilities = await output.data();
+  output.dispose();
+
+  return Array.from(probabilities)
+    .map((probability, index) => ({ className: labels[index] || '', probability }))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, LOCAL_TOP_K);
+}
+
+/**
+ * Classify a post image into the user's categories on-device
+ *
+ * @param {string} imageUrl - Post image URL
+ * @param {string} caption - Post caption
+ * @returns {Promise<{labels: {category: string, score: number}[], generatedCaption: string}|null>}
+ *   Every matched category with its score (summed model probability plus
+ *   caption weight, capped at 1; best first), or null if nothing in the
+ *   image or caption matched a category
+ */
+async function classifyImageLocally(imageUrl, caption = '') {
+  const [predictions, taxonomy] = await Promise.all([
+    predictImageClasses(imageUrl),
+    loadTaxonomy()
+  ]);
+
+  const scores = {};
+  const addScore = (category, score) => {
+    if (taxonomy[category] && category !== 'other') {
+      scores[category] = (scores[category] || 0) + score;
+    }
+  };
+
+  for (const { className, probability } of predictions) {
+    // ImageNet names can list synonyms: "tabby, tabby cat"
+    const name = className.split(',')[0].trim().toLowerCase();
+    const hint = IMAGENET_CATEGORY_HINTS[name];
+
+    if (hint) {
+      addScore(hint, probability);
+    } else {
+      const result = classifyByKeywords(className, taxonomy);
+      addScore(result.category, probability);
+    }
+  }
+
+  const captionResult = classifyByKeywords(caption, taxonomy);
+  addScore(captionResult.category, captionResult.confidence * LOCAL_CAPTION_WEIGHT);
+
+  if (Object.keys(scores).length === 0) return null;
+
+  return {
+    labels: Object.entries(scores)
+      .map(([category, score]) => ({ category, score: Math.min(1, score) }))
+      .sort((a, b) => b.score - a.score),
+    generatedCaption: predictions.map(prediction => prediction.className.split(',')[0]).join(', ')
+  };
+}
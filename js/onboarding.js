@@ -0,0 +1,268 @@
+// ============================================================================
+// FILE: js/onboarding.js
+// Purpose: Multi-step first-run flow that captures the user's values
+// ============================================================================
+
+/**
+ * Onboarding Page Script
+ * Walks the user through:
+ * 1. A short welcome
+ * 2. What they want Instagram for
+ * 3. Which categories they want more of or less of
+ * 4. Their daily time budget
+ * 5. A summary; the profile is saved when this step is reached
+ *
+ * Opening the page again (from settings) lets the user edit their answers.
+ */
+
+'use strict';
+
+/** @type {HTMLElement[]} - Step containers in order */
+const steps = Array.from(document.querySelectorAll('.step'));
+
+/** @type {number} - Index of the step being shown */
+let currentStep = 0;
+
+/** @type {Object} - The user's category taxonomy (name → { emoji, keywords }) */
+let taxonomy = DEFAULT_CATEGORIES;
+
+/** @type {Object} - Answers collected so far */
+let profile = {
+  purposes: [],
+  moreOf: [],
+  lessOf: [],
+  dailyBudgetMinutes: DEFAULT_DAILY_BUDGET
+};
+
+// ============================================================================
+// STEP CONTENT
+// ============================================================================
+
+/**
+ * Build the purpose cards
+ * @returns {void}
+ */
+function renderPurposes() {
+  const container = document.getElementById('purposeOptions');
+  container.innerHTML = '';
+
+  for (const [purpose, option] of Object.entries(PURPOSE_OPTIONS)) {
+    const card = document.createElement('button');
+    card.className = 'option-card';
+    card.classList.toggle('selected', profile.purposes.includes(purpose));
+    card.textContent = `${option.emoji} ${option.label}`;
+
+    card.addEventListener('click', () => {
+      profile.purposes = toggleValue(profile.purposes, purpose);
+      card.classList.toggle('selected', profile.purposes.includes(purpose));
+    });
+
+    container.appendChild(card);
+  }
+}
+
+/**
+ * Build the "less / more" choice for every category
+ * @returns {void}
+ */
+function renderCategories() {
+  const container = document.getElementById('categoryOptions');
+  container.innerHTML = '';
+
+  for (const [category, data] of Object.entries(taxonomy)) {
+    if (category === 'other') continue;
+
+    const row = document.createElement('div');
+    row.className = 'category-row';
+
+    const name = document.createElement('span');
+    name.textContent = `${data.emoji} ${category}`;
+
+    const group = document.createElement('div');
+    group.className = 'choice-group';
+
+    const lessBtn = document.createElement('button');
+    lessBtn.className = 'less';
+    lessBtn.textContent = 'Less';
+
+    const moreBtn = document.createElement('button');
+    moreBtn.className = 'more';
+    moreBtn.textContent = 'More';
+
+    const refresh = () => {
+      lessBtn.classList.toggle('selected', profile.lessOf.includes(category));
+      moreBtn.classList.toggle('selected', profile.moreOf.includes(category));
+    };
+
+    // Choosing one side clears the other; clicking again returns to neutral
+    lessBtn.addEventListener('click', () => {
+      profile.lessOf = toggleValue(profile.lessOf, category);
+      profile.moreOf = profile.moreOf.filter(value => value !== category);
+      refresh();
+    });
+
+    moreBtn.addEventListener('click', () => {
+      profile.moreOf = toggleValue(profile.moreOf, category);
+      profile.lessOf = profile.lessOf.filter(value => value !== category);
+      refresh();
+    });
+
+    refresh();
+    group.appendChild(lessBtn);
+    group.appendChild(moreBtn);
+    row.appendChild(name);
+    row.appendChild(group);
+    container.appendChild(row);
+  }
+}
+
+/**
+ * Set up the time budget presets and input
+ * @returns {void}
+ */
+function renderBudget() {
+  const input = document.getElementById('budgetMinutes');
+  const presets = document.querySelectorAll('#budgetPresets button');
+
+  const refresh = () => {
+    input.value = profile.dailyBudgetMinutes;
+    presets.forEach(button => {
+      button.classList.toggle('selected', Number(button.dataset.minutes) === profile.dailyBudgetMinutes);
+    });
+  };
+
+  presets.forEach(button => {
+    button.addEventListener('click', () => {
+      profile.dailyBudgetMinutes = Number(button.dataset.minutes);
+      refresh();
+    });
+  });
+
+  input.addEventListener('input', () => {
+    const minutes = parseInt(input.value, 10);
+    if (minutes > 0) {
+      profile.dailyBudgetMinutes = minutes;
+      presets.forEach(button => {
+        button.classList.toggle('selected', Number(button.dataset.minutes) === minutes);
+      });
+    }
+  });
+
+  refresh();
+}
+
+/**
+ * Summarise the answers on the final step
+ * @returns {void}
+ */
+function renderSummary() {
+  const summary = document.getElementById('profileSummary');
+  const listCategories = names => names
+    .map(name => `${taxonomy[name]?.emoji || ''} ${name}`)
+    .join(', ') || 'nothing in particular';
+
+  const lines = [
+    `<strong>You use Instagram for:</strong> ${escapeHtml(describePurposes(profile) || 'no particular reason')}`,
+    `<strong>More of:</strong> ${escapeHtml(listCategories(profile.moreOf))}`,
+    `<strong>Less of:</strong> ${escapeHtml(listCategories(profile.lessOf))}`,
+    `<strong>Daily budget:</strong> ${profile.dailyBudgetMinutes} minutes`
+  ];
+
+  summary.innerHTML = lines.join('<br>');
+}
+
+// ============================================================================
+// NAVIGATION
+// ============================================================================
+
+/**
+ * Show a step and update the progress bar and buttons
+ * @param {number} index - Step index
+ * @returns {void}
+ */
+function showStep(index) {
+  currentStep = index;
+  steps.forEach((step, i) => step.classList.toggle('active', i === index));
+
+  const progress = document.getElementById('progress');
+  progress.innerHTML = '';
+  steps.forEach((step, i) => {
+    const bar = document.createElement('span');
+    if (i <= index) bar.className = 'done';
+    progress.appendChild(bar);
+  });
+
+  const isLast = index === steps.length - 1;
+  document.getElementById('backButton').style.visibility = index === 0 ? 'hidden' : 'visible';
+  document.getElementById('nextButton').textContent =
+    index === 0 ? 'Get started' : isLast ? 'Finish' : 'Next';
+
+  // Save on reaching the summary so the settings link doesn't lose answers
+  if (steps[index].dataset.step === 'done') {
+    renderSummary();
+    saveUserProfile({ ...profile, completedAt: Date.now() })
+      .catch(error => console.error('Failed to save profile:', error));
+  }
+}
+
+document.getElementById('backButton').addEventListener('click', () => {
+  if (currentStep > 0) showStep(currentStep - 1);
+});
+
+document.getElementById('nextButton').addEventListener('click', () => {
+  if (currentStep < steps.length - 1) {
+    showStep(currentStep + 1);
+    return;
+  }
+
+  window.location.href = 'https://www.instagram.com/';
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Add a value to a list, or remove it if already present
+ * @param {string[]} list - Current values
+ * @param {string} value - Value to toggle
+ * @returns {string[]} New list
+ */
+function toggleValue(list, value) {
+  return list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+}
+
+/**
+ * Escape text for safe use in innerHTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Load any existing answers and show the first step
+ * @returns {Promise<void>}
+ */
+async function initialize() {
+  taxonomy = await loadTaxonomy();
+
+  const saved = await loadUserProfile();
+  if (saved) {
+    profile = { ...profile, ...saved };
+  }
+
+  renderPurposes();
+  renderCategories();
+  renderBudget();
+  showStep(0);
+}
+
+initialize();
@@ -9,8 +9,23 @@
  * - Add their Hugging Face API token
  * - See the current API status
  * - Remove their token
+ * - Choose and configure the image analysis provider
+ * - Limit how fast and how many requests are sent to the provider
+ * - See and clear the analysis result cache
+ * - Choose single- or multi-label classification
+ * - Define limits that trigger mindful interventions
+ * - Edit the content categories and their keywords
+ * - Choose privacy controls, data retention, and delete everything
+ * - See how well posts are read from each site and load updated selectors
  */
 
+/** @const {Object<string, string>} - Display names for intervention types */
+const INTERVENTION_TYPE_LABELS = {
+  pause: 'pause screen',
+  reflection: 'reflection prompt',
+  breathing: 'breathing exercise'
+};
+
 /**
  * Check and display the current API token status
  * @returns {Promise<void>}
@@ -34,10 +49,166 @@ async function checkApiStatus() {
 }
 
 /**
- * Save the API token to Chrome storage
+ * Show whether the on-device add-on model can be loaded
+ * @returns {Promise<void>}
+ */
+async function checkLocalModelStatus() {
+  const statusEl = document.getElementById('localModelStatus');
+  
+  statusEl.textContent = 'Loading on-device model…';
+  const status = await chrome.runtime.sendMessage({ action: 'getLocalModelStatus' });
+  statusEl.textContent = status?.available
+    ? '✅ On-device model ready'
+    : `⚠️ On-device model unavailable (${status?.error || 'unknown error'}) - posts will use text-only analysis`;
+}
+
+/**
+ * Show how many results are cached and how often the cache answered
+ * @returns {Promise<void>}
+ */
+async function renderCacheStats() {
+  const stats = await chrome.runtime.sendMessage({ action: 'getCacheStats' });
+  const statsEl = document.getElementById('cacheStats');
+  if (!stats) return;
+  
+  const lookups = stats.hits + stats.misses;
+  const hitRate = lookups > 0 ? ` (${Math.round((stats.hits / lookups) * 100)}% hit rate)` : '';
+  statsEl.textContent = `${stats.entries} cached results · ${stats.hits} hits · ${stats.misses} misses${hitRate}`;
+  statsEl.title = `Since ${new Date(stats.since).toLocaleDateString()}`;
+}
+
+document.getElementById('clearCacheButton').addEventListener('click', async () => {
+  if (!confirm('Clear all cached analysis results? Posts will be sent to the provider again.')) return;
+  
+  await chrome.runtime.sendMessage({ action: 'clearAnalysisCache' });
+  renderCacheStats();
+  showSaveStatus('Cache cleared');
+});
+
+/**
+ * Show the settings fields of the selected provider only
+ * @returns {void}
+ */
+function showProviderFields() {
+  const provider = document.getElementById('classifierProvider').value;
+  
+  document.querySelectorAll('.provider-fields').forEach(fields => {
+    fields.classList.toggle('active', fields.dataset.provider === provider);
+  });
+  
+  if (provider === 'local') {
+    checkLocalModelStatus();
+  }
+}
+
+/**
+ * Ask for access to a provider endpoint's origin
+ * @param {string} url - Endpoint URL (ignored if empty or invalid)
+ * @returns {void}
+ */
+function requestEndpointPermission(url) {
+  let origin;
+  try {
+    origin = new URL(url).origin;
+  } catch (error) {
+    return;
+  }
+  
+  chrome.permissions.request({ origins: [`${origin}/*`] }, (granted) => {
+    if (!granted) {
+      showSaveStatus(`Without access to ${origin} posts will use text-only analysis`);
+    }
+  });
+}
+
+/**
+ * Show the saved provider and single/multi-label settings
+ * @returns {Promise<void>}
+ */
+async function loadClassificationOptions() {
+  const settings = await loadProviderSettings();
+  const { multiLabelMode, multiLabelThreshold } = await chrome.storage.sync.get(['multiLabelMode', 'multiLabelThreshold']);
+  
+  // The on-device model is an optional add-on, only offered once its files are added
+  const localModel = await chrome.runtime.sendMessage({ action: 'getLocalModelStatus' });
+  
+  const providerSelect = document.getElementById('classifierProvider');
+  for (const [id, provider] of Object.entries(CLASSIFIER_PROVIDERS)) {
+    if (id === 'local' && !localModel?.available && settings.classifierProvider !== 'local') continue;
+    
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = provider.name;
+    providerSelect.appendChild(option);
+  }
+  // In local-only mode show the provider the user chose, not its stand-in
+  providerSelect.value = settings.blockedProvider || settings.classifierProvider;
+  providerSelect.addEventListener('change', showProviderFields);
+  showProviderFields();
+  
+  const openai = settings.providerConfig.openai || {};
+  document.getElementById('openaiBaseUrl').value = openai.baseUrl || '';
+  document.getElementById('openaiModel').value = openai.model || '';
+  document.getElementById('openaiApiKey').value = openai.apiKey || '';
+  
+  const custom = settings.providerConfig.custom || {};
+  document.getElementById('customEndpointUrl').value = custom.url || '';
+  document.getElementById('customEndpointKey').value = custom.apiKey || '';
+  
+  const { schedulerSettings = {} } = await chrome.storage.sync.get(['schedulerSettings']);
+  if (schedulerSettings.concurrency) document.getElementById('schedulerConcurrency').value = schedulerSettings.concurrency;
+  if (schedulerSettings.requestsPerMinute) document.getElementById('schedulerRate').value = schedulerSettings.requestsPerMinute;
+  if (schedulerSettings.timeoutSeconds) document.getElementById('schedulerTimeout').value = schedulerSettings.timeoutSeconds;
+  
+  document.getElementById('multiLabelMode').checked = multiLabelMode === true;
+  if (multiLabelThreshold) {
+    document.getElementById('multiLabelThreshold').value = Math.round(multiLabelThreshold * 100);
+  }
+}
+
+/**
+ * Save the API token, provider and classification settings to Chrome storage
  */
 document.getElementById('saveButton').addEventListener('click', function() {
   const token = document.getElementById('huggingFaceToken').value.trim();
+  const fieldValue = id => document.getElementById(id).value.trim();
+  
+  // The background worker needs host access to reach a self-hosted server.
+  // Must be requested straight from the click, before anything async.
+  const provider = document.getElementById('classifierProvider').value;
+  const endpointFields = { openai: 'openaiBaseUrl', custom: 'customEndpointUrl' };
+  if (endpointFields[provider]) {
+    requestEndpointPermission(fieldValue(endpointFields[provider]));
+  }
+  
+  chrome.storage.sync.set({
+    classifierProvider: provider,
+    providerConfig: {
+      openai: {
+        baseUrl: fieldValue('openaiBaseUrl'),
+        model: fieldValue('openaiModel'),
+        apiKey: fieldValue('openaiApiKey')
+      },
+      custom: {
+        url: fieldValue('customEndpointUrl'),
+        apiKey: fieldValue('customEndpointKey')
+      }
+    },
+    schedulerSettings: {
+      concurrency: clampNumber(fieldValue('schedulerConcurrency'), 1, 8, 2),
+      requestsPerMinute: clampNumber(fieldValue('schedulerRate'), 1, 600, 30),
+      timeoutSeconds: clampNumber(fieldValue('schedulerTimeout'), 5, 300, 30)
+    },
+    multiLabelMode: document.getElementById('multiLabelMode').checked,
+    multiLabelThreshold: clampNumber(fieldValue('multiLabelThreshold'), 5, 95, 30) / 100,
+    [PRIVACY_SETTINGS_KEY]: {
+      localOnly: document.getElementById('localOnlyMode').checked,
+      redactRequests: document.getElementById('redactRequests').checked,
+      keepCorrectionCaptions: document.getElementById('keepCorrectionCaptions').checked,
+      retentionDays: clampNumber(fieldValue('retentionDays'), 0, MAX_RETENTION_DAYS, 0)
+    }
+  });
+  updateLocalOnlyNote();
   
   if (token) {
     // Save token
@@ -69,5 +240,507 @@ function showSaveStatus(message) {
   }, 2000);
 }
 
+// ============================================================================
+// PRIVACY
+// ============================================================================
+
+/**
+ * Show the saved privacy settings
+ * @returns {Promise<void>}
+ */
+async function loadPrivacyOptions() {
+  const settings = await loadPrivacySettings();
+  
+  document.getElementById('localOnlyMode').checked = settings.localOnly;
+  document.getElementById('redactRequests').checked = settings.redactRequests;
+  document.getElementById('keepCorrectionCaptions').checked = settings.keepCorrectionCaptions;
+  document.getElementById('retentionDays').value = settings.retentionDays;
+  updateLocalOnlyNote();
+}
+
+/**
+ * Explain when local-only mode overrides the chosen provider
+ * @returns {void}
+ */
+function updateLocalOnlyNote() {
+  const provider = getClassifierProvider(document.getElementById('classifierProvider').value);
+  const localOnly = document.getElementById('localOnlyMode').checked;
+  
+  document.getElementById('localOnlyNote').textContent = localOnly && provider.remote
+    ? `${provider.name} is a remote service, so posts will use text-only analysis. Choose the on-device model to keep image analysis.`
+    : '';
+}
+
+document.getElementById('localOnlyMode').addEventListener('change', updateLocalOnlyNote);
+document.getElementById('classifierProvider').addEventListener('change', updateLocalOnlyNote);
+
+document.getElementById('deleteEverythingButton').addEventListener('click', async () => {
+  if (!confirm('Delete everything? Your history, corrections, categories, settings and API tokens will be removed. This cannot be undone.')) return;
+  
+  await chrome.runtime.sendMessage({ action: 'clearAnalysisCache' });
+  await deleteAllData();
+  location.reload();
+});
+
+// ============================================================================
+// INTERVENTION RULES
+// ============================================================================
+
+/**
+ * Fill the category picker for new rules from the user's taxonomy
+ * @returns {Promise<void>}
+ */
+async function populateRuleCategories() {
+  const taxonomy = await loadTaxonomy();
+  const select = document.getElementById('ruleCategory');
+  
+  // Keep the "any content" option, replace the rest
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+  
+  for (const [name, data] of Object.entries(taxonomy)) {
+    if (name === 'other') continue;
+    
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = `${data.emoji} ${name}`;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * Describe a rule for the rule list
+ * @param {Object} rule - Intervention rule
+ * @returns {string} e.g. "After 20 fashion posts → pause screen"
+ */
+function describeInterventionRule(rule) {
+  const subject = rule.category === 'any' ? '' : ` ${rule.category}`;
+  const amount = rule.metric === 'minutes'
+    ? `${rule.threshold} minutes of${subject || ' anything'}`
+    : `${rule.threshold}${subject} posts`;
+  
+  return `After ${amount} → ${INTERVENTION_TYPE_LABELS[rule.type]}`;
+}
+
+/**
+ * Show the saved intervention rules
+ * @returns {Promise<void>}
+ */
+async function renderInterventionRules() {
+  const { interventionRules = [] } = await chrome.storage.sync.get(['interventionRules']);
+  const list = document.getElementById('ruleList');
+  list.innerHTML = '';
+  
+  if (interventionRules.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = 'No limits set yet';
+    list.appendChild(empty);
+    return;
+  }
+  
+  for (const rule of interventionRules) {
+    const item = document.createElement('li');
+    const text = document.createElement('span');
+    text.textContent = describeInterventionRule(rule);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-button';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', async () => {
+      const remaining = interventionRules.filter(r => r.id !== rule.id);
+      await chrome.storage.sync.set({ interventionRules: remaining });
+      renderInterventionRules();
+      showSaveStatus('Limit removed');
+    });
+    
+    item.appendChild(text);
+    item.appendChild(removeBtn);
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Add a new intervention rule from the form
+ */
+document.getElementById('addRuleButton').addEventListener('click', async function() {
+  const threshold = parseInt(document.getElementById('ruleThreshold').value, 10);
+  
+  if (!threshold || threshold < 1) {
+    showSaveStatus('Enter a limit of at least 1');
+    return;
+  }
+  
+  const rule = {
+    id: Date.now().toString(36),
+    category: document.getElementById('ruleCategory').value,
+    metric: document.getElementById('ruleMetric').value,
+    threshold,
+    type: document.getElementById('ruleType').value,
+    enabled: true
+  };
+  
+  const { interventionRules = [] } = await chrome.storage.sync.get(['interventionRules']);
+  await chrome.storage.sync.set({ interventionRules: [...interventionRules, rule] });
+  
+  renderInterventionRules();
+  showSaveStatus('Limit added!');
+});
+
+// ============================================================================
+// CATEGORY EDITOR
+// ============================================================================
+
+/**
+ * Working copy of the taxonomy being edited. Each row remembers the name it
+ * was loaded with so renames, merges and deletes can be applied to history.
+ * @type {{originalName: string|null, name: string, emoji: string, keywords: string, removedInto: Object|null|undefined}[]}
+ */
+let categoryRows = [];
+
+/** @const {string} - Emoji given to newly added categories */
+const NEW_CATEGORY_EMOJI = '🏷️';
+
+/**
+ * Load the taxonomy into the editor
+ * @returns {Promise<void>}
+ */
+async function loadCategoryEditor() {
+  const taxonomy = await loadTaxonomy();
+  
+  categoryRows = Object.entries(taxonomy).map(([name, data]) => ({
+    originalName: name,
+    name,
+    emoji: data.emoji,
+    keywords: data.keywords.join(', '),
+    removedInto: undefined
+  }));
+  
+  renderCategoryEditor();
+}
+
+/**
+ * Draw one card per category still in the taxonomy
+ * removedInto is undefined for live rows, null for deleted rows and the
+ * target row for merged rows
+ */
+function renderCategoryEditor() {
+  const list = document.getElementById('categoryList');
+  list.innerHTML = '';
+  
+  const liveRows = categoryRows.filter(row => row.removedInto === undefined);
+  
+  for (const row of liveRows) {
+    const isOther = row.originalName === 'other';
+    
+    const card = document.createElement('div');
+    card.className = 'category-card';
+    
+    const header = document.createElement('div');
+    header.className = 'category-card-header';
+    
+    const emojiInput = document.createElement('input');
+    emojiInput.type = 'text';
+    emojiInput.className = 'emoji-input';
+    emojiInput.value = row.emoji;
+    emojiInput.addEventListener('input', () => { row.emoji = emojiInput.value; });
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'name-input';
+    nameInput.value = row.name;
+    nameInput.placeholder = 'category name';
+    nameInput.disabled = isOther;
+    nameInput.addEventListener('input', () => { row.name = nameInput.value; });
+    
+    header.appendChild(emojiInput);
+    header.appendChild(nameInput);
+    
+    if (!isOther) {
+      // Merge this category into another one
+      const mergeSelect = document.createElement('select');
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'Merge into…';
+      mergeSelect.appendChild(placeholder);
+      
+      liveRows.forEach((target, index) => {
+        if (target === row || target.originalName === 'other') return;
+        const option = document.createElement('option');
+        option.value = index.toString();
+        option.textContent = `${target.emoji} ${target.name}`;
+        mergeSelect.appendChild(option);
+      });
+      
+      mergeSelect.addEventListener('change', () => {
+        const target = liveRows[Number(mergeSelect.value)];
+        if (!target) return;
+        
+        const merged = new Set([...splitKeywords(target.keywords), ...splitKeywords(row.keywords)]);
+        target.keywords = Array.from(merged).join(', ');
+        row.removedInto = target;
+        renderCategoryEditor();
+      });
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'remove-button';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => {
+        row.removedInto = null;
+        renderCategoryEditor();
+      });
+      
+      header.appendChild(mergeSelect);
+      header.appendChild(deleteBtn);
+    }
+    
+    card.appendChild(header);
+    
+    if (!isOther) {
+      const keywordsInput = document.createElement('textarea');
+      keywordsInput.value = row.keywords;
+      keywordsInput.placeholder = 'keywords, separated, by commas';
+      keywordsInput.addEventListener('input', () => { row.keywords = keywordsInput.value; });
+      card.appendChild(keywordsInput);
+    }
+    
+    list.appendChild(card);
+  }
+}
+
+/**
+ * Turn a comma-separated keyword list into clean, unique keywords
+ * @param {string} text - Keywords separated by commas
+ * @returns {string[]} Keywords
+ */
+function splitKeywords(text) {
+  const keywords = text
+    .split(',')
+    .map(keyword => keyword.trim().toLowerCase())
+    .filter(Boolean);
+  return Array.from(new Set(keywords));
+}
+
+/**
+ * Show validation errors under the category editor
+ * @param {string[]} errors - Errors to show (empty clears the list)
+ */
+function showCategoryErrors(errors) {
+  const list = document.getElementById('categoryErrors');
+  list.innerHTML = '';
+  
+  for (const error of errors) {
+    const item = document.createElement('li');
+    item.textContent = error;
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Apply a category rename/merge/delete mapping to the user's profile and
+ * intervention rules. Rules for deleted categories are removed.
+ * @param {Object<string, string>} mapping - Old name → new name ('other' for deleted)
+ * @param {Set<string>} deleted - Names of deleted categories
+ * @returns {Promise<void>}
+ */
+async function remapCategorySettings(mapping, deleted) {
+  const { userProfile, interventionRules = [] } =
+    await chrome.storage.sync.get(['userProfile', 'interventionRules']);
+  
+  const remapList = names => Array.from(new Set(
+    names.filter(name => !deleted.has(name)).map(name => mapping[name] || name)
+  ));
+  
+  const updates = {
+    interventionRules: interventionRules
+      .filter(rule => !deleted.has(rule.category))
+      .map(rule => ({ ...rule, category: mapping[rule.category] || rule.category }))
+  };
+  
+  if (userProfile) {
+    updates.userProfile = {
+      ...userProfile,
+      moreOf: remapList(userProfile.moreOf || []),
+      lessOf: remapList(userProfile.lessOf || [])
+    };
+  }
+  
+  await chrome.storage.sync.set(updates);
+}
+
+document.getElementById('addCategoryButton').addEventListener('click', function() {
+  categoryRows.push({
+    originalName: null,
+    name: '',
+    emoji: NEW_CATEGORY_EMOJI,
+    keywords: '',
+    removedInto: undefined
+  });
+  renderCategoryEditor();
+  
+  const list = document.getElementById('categoryList');
+  list.scrollTop = list.scrollHeight;
+});
+
+/**
+ * Validate and save the edited categories, then apply renames, merges and
+ * deletes to the stored history, profile and intervention rules
+ */
+document.getElementById('saveCategoriesButton').addEventListener('click', async function() {
+  const liveRows = categoryRows.filter(row => row.removedInto === undefined);
+  const taxonomy = {};
+  const errors = [];
+  
+  for (const row of liveRows) {
+    const name = row.name.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!name) {
+      errors.push('Every category needs a name');
+      continue;
+    }
+    if (taxonomy[name]) {
+      errors.push(`"${name}" is used more than once`);
+      continue;
+    }
+    
+    row.name = name;
+    taxonomy[name] = { emoji: row.emoji.trim(), keywords: splitKeywords(row.keywords) };
+  }
+  
+  errors.push(...validateTaxonomy(taxonomy));
+  showCategoryErrors(errors);
+  if (errors.length > 0) return;
+  
+  // Work out where each original category went
+  const mapping = {};
+  const deleted = new Set();
+  
+  for (const row of categoryRows) {
+    if (!row.originalName) continue;
+    
+    if (row.removedInto === null) {
+      mapping[row.originalName] = 'other';
+      deleted.add(row.originalName);
+    } else if (row.removedInto) {
+      let target = row.removedInto;
+      while (target.removedInto) target = target.removedInto;  // Merged into a merged category
+      mapping[row.originalName] = target.removedInto === null ? 'other' : target.name;
+    } else if (row.name !== row.originalName) {
+      mapping[row.originalName] = row.name;
+    }
+  }
+  
+  await saveTaxonomy(taxonomy);
+  
+  if (Object.keys(mapping).length > 0) {
+    const changed = await remapPostCategories(mapping);
+    await remapCategorySettings(mapping, deleted);
+    if (changed > 0) showSaveStatus(`Categories saved, ${changed} posts updated`);
+    else showSaveStatus('Categories saved!');
+  } else {
+    showSaveStatus('Categories saved!');
+  }
+  
+  await loadCategoryEditor();
+  await populateRuleCategories();
+  renderInterventionRules();
+});
+
+document.getElementById('restoreCategoriesButton').addEventListener('click', async function() {
+  if (!confirm('Replace your categories with the built-in defaults?')) return;
+  
+  await restoreDefaultTaxonomy();
+  showCategoryErrors([]);
+  await loadCategoryEditor();
+  await populateRuleCategories();
+  showSaveStatus('Default categories restored');
+});
+
+// ============================================================================
+// PAGE DETECTION
+// ============================================================================
+
+/**
+ * List extraction health per site and the selector config in use
+ * @returns {Promise<void>}
+ */
+async function renderPageDetection() {
+  const [health, config] = await Promise.all([loadExtractionHealth(), loadSelectorConfig()]);
+  const list = document.getElementById('extractionHealthList');
+  const percent = (count, total) => `${Math.round((count / total) * 100)}%`;
+  list.innerHTML = '';
+  
+  for (const [platform, adapter] of Object.entries(SITE_ADAPTERS)) {
+    const counts = sumHealthCounts(health.sites[platform] || {});
+    const item = document.createElement('li');
+  
+    item.textContent = counts.posts > 0
+      ? `${adapter.emoji} ${adapter.name}: ${counts.posts} posts · no ID ${percent(counts.noId, counts.posts)}` +
+        ` · no caption ${percent(counts.noCaption, counts.posts)} · no image ${percent(counts.noImage, counts.posts)}`
+      : `${adapter.emoji} ${adapter.name}: no posts seen yet`;
+    list.appendChild(item);
+  }
+  
+  const since = `Statistics since ${new Date(health.since).toLocaleDateString()}.`;
+  document.getElementById('selectorConfigStatus').textContent = config
+    ? `Using loaded selectors (version ${config.version || 'unknown'}). ${since}`
+    : `Using the built-in selectors. ${since}`;
+}
+
+/**
+ * Load a selector config file and start counting health afresh
+ * @param {File} file - Chosen file
+ * @returns {Promise<void>}
+ */
+async function importSelectorConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(await file.text());
+  } catch (error) {
+    alert('This file is not valid JSON.');
+    return;
+  }
+  
+  const errors = validateSelectorConfig(config);
+  if (errors.length > 0) {
+    alert(`These selectors can't be used:\n\n${errors.join('\n')}`);
+    return;
+  }
+  
+  await chrome.storage.local.set({ [SELECTOR_CONFIG_KEY]: config });
+  await resetExtractionHealth();
+  await renderPageDetection();
+  showSaveStatus('Selectors loaded');
+}
+
+document.getElementById('loadSelectorsButton').addEventListener('click', () => {
+  document.getElementById('selectorFile').click();
+});
+
+document.getElementById('selectorFile').addEventListener('change', (event) => {
+  if (event.target.files[0]) importSelectorConfig(event.target.files[0]);
+  event.target.value = '';
+});
+
+document.getElementById('downloadSelectorsButton').addEventListener('click', () => {
+  const config = buildSelectorConfig();
+  downloadFile(JSON.stringify(config, null, 2), `selectors-${config.version}.json`, 'application/json');
+});
+
+document.getElementById('defaultSelectorsButton').addEventListener('click', async () => {
+  if (!confirm('Go back to the built-in selectors?')) return;
+  
+  await chrome.storage.local.remove(SELECTOR_CONFIG_KEY);
+  await resetExtractionHealth();
+  await renderPageDetection();
+  showSaveStatus('Built-in selectors restored');
+});
+
 // Check status when page loads
-checkApiStatus();
\ No newline at end of file
+checkApiStatus();
+loadClassificationOptions().then(loadPrivacyOptions);
+renderCacheStats();
+populateRuleCategories();
+renderInterventionRules();
+loadCategoryEditor();
+renderPageDetection();
\ No newline at end of file
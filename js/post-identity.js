@@ -0,0 +1,119 @@
+// ============================================================================
+// FILE: js/post-identity.js
+// Purpose: Stable IDs for posts, so each post is counted once
+// ============================================================================
+
+/**
+ * Post Identity
+ *
+ * A post must get the same ID on every scan, page load and tab, or it is
+ * counted again. IDs come from, in order:
+ * 1. The site: the shortcode or video ID the site adapter finds in the
+ *    post's links or the URL
+ * 2. A fingerprint: "fp-<hash>" of the start of the normalised caption, the
+ *    author's handle and the image asset ID (the image file name without
+ *    size or crop parameters). There is no time component.
+ *
+ * A post with neither (nothing rendered yet) gets no ID and is retried as
+ * the page fills in.
+ *
+ * The site ID sometimes renders after the post first appears. The content
+ * script keeps the fingerprint of each on-screen post element and, once the
+ * site ID shows up in that element, moves the post's record to it (without
+ * fingerprinting again: the caption may have expanded or comments loaded
+ * meanwhile, which changes the hash) and stores an alias
+ * "postAlias:<fingerprint>" → site ID (see reconcilePostRecord() in
+ * storage.js), so the fingerprint resolves to the site ID from then on.
+ */
+
+'use strict';
+
+/** @const {number} - Characters of the normalised caption used in a fingerprint */
+const FINGERPRINT_CAPTION_LENGTH = 80;
+
+/** @const {number} - Shortest caption that identifies a post without an image */
+const MIN_FINGERPRINT_CAPTION_LENGTH = 20;
+
+/**
+ * Normalise a caption for fingerprinting
+ * Only the start is used, because sites truncate long captions ("… more")
+ * until they are expanded
+ *
+ * @param {string} caption - Caption text
+ * @returns {string} Lower-case caption start with collapsed whitespace
+ */
+function normaliseCaptionForId(caption) {
+  return (caption || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/(…|\.\.\.)\s*more\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, FINGERPRINT_CAPTION_LENGTH);
+}
+
+/**
+ * Get the part of an image URL that names the image itself
+ * Sizes, crops and signatures (query string, TikTok's "~tplv-…" suffix)
+ * are dropped; the parent folder is kept because some sites use generic
+ * file names (YouTube's ".../vi/<id>/hqdefault.jpg")
+ *
+ * @param {string|null} imageUrl - Image URL
+ * @returns {string} Asset ID, or '' if there is no usable URL
+ */
+function imageAssetId(imageUrl) {
+  let path;
+  try {
+    path = new URL(imageUrl).pathname;
+  } catch (error) {
+    return '';
+  }
+
+  const segments = path.split('/').filter(Boolean);
+  const file = (segments.pop() || '').replace(/~.*$/, '').replace(/\.\w+$/, '');
+  return file ? `${segments.pop() || ''}/${file}` : '';
+}
+
+/**
+ * Hash a string (cyrb53: fast, 53 bits, good spread - not cryptographic)
+ * @param {string} text - Text to hash
+ * @returns {string} Base-36 hash
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Fingerprint a post from what is visible of it
+ * @param {{caption: string, author: string|null, imageUrl: string|null}} content - Extracted content
+ * @returns {string|null} "fp-<hash>", or null if there is too little to go on
+ */
+function fingerprintPost({ caption, author, imageUrl }) {
+  const text = normaliseCaptionForId(caption);
+  const asset = imageAssetId(imageUrl);
+
+  // An author alone would give all their posts the same ID
+  if (!asset && text.length < MIN_FINGERPRINT_CAPTION_LENGTH) return null;
+
+  return `fp-${hashString([author || '', text, asset].join('\n'))}`;
+}
+
+/**
+ * Whether a post ID is a fingerprint rather than a site ID
+ * @param {string} postId - Post ID
+ * @returns {boolean} True for "fp-…" IDs
+ */
+function isFingerprintId(postId) {
+  return postId.startsWith('fp-');
+}
@@ -0,0 +1,126 @@
+// ============================================================================
+// FILE: js/post-media.js
+// Purpose: Collect every image of a post for analysis (slides, video frames)
+// ============================================================================
+
+/**
+ * Post Media
+ *
+ * A post is analysed from all of its media, not only its first image:
+ * - image:    the one image
+ * - carousel: every slide already loaded, up to MAX_CAROUSEL_SLIDES
+ * - video:    the poster/cover plus up to VIDEO_FRAME_SAMPLES frames taken
+ *             while the video plays, VIDEO_FRAME_INTERVAL apart
+ *
+ * Frames are drawn on an OffscreenCanvas and sent as JPEG data: URLs. The
+ * video is never paused or seeked, so only frames the user actually sees
+ * are sampled. Videos served from another origin without CORS (TikTok)
+ * taint the canvas; those posts are analysed from their cover alone.
+ *
+ * Each image is classified on its own and the results are combined with
+ * aggregateLabels(): a category's score is its average over all images.
+ */
+
+'use strict';
+
+/** @const {number} - Most carousel slides analysed per post */
+const MAX_CAROUSEL_SLIDES = 5;
+
+/** @const {number} - Most frames sampled per video */
+const VIDEO_FRAME_SAMPLES = 3;
+
+/** @const {number} - Time between sampled frames (ms) */
+const VIDEO_FRAME_INTERVAL = 1500;
+
+/** @const {number} - Longest side of a sampled frame (px) */
+const VIDEO_FRAME_MAX_SIZE = 512;
+
+/** @const {number} - JPEG quality of sampled frames */
+const VIDEO_FRAME_QUALITY = 0.8;
+
+/**
+ * Draw a video's current frame and encode it
+ * @param {HTMLVideoElement} video - Playing (or paused) video
+ * @returns {Promise<string|null>} JPEG data: URL, or null if no frame can be read
+ */
+async function captureVideoFrame(video) {
+  if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA || !video.videoWidth) return null;
+
+  const scale = Math.min(1, VIDEO_FRAME_MAX_SIZE / Math.max(video.videoWidth, video.videoHeight));
+  const canvas = new OffscreenCanvas(
+    Math.round(video.videoWidth * scale),
+    Math.round(video.videoHeight * scale)
+  );
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  try {
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: VIDEO_FRAME_QUALITY });
+    return await blobToDataUrl(blob);
+  } catch (error) {
+    // SecurityError: the video is cross-origin and tainted the canvas
+    return null;
+  }
+}
+
+/**
+ * Read a blob as a data: URL
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>} data: URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Sample frames of a video as it plays
+ * Stops early when the video stops, leaves the page or the caller cancels
+ *
+ * @param {HTMLVideoElement} video - Video to sample
+ * @param {function(): boolean} isCancelled - Whether the frames are no longer needed
+ * @returns {Promise<string[]>} JPEG data: URLs, possibly none
+ */
+async function sampleVideoFrames(video, isCancelled) {
+  const frames = [];
+  let lastTime = null;
+
+  for (let i = 0; i < VIDEO_FRAME_SAMPLES; i++) {
+    if (i > 0) {
+      await new Promise(resolve => setTimeout(resolve, VIDEO_FRAME_INTERVAL));
+      if (isCancelled() || !video.isConnected) break;
+    }
+
+    // A paused video shows the frame sampled last time
+    if (video.currentTime === lastTime) break;
+
+    const frame = await captureVideoFrame(video);
+    if (!frame) break;
+
+    frames.push(frame);
+    lastTime = video.currentTime;
+  }
+
+  return frames;
+}
+
+/**
+ * Combine the labels of a post's images
+ * @param {{category: string, score: number}[][]} labelSets - Labels of each image
+ * @returns {{category: string, score: number}[]} Average score per category, best first
+ */
+function aggregateLabels(labelSets) {
+  const totals = {};
+  for (const labels of labelSets) {
+    for (const { category, score } of labels) {
+      totals[category] = (totals[category] || 0) + score;
+    }
+  }
+
+  return Object.entries(totals)
+    .map(([category, total]) => ({ category, score: total / labelSets.length }))
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,107 @@
+// ============================================================================
+// FILE: js/privacy.js
+// Purpose: Privacy settings, caption redaction and data retention
+// ============================================================================
+
+/**
+ * Privacy Controls
+ *
+ * Stored in chrome.storage.sync under "privacySettings":
+ *   {
+ *     localOnly: false,              // Never call a remote analysis service
+ *     redactRequests: true,          // Strip personal details before remote calls
+ *     keepCorrectionCaptions: false, // Store caption text with corrections
+ *     retentionDays: 0               // Delete history older than this (0 = keep)
+ *   }
+ *
+ * - Local-only mode makes every remote provider (Hugging Face, OpenAI-
+ *   compatible, custom endpoint) fall back to keyword analysis; only the
+ *   on-device model or keywords classify posts. See loadProviderSettings().
+ * - Redaction removes @usernames, email addresses, links and phone numbers
+ *   from the caption sent to a remote provider, and the image URL is not
+ *   sent along with the image.
+ * - Captions and image URLs are never stored with post records. Corrections
+ *   keep only the keywords learned from (unless keepCorrectionCaptions).
+ * - History older than retentionDays is deleted daily by the background
+ *   worker (post records, corrections, intervention events and cached
+ *   analysis results).
+ */
+
+'use strict';
+
+/** @const {string} - Sync storage key for the privacy settings */
+const PRIVACY_SETTINGS_KEY = 'privacySettings';
+
+/** @const {Object} - Privacy settings before the user changes anything */
+const DEFAULT_PRIVACY_SETTINGS = {
+  localOnly: false,
+  redactRequests: true,
+  keepCorrectionCaptions: false,
+  retentionDays: 0
+};
+
+/** @const {number} - Longest retention period offered (ten years) */
+const MAX_RETENTION_DAYS = 3650;
+
+/** @const {{pattern: RegExp, replacement: string}[]} - Personal details removed by redactCaption() */
+const REDACTION_RULES = [
+  { pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g, replacement: '[email]' },
+  { pattern: /\b(https?:\/\/|www\.)\S+/gi, replacement: '[link]' },
+  { pattern: /(^|[^\w])@[\w.]+/g, replacement: '$1[user]' },
+  { pattern: /(\+\d{1,3}[\s.-]?)?\(?\d{2,4}\)?[\s.-]?\d{3,4}[\s.-]?\d{3,4}\b/g, replacement: '[phone]' }
+];
+
+/**
+ * Load the privacy settings
+ * @returns {Promise<Object>} Settings with defaults filled in
+ */
+async function loadPrivacySettings() {
+  const items = await chrome.storage.sync.get([PRIVACY_SETTINGS_KEY]);
+  return { ...DEFAULT_PRIVACY_SETTINGS, ...items[PRIVACY_SETTINGS_KEY] };
+}
+
+/**
+ * Listen for privacy setting changes
+ * @param {function(Object): void} callback - Receives the new settings
+ * @returns {void}
+ */
+function onPrivacySettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[PRIVACY_SETTINGS_KEY]) {
+      callback({ ...DEFAULT_PRIVACY_SETTINGS, ...changes[PRIVACY_SETTINGS_KEY].newValue });
+    }
+  });
+}
+
+/**
+ * Remove personal details from a caption
+ * Emails are replaced before @usernames so "me@example.com" isn't split
+ *
+ * @param {string} text - Caption text
+ * @returns {string} Caption with emails, links, @usernames and phone numbers replaced
+ */
+function redactCaption(text) {
+  return REDACTION_RULES.reduce(
+    (redacted, rule) => redacted.replace(rule.pattern, rule.replacement),
+    text || ''
+  );
+}
+
+/**
+ * Work out the oldest time kept under a retention period
+ * @param {number} retentionDays - Days to keep
+ * @returns {number|null} Cutoff timestamp, or null if everything is kept
+ */
+function getRetentionCutoff(retentionDays) {
+  return retentionDays > 0 ? Date.now() - retentionDays * 24 * 60 * 60 * 1000 : null;
+}
+
+/**
+ * Delete every piece of data the extension stores: history, corrections,
+ * cached results, the study, categories, settings and API tokens
+ * @returns {Promise<void>}
+ */
+async function deleteAllData() {
+  await chrome.storage.local.clear();
+  await chrome.storage.sync.clear();
+}
@@ -0,0 +1,110 @@
+// ============================================================================
+// FILE: js/profile.js
+// Purpose: The user's values and intentions, captured during onboarding
+// ============================================================================
+
+/**
+ * User Profile
+ *
+ * Stored in chrome.storage.sync under "userProfile":
+ *   {
+ *     purposes: ['friends', 'learning', …],   // What they want Instagram for
+ *     moreOf: ['education', 'art', …],         // Categories they want more of
+ *     lessOf: ['fashion', 'memes', …],         // Categories they want less of
+ *     dailyBudgetMinutes: 30,                  // Daily time budget
+ *     completedAt: 1722470400000               // When onboarding was finished
+ *   }
+ */
+
+'use strict';
+
+/** @const {Object<string, {emoji: string, label: string}>} - Reasons for using Instagram */
+const PURPOSE_OPTIONS = {
+  friends: { emoji: '👋', label: 'Staying in touch with friends' },
+  learning: { emoji: '📚', label: 'Learning new things' },
+  inspiration: { emoji: '✨', label: 'Inspiration and creativity' },
+  news: { emoji: '📰', label: 'Keeping up with news' },
+  entertainment: { emoji: '🍿', label: 'Entertainment and relaxing' },
+  work: { emoji: '💼', label: 'Work or my own business' }
+};
+
+/** @const {number} - Daily time budget suggested during onboarding (minutes) */
+const DEFAULT_DAILY_BUDGET = 30;
+
+/**
+ * Load the saved user profile
+ * @returns {Promise<Object|null>} Profile or null if onboarding was never completed
+ */
+async function loadUserProfile() {
+  const settings = await chrome.storage.sync.get(['userProfile']);
+  return settings.userProfile || null;
+}
+
+/**
+ * Save the user profile
+ * @param {Object} profile - Profile to store
+ * @returns {Promise<void>}
+ */
+async function saveUserProfile(profile) {
+  await chrome.storage.sync.set({ userProfile: profile });
+}
+
+/**
+ * Keep only the known fields of a profile from elsewhere (e.g. an import)
+ * @param {Object} profile - Untrusted profile
+ * @returns {Object} Profile with valid values only
+ */
+function sanitizeUserProfile(profile) {
+  const strings = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+  const sanitized = {
+    purposes: strings(profile.purposes).filter(purpose => PURPOSE_OPTIONS[purpose]),
+    moreOf: strings(profile.moreOf),
+    lessOf: strings(profile.lessOf),
+    dailyBudgetMinutes: clampNumber(profile.dailyBudgetMinutes, 1, 24 * 60, DEFAULT_DAILY_BUDGET)
+  };
+
+  if (typeof profile.completedAt === 'number' && Number.isFinite(profile.completedAt)) {
+    sanitized.completedAt = profile.completedAt;
+  }
+  return sanitized;
+}
+
+/**
+ * Listen for profile changes made from the onboarding page
+ * @param {function(Object|null): void} callback - Receives the new profile
+ * @returns {void}
+ */
+function onUserProfileChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.userProfile) {
+      callback(changes.userProfile.newValue || null);
+    }
+  });
+}
+
+/**
+ * Work out whether a category matches the user's stated values
+ * @param {Object|null} profile - User profile
+ * @param {string} category - Category name
+ * @returns {string|null} 'aligned', 'misaligned' or null if neutral
+ */
+function getCategoryAlignment(profile, category) {
+  if (!profile) return null;
+  if ((profile.moreOf || []).includes(category)) return 'aligned';
+  if ((profile.lessOf || []).includes(category)) return 'misaligned';
+  return null;
+}
+
+/**
+ * Describe the user's purposes as a readable list
+ * @param {Object|null} profile - User profile
+ * @returns {string} e.g. "learning new things and staying in touch with friends"
+ */
+function describePurposes(profile) {
+  const labels = (profile?.purposes || [])
+    .filter(purpose => PURPOSE_OPTIONS[purpose])
+    .map(purpose => PURPOSE_OPTIONS[purpose].label.toLowerCase());
+
+  if (labels.length <= 1) return labels.join('');
+  return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
@@ -0,0 +1,475 @@
+// ============================================================================
+// FILE: js/providers.js
+// Purpose: Interchangeable image classification providers
+// ============================================================================
+
+/**
+ * Classifier Providers
+ * Run in the background worker (see analysis-service.js); the settings
+ * page uses the list for its provider picker.
+ *
+ * Every provider implements the same contract:
+ *
+ *   provider.classify({ imageUrl, caption, labels, multiLabel, image }, settings)
+ *     → Promise<{ labels: [{ category, score }], generatedCaption, models } | null>
+ *
+ * - labels: the category names to choose from ('other' excluded)
+ * - image: optional { bytes, mimeType } if the caller already fetched it
+ * - signal: optional AbortSignal; providers pass it to every fetch
+ * - HTTP failures throw errors with .status and, if known, .retryAfterMs
+ * - multiLabel: score labels independently instead of as one distribution
+ * - The result lists every category the provider scored (0-1), best first.
+ *   The caller decides which labels to keep (threshold, single/multi-label).
+ * - models: IDs of the models that produced the result, for provenance
+ * - null means the provider had nothing to say; errors are thrown.
+ *
+ * Providers:
+ * - huggingface: BLIP captions the image, BART-MNLI picks the categories
+ * - local:       on-device MobileNet model in the background worker
+ * - openai:      any OpenAI-compatible vision chat endpoint
+ * - custom:      a self-hosted URL that accepts the request as JSON
+ * - keywords:    no image analysis; posts are classified from caption keywords
+ *
+ * Providers marked `remote` send the image and caption to another server.
+ * In local-only mode (see privacy.js) they are replaced by keywords.
+ *
+ * Settings are stored in chrome.storage.sync:
+ *   classifierProvider: 'huggingface'
+ *   huggingFaceToken: 'hf_…'
+ *   providerConfig: {
+ *     openai: { baseUrl, apiKey, model },
+ *     custom: { url, apiKey }
+ *   }
+ */
+
+'use strict';
+
+/** @const {string} - Hugging Face model for generating image captions */
+const CAPTION_MODEL = 'Salesforce/blip-image-captioning-base';
+
+/** @const {string} - Hugging Face model for classifying text into categories */
+const CLASSIFIER_MODEL = 'facebook/bart-large-mnli';
+
+/** @const {string} - Provider used when none has been chosen */
+const DEFAULT_PROVIDER = 'huggingface';
+
+/** @const {string[]} - Sync storage keys holding provider settings */
+const PROVIDER_SETTING_KEYS = ['classifierProvider', 'huggingFaceToken', 'providerConfig', PRIVACY_SETTINGS_KEY];
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Load the chosen provider and its settings
+ * In local-only mode a remote provider is swapped for keywords, and
+ * `blockedProvider` names the one the user chose
+ *
+ * @returns {Promise<{classifierProvider: string, blockedProvider: string|null, huggingFaceToken: string|null,
+ *   providerConfig: Object, redactRequests: boolean}>} Settings
+ */
+async function loadProviderSettings() {
+  const settings = await chrome.storage.sync.get(PROVIDER_SETTING_KEYS);
+  const privacy = { ...DEFAULT_PRIVACY_SETTINGS, ...settings[PRIVACY_SETTINGS_KEY] };
+
+  let provider = CLASSIFIER_PROVIDERS[settings.classifierProvider]
+    ? settings.classifierProvider
+    : DEFAULT_PROVIDER;
+  let blockedProvider = null;
+
+  if (privacy.localOnly && CLASSIFIER_PROVIDERS[provider].remote) {
+    blockedProvider = provider;
+    provider = 'keywords';
+  }
+
+  return {
+    classifierProvider: provider,
+    blockedProvider,
+    huggingFaceToken: settings.huggingFaceToken || null,
+    providerConfig: settings.providerConfig || {},
+    redactRequests: privacy.redactRequests
+  };
+}
+
+/**
+ * Listen for provider changes made in the settings page
+ * @param {function(Object): void} callback - Receives the reloaded settings
+ * @returns {void}
+ */
+function onProviderSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && PROVIDER_SETTING_KEYS.some(key => changes[key])) {
+      loadProviderSettings().then(callback);
+    }
+  });
+}
+
+/**
+ * Look up a provider by id
+ * @param {string} id - Provider id
+ * @returns {Object} Provider (keyword-only if the id is unknown)
+ */
+function getClassifierProvider(id) {
+  return CLASSIFIER_PROVIDERS[id] || CLASSIFIER_PROVIDERS.keywords;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Fetch an image's bytes
+ * @param {string} url - The image URL
+ * @param {AbortSignal} [signal] - Cancels the download
+ * @returns {Promise<{bytes: Uint8Array, mimeType: string}>} Image file contents
+ * @throws {Error} If the image cannot be fetched
+ */
+async function fetchImageBytes(url, signal) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Image fetch failed: ${response.status}`);
+  }
+
+  return {
+    bytes: new Uint8Array(await response.arrayBuffer()),
+    mimeType: response.headers.get('content-type') || 'image/jpeg'
+  };
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Data to encode
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes) {
+  // Build the binary string in chunks; spreading a whole image overflows the stack
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Get a request's image as base64
+ * Uses the bytes already fetched by the caller when present
+ *
+ * @param {{imageUrl: string, image?: Object, signal?: AbortSignal}} request - Classification request
+ * @returns {Promise<{base64: string, mimeType: string}>} Image data without the data: prefix
+ */
+async function getRequestImage(request) {
+  const image = request.image || await fetchImageBytes(request.imageUrl, request.signal);
+  return { base64: bytesToBase64(image.bytes), mimeType: image.mimeType };
+}
+
+/**
+ * POST JSON and parse the JSON response
+ * Failed responses throw an error carrying the HTTP status and, when the
+ * server says so (Retry-After, or Hugging Face's "model loading"
+ * estimated_time), how long to wait before retrying
+ *
+ * @param {string} url - Endpoint
+ * @param {Object} body - Request body
+ * @param {string|null} token - Bearer token, if any
+ * @param {AbortSignal} [signal] - Cancels the request (timeout or post left the screen)
+ * @returns {Promise<*>} Parsed response
+ * @throws {Error} On a non-2xx response, with error.status and error.retryAfterMs
+ */
+async function postJson(url, body, token, signal) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const error = new Error(`${url} responded ${response.status}`);
+    error.status = response.status;
+
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    if (retryAfter > 0) {
+      error.retryAfterMs = retryAfter * 1000;
+    } else if (response.status === 503) {
+      const details = await response.json().catch(() => ({}));
+      if (details.estimated_time > 0) {
+        error.retryAfterMs = details.estimated_time * 1000;
+      }
+    }
+
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * Clean up labels returned by a provider
+ * Drops unknown categories, clamps scores to 0-1 and sorts best first
+ *
+ * @param {{category: string, score: number}[]} labels - Raw labels
+ * @param {string[]} allowed - Category names that were offered
+ * @returns {{category: string, score: number}[]} Valid labels
+ */
+function normalizeLabels(labels, allowed) {
+  const byName = new Map(allowed.map(name => [name.toLowerCase(), name]));
+
+  return (labels || [])
+    .map(label => ({
+      category: byName.get(String(label.category || label.label || '').toLowerCase()),
+      score: Math.min(1, Math.max(0, Number(label.score) || 0))
+    }))
+    .filter(label => label.category)
+    .sort((a, b) => b.score - a.score);
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * Hugging Face Inference API
+ * 1. BLIP generates a caption describing the image
+ * 2. BART-MNLI classifies the generated and original caption into the labels
+ */
+const HUGGING_FACE_PROVIDER = {
+  name: 'Hugging Face',
+  title: '🤖 AI Vision Analysis',
+  remote: true,
+
+  /**
+   * @param {Object} settings - Provider settings
+   * @returns {boolean} True if a token is set
+   */
+  isConfigured(settings) {
+    return Boolean(settings.huggingFaceToken);
+  },
+
+  /**
+   * @param {Object} request - { imageUrl, caption, labels, multiLabel }
+   * @param {Object} settings - Provider settings
+   * @returns {Promise<Object|null>} Classification
+   */
+  async classify(request, settings) {
+    const { caption = '', labels, multiLabel = false } = request;
+    const token = settings.huggingFaceToken;
+    const { base64 } = await getRequestImage(request);
+
+    const captionResults = await postJson(
+      `https://api-inference.huggingface.co/models/${CAPTION_MODEL}`,
+      { inputs: base64 },
+      token,
+      request.signal
+    );
+    const generatedCaption = captionResults[0]?.generated_text || '';
+
+    // Combine AI caption with original caption for better context
+    const classification = await postJson(
+      `https://api-inference.huggingface.co/models/${CLASSIFIER_MODEL}`,
+      {
+        inputs: `${generatedCaption} ${caption}`.trim(),
+        parameters: { candidate_labels: labels, multi_label: multiLabel }
+      },
+      token,
+      request.signal
+    );
+
+    return {
+      labels: normalizeLabels(
+        (classification?.labels || []).map((label, i) => ({ category: label, score: classification.scores[i] })),
+        labels
+      ),
+      generatedCaption,
+      models: [CAPTION_MODEL, CLASSIFIER_MODEL]
+    };
+  }
+};
+
+/**
+ * On-device MobileNet model (see local-classifier.js)
+ * The image never leaves the browser
+ */
+const LOCAL_PROVIDER = {
+  name: 'On-device model',
+  title: '💻 On-device Analysis',
+  remote: false,
+
+  /**
+   * @param {Object} settings - Provider settings
+   * @returns {boolean} True if the add-on model loaded (set by the
+   *   analysis service, see getLocalModelStatus())
+   */
+  isConfigured(settings) {
+    return settings.localModelAvailable === true;
+  },
+
+  /**
+   * @param {Object} request - { imageUrl, caption, labels }
+   * @returns {Promise<Object|null>} Classification
+   */
+  async classify({ imageUrl, caption = '', labels }) {
+    const result = await classifyImageLocally(imageUrl, caption);
+    if (!result) return null;
+
+    return {
+      labels: normalizeLabels(result.labels, labels),
+      generatedCaption: result.generatedCaption,
+      models: [LOCAL_MODEL_ID]
+    };
+  }
+};
+
+/**
+ * OpenAI-compatible chat completions endpoint with vision support
+ * (OpenAI, Azure-style proxies, Ollama, vLLM, LM Studio, …)
+ */
+const OPENAI_PROVIDER = {
+  name: 'OpenAI-compatible',
+  title: '🤖 AI Vision Analysis',
+  remote: true,
+
+  /**
+   * @param {Object} settings - Provider settings
+   * @returns {boolean} True if an endpoint and model are set
+   */
+  isConfigured(settings) {
+    const config = settings.providerConfig.openai || {};
+    return Boolean(config.baseUrl && config.model);
+  },
+
+  /**
+   * @param {Object} request - { imageUrl, caption, labels, multiLabel }
+   * @param {Object} settings - Provider settings
+   * @returns {Promise<Object|null>} Classification
+   */
+  async classify(request, settings) {
+    const { caption = '', labels, multiLabel = false } = request;
+    const config = settings.providerConfig.openai;
+    const { base64, mimeType } = await getRequestImage(request);
+
+    const instructions = [
+      'You classify social media posts for a digital wellbeing tool.',
+      `Categories: ${labels.join(', ')}.`,
+      multiLabel
+        ? 'Score every category that applies from 0 to 1, independently.'
+        : 'Score the categories from 0 to 1 so the scores add up to 1.',
+      'Reply with JSON only: {"description": "<one sentence describing the image>",',
+      '"labels": [{"category": "<category>", "score": <number>}]}'
+    ].join(' ');
+
+    const completion = await postJson(
+      `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      {
+        model: config.model,
+        temperature: 0,
+        messages: [
+          { role: 'system', content: instructions },
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: `Caption: ${caption || '(none)'}` },
+              { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64}` } }
+            ]
+          }
+        ]
+      },
+      config.apiKey || null,
+      request.signal
+    );
+
+    // Models sometimes wrap the JSON in a code fence
+    const content = completion.choices?.[0]?.message?.content || '';
+    const json = content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1);
+    if (!json) return null;
+
+    const parsed = JSON.parse(json);
+    return {
+      labels: normalizeLabels(parsed.labels, labels),
+      generatedCaption: parsed.description || '',
+      models: [completion.model || config.model]
+    };
+  }
+};
+
+/**
+ * Self-hosted endpoint
+ * Receives POST { image (base64), mimeType, imageUrl, caption, labels, multiLabel }
+ * and answers { labels: [{ category, score }], caption?, model? }
+ */
+const CUSTOM_PROVIDER = {
+  name: 'Custom endpoint',
+  title: '🤖 AI Vision Analysis',
+  remote: true,
+
+  /**
+   * @param {Object} settings - Provider settings
+   * @returns {boolean} True if a URL is set
+   */
+  isConfigured(settings) {
+    return Boolean(settings.providerConfig.custom?.url);
+  },
+
+  /**
+   * @param {Object} request - { imageUrl, caption, labels, multiLabel }
+   * @param {Object} settings - Provider settings
+   * @returns {Promise<Object|null>} Classification
+   */
+  async classify(request, settings) {
+    const { imageUrl, caption = '', labels, multiLabel = false } = request;
+    const config = settings.providerConfig.custom;
+    const { base64, mimeType } = await getRequestImage(request);
+
+    const body = { image: base64, mimeType, caption, labels, multiLabel };
+    // The image URL identifies the post, so it's left out when redacting;
+    // video frames are data: URLs, already sent as the image
+    if (!settings.redactRequests && !imageUrl.startsWith('data:')) body.imageUrl = imageUrl;
+
+    const result = await postJson(
+      config.url,
+      body,
+      config.apiKey || null,
+      request.signal
+    );
+
+    return {
+      labels: normalizeLabels(result?.labels, labels),
+      generatedCaption: result?.caption || '',
+      models: result?.model ? [result.model] : [config.url]
+    };
+  }
+};
+
+/**
+ * Keyword-only: never looks at the image
+ * The caller classifies every post from its caption keywords instead
+ */
+const KEYWORD_PROVIDER = {
+  name: 'Keywords only',
+  title: '📝 Text Analysis',
+  remote: false,
+
+  /**
+   * @returns {boolean} Always false; there is no image analysis to run
+   */
+  isConfigured() {
+    return false;
+  },
+
+  /**
+   * @returns {Promise<null>} Always null
+   */
+  async classify() {
+    return null;
+  }
+};
+
+/** @const {Object<string, Object>} - Providers by id */
+const CLASSIFIER_PROVIDERS = {
+  huggingface: HUGGING_FACE_PROVIDER,
+  local: LOCAL_PROVIDER,
+  openai: OPENAI_PROVIDER,
+  custom: CUSTOM_PROVIDER,
+  keywords: KEYWORD_PROVIDER
+};
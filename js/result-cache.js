@@ -0,0 +1,215 @@
+// ============================================================================
+// FILE: js/result-cache.js
+// Purpose: Persistent cache of image analysis results (background worker)
+// ============================================================================
+
+/**
+ * Analysis Result Cache
+ *
+ * Provider results are stored in chrome.storage.local so a post seen again
+ * (after a reload, in another tab or on another day) is not sent to the
+ * provider twice. Each result is stored under two keys:
+ *   "post:<shortcode>"  - the post itself ("post:<shortcode>#<n>" for its
+ *                         other carousel slides and video frames)
+ *   "img:<sha256>"      - the image bytes, so reposts and the same image on
+ *                         another surface are recognised too
+ *
+ * Entries look like:
+ *   { key, variant, result, createdAt, lastUsedAt }
+ * The variant (provider, single/multi-label and category list) must match
+ * for a hit, so changing settings or categories never returns stale labels.
+ *
+ * Entries expire after ANALYSIS_CACHE_TTL; when there are more than
+ * ANALYSIS_CACHE_MAX_ENTRIES the least recently used are removed.
+ * Hit and miss counts are kept for the settings page.
+ */
+
+'use strict';
+
+/** @const {string} - Storage key prefix for cache entries */
+const ANALYSIS_CACHE_PREFIX = 'analysisCache:';
+
+/** @const {string} - Storage key for hit/miss statistics */
+const ANALYSIS_CACHE_STATS_KEY = 'analysisCacheStats';
+
+/** @const {number} - How long a result stays valid (30 days) */
+const ANALYSIS_CACHE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/** @const {number} - Maximum number of cache entries */
+const ANALYSIS_CACHE_MAX_ENTRIES = 5000;
+
+/** @const {number} - Delay before statistics are written (batches lookups) */
+const CACHE_STATS_WRITE_DELAY = 2000;
+
+/** @type {Map<string, number>|null} - Entry key → last used time, least recently used first */
+let cacheIndex = null;
+
+/** @type {{hits: number, misses: number, since: number}|null} - Lookup statistics */
+let cacheStats = null;
+
+/** @type {number|null} - Pending statistics write */
+let cacheStatsTimer = null;
+
+/**
+ * Load the cache index and statistics on first use
+ * @returns {Promise<void>}
+ */
+async function loadCacheIndex() {
+  if (cacheIndex) return;
+
+  const items = await chrome.storage.local.get(null);
+  const entries = Object.keys(items)
+    .filter(key => key.startsWith(ANALYSIS_CACHE_PREFIX))
+    .map(key => items[key])
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+  cacheIndex = new Map(entries.map(entry => [entry.key, entry.lastUsedAt]));
+  cacheStats = items[ANALYSIS_CACHE_STATS_KEY] || { hits: 0, misses: 0, since: Date.now() };
+}
+
+/**
+ * Build the storage key for a cache entry
+ * @param {string} key - e.g. "post:ABC123" or "img:9f86d0…"
+ * @returns {string} Storage key
+ */
+function cacheStorageKey(key) {
+  return `${ANALYSIS_CACHE_PREFIX}${key}`;
+}
+
+/**
+ * Hash image bytes for the "img:" cache key
+ * @param {Uint8Array} bytes - Image file contents
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+async function hashImageBytes(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up a result
+ * A hit moves the entry to the most recently used end
+ *
+ * @param {string} key - Cache key
+ * @param {string} variant - Provider/settings signature the result must match
+ * @returns {Promise<{result: Object|null}|null>} Wrapped result, or null on a miss
+ */
+async function getCachedResult(key, variant) {
+  await loadCacheIndex();
+  if (!cacheIndex.has(key)) return null;
+
+  const storageKey = cacheStorageKey(key);
+  const entry = (await chrome.storage.local.get(storageKey))[storageKey];
+
+  if (!entry || Date.now() - entry.createdAt > ANALYSIS_CACHE_TTL) {
+    await removeCacheEntries([key]);
+    return null;
+  }
+  if (entry.variant !== variant) return null;
+
+  entry.lastUsedAt = Date.now();
+  cacheIndex.delete(key);
+  cacheIndex.set(key, entry.lastUsedAt);
+  await chrome.storage.local.set({ [storageKey]: entry });
+
+  return { result: entry.result };
+}
+
+/**
+ * Store a result under one or more keys, evicting the least recently used
+ * entries when the cache is full
+ *
+ * @param {string[]} keys - Cache keys (post and image)
+ * @param {string} variant - Provider/settings signature
+ * @param {Object|null} result - Provider result
+ * @returns {Promise<void>}
+ */
+async function setCachedResult(keys, variant, result) {
+  await loadCacheIndex();
+
+  const now = Date.now();
+  const updates = {};
+  for (const key of keys) {
+    updates[cacheStorageKey(key)] = { key, variant, result, createdAt: now, lastUsedAt: now };
+    cacheIndex.delete(key);
+    cacheIndex.set(key, now);
+  }
+  await chrome.storage.local.set(updates);
+
+  const overflow = cacheIndex.size - ANALYSIS_CACHE_MAX_ENTRIES;
+  if (overflow > 0) {
+    await removeCacheEntries(Array.from(cacheIndex.keys()).slice(0, overflow));
+  }
+}
+
+/**
+ * Remove entries from the cache
+ * @param {string[]} keys - Cache keys
+ * @returns {Promise<void>}
+ */
+async function removeCacheEntries(keys) {
+  keys.forEach(key => cacheIndex.delete(key));
+  await chrome.storage.local.remove(keys.map(cacheStorageKey));
+}
+
+/**
+ * Remove entries not used since a time (data retention)
+ * @param {number} cutoff - Timestamp; entries last used before it are removed
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function pruneCacheBefore(cutoff) {
+  await loadCacheIndex();
+
+  const expired = Array.from(cacheIndex)
+    .filter(([, lastUsedAt]) => lastUsedAt < cutoff)
+    .map(([key]) => key);
+
+  if (expired.length > 0) {
+    await removeCacheEntries(expired);
+  }
+  return expired.length;
+}
+
+/**
+ * Count a lookup in the statistics
+ * Writes are batched so a burst of lookups causes one storage write
+ *
+ * @param {boolean} hit - Whether the lookup was answered from the cache
+ * @returns {Promise<void>}
+ */
+async function recordCacheLookup(hit) {
+  await loadCacheIndex();
+
+  if (hit) {
+    cacheStats.hits++;
+  } else {
+    cacheStats.misses++;
+  }
+
+  if (cacheStatsTimer) return;
+  cacheStatsTimer = setTimeout(() => {
+    cacheStatsTimer = null;
+    chrome.storage.local.set({ [ANALYSIS_CACHE_STATS_KEY]: cacheStats });
+  }, CACHE_STATS_WRITE_DELAY);
+}
+
+/**
+ * Get the statistics for the settings page
+ * @returns {Promise<{entries: number, hits: number, misses: number, since: number}>} Statistics
+ */
+async function getCacheStats() {
+  await loadCacheIndex();
+  return { entries: cacheIndex.size, ...cacheStats };
+}
+
+/**
+ * Delete every cached result and reset the statistics
+ * @returns {Promise<void>}
+ */
+async function clearAnalysisCache() {
+  await loadCacheIndex();
+  await removeCacheEntries(Array.from(cacheIndex.keys()));
+
+  cacheStats = { hits: 0, misses: 0, since: Date.now() };
+  await chrome.storage.local.set({ [ANALYSIS_CACHE_STATS_KEY]: cacheStats });
+}
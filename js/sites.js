@@ -0,0 +1,452 @@
+// ============================================================================
+// FILE: js/sites.js
+// Purpose: Site adapter registry and extraction helpers shared by all sites
+// ============================================================================
+
+/**
+ * Site Adapters
+ *
+ * Everything that depends on a platform's page structure lives in one
+ * adapter per site (js/sites/*.js); classification, storage, the widget and
+ * interventions are shared. An adapter looks like:
+ *   {
+ *     id: 'tiktok',                    // Stored as `platform` on post records
+ *     name: 'TikTok',
+ *     emoji: '🎵',
+ *     matches(hostname),               // Whether the adapter handles a host
+ *     detectSurface(pathname),         // Surface name for a URL path
+ *     selectors: { captions: [...], … }, // Default selector sets
+ *     extractAuthor(element),          // Account that posted: { handle, verified }, or null
+ *     surfaceLabels: { foryou: '🏠 For You', … },
+ *     surfaces: { foryou: extractor, … }
+ *   }
+ *
+ * Each surface provides the same extractor interface:
+ * - findPosts(root): Post elements inside a node
+ * - extractId(element): Post ID, or null if this surface can't tell
+ * - extractImageUrl(element): Image URL to analyze, or null
+ * - extractCaption(element): Caption/description text, or ''
+ * - extractMedia(element): What the post shows (see describeMedia()):
+ *     { type: 'image' | 'carousel' | 'video', imageUrls, video }
+ *
+ * Post IDs from other sites carry a prefix (e.g. "tiktok-…") so they never
+ * collide with Instagram shortcodes. Pages without posts (e.g. a normal
+ * YouTube video) use UNTRACKED_SURFACE: the widget and interventions pause.
+ *
+ * Selector config: when a site changes its page structure, new selectors
+ * can be loaded from a JSON file on the settings page instead of editing
+ * the adapters. It is stored in chrome.storage.local under "selectorConfig":
+ *   {
+ *     format: 'digital-wellness-selectors',
+ *     version: '2026-10-19',            // Free text, shown in the settings
+ *     sites: { instagram: { captions: ['span[dir="auto"]', …] }, … }
+ *   }
+ * Each listed set replaces the adapter's default set of that name; sets and
+ * sites not listed keep their defaults.
+ *
+ * Adapters add themselves with registerSiteAdapter(); this file must load
+ * before them.
+ */
+
+'use strict';
+
+/** @type {Object<string, Object>} - Registered adapters by platform id */
+const SITE_ADAPTERS = {};
+
+/** @const {string} - Local storage key for the selector config */
+const SELECTOR_CONFIG_KEY = 'selectorConfig';
+
+/** @const {string} - "format" value of a selector config file */
+const SELECTOR_CONFIG_FORMAT = 'digital-wellness-selectors';
+
+/** @type {Object<string, Object<string, string[]>>} - Selector sets from the config, by platform */
+let selectorOverrides = {};
+
+/** @const {Object<string, string>} - Labels of the media types a post can have */
+const MEDIA_TYPE_LABELS = {
+  image: '🖼️ Image',
+  carousel: '🎠 Carousel',
+  video: '🎬 Video'
+};
+
+/** @const {number} - Ancestors of the author link searched for the verified badge */
+const AUTHOR_BADGE_DEPTH = 3;
+
+/** @const {number} - Smallest width of a carousel slide (smaller images are avatars and icons) */
+const MIN_SLIDE_WIDTH = 150;
+
+/** @const {Object} - Extractor for pages of a supported site that have no posts */
+const UNTRACKED_SURFACE = {
+  untracked: true,
+  findPosts: () => [],
+  extractId: () => null,
+  extractImageUrl: () => null,
+  extractCaption: () => '',
+  extractMedia: () => ({ type: 'image', imageUrls: [], video: null })
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Make an adapter available
+ * @param {Object} adapter - Site adapter (see above)
+ * @returns {void}
+ */
+function registerSiteAdapter(adapter) {
+  SITE_ADAPTERS[adapter.id] = adapter;
+}
+
+/**
+ * Find the adapter for a host
+ * @param {string} [hostname] - Host name (defaults to the current page)
+ * @returns {Object|null} Adapter, or null if the site isn't supported
+ */
+function detectSite(hostname = window.location.hostname) {
+  return Object.values(SITE_ADAPTERS).find(adapter => adapter.matches(hostname)) || null;
+}
+
+/**
+ * Describe where a post was seen, for tables and exports
+ * @param {string} platform - Platform id (records before adapters are Instagram)
+ * @param {string} surface - Surface name
+ * @returns {string} Label, e.g. "🎬 Reels"
+ */
+function getSurfaceLabel(platform, surface) {
+  const adapter = SITE_ADAPTERS[platform || 'instagram'];
+  return adapter?.surfaceLabels[surface] || '❔ Unknown';
+}
+
+/**
+ * Describe a post's media type, for tables and exports
+ * @param {string} mediaType - 'image', 'carousel' or 'video'
+ * @returns {string} Label, e.g. "🎠 Carousel"
+ */
+function getMediaTypeLabel(mediaType) {
+  return MEDIA_TYPE_LABELS[mediaType] || '❔ Unknown';
+}
+
+// ============================================================================
+// SELECTOR CONFIG
+// ============================================================================
+
+/**
+ * Get a site's selector sets, with the config's sets in place of the defaults
+ * @param {string} platform - Platform id
+ * @returns {Object<string, string[]>} Set name → selectors
+ */
+function getSiteSelectors(platform) {
+  return { ...SITE_ADAPTERS[platform].selectors, ...selectorOverrides[platform] };
+}
+
+/**
+ * Get one selector set as a single CSS selector
+ * @param {string} platform - Platform id
+ * @param {string} name - Set name, e.g. 'postLinks'
+ * @returns {string} Selectors joined with commas
+ */
+function getSelector(platform, name) {
+  return getSiteSelectors(platform)[name].join(', ');
+}
+
+/**
+ * Check a selector config
+ * @param {Object} config - Parsed config file
+ * @returns {string[]} Problems found (empty if the config is usable)
+ */
+function validateSelectorConfig(config) {
+  if (!config || typeof config !== 'object') return ['The file is not a JSON object.'];
+  if (config.format !== SELECTOR_CONFIG_FORMAT) return [`"format" must be "${SELECTOR_CONFIG_FORMAT}".`];
+  if (!config.sites || typeof config.sites !== 'object') return ['"sites" is missing.'];
+
+  const errors = [];
+  for (const [platform, sets] of Object.entries(config.sites)) {
+    const adapter = SITE_ADAPTERS[platform];
+    if (!adapter) {
+      errors.push(`Unknown site "${platform}" (expected ${Object.keys(SITE_ADAPTERS).join(', ')}).`);
+      continue;
+    }
+
+    for (const [name, selectors] of Object.entries(sets || {})) {
+      if (!adapter.selectors[name]) {
+        errors.push(`${platform}: unknown selector set "${name}".`);
+      } else if (!Array.isArray(selectors) || selectors.length === 0 ||
+                 !selectors.every(selector => typeof selector === 'string')) {
+        errors.push(`${platform}.${name}: must be a list of CSS selectors.`);
+      } else {
+        for (const selector of selectors) {
+          try {
+            document.createDocumentFragment().querySelector(selector);
+          } catch (error) {
+            errors.push(`${platform}.${name}: "${selector}" is not a valid CSS selector.`);
+          }
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Use a config's selector sets from now on
+ * @param {Object|null} config - Validated config, or null for the defaults
+ * @returns {void}
+ */
+function applySelectorConfig(config) {
+  selectorOverrides = config?.sites || {};
+}
+
+/**
+ * Load the stored selector config and apply it
+ * A config that no longer validates (e.g. after an update renamed a set)
+ * is ignored
+ *
+ * @returns {Promise<Object|null>} The config in use, or null for the defaults
+ */
+async function loadSelectorConfig() {
+  const items = await chrome.storage.local.get(SELECTOR_CONFIG_KEY);
+  const config = items[SELECTOR_CONFIG_KEY] || null;
+
+  if (config && validateSelectorConfig(config).length > 0) {
+    console.warn('Stored selector config is invalid - using the default selectors');
+    applySelectorConfig(null);
+    return null;
+  }
+  applySelectorConfig(config);
+  return config;
+}
+
+/**
+ * Apply selector config changes made on the settings page
+ * @param {function(Object|null): void} [callback] - Called after applying
+ * @returns {void}
+ */
+function watchSelectorConfig(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SELECTOR_CONFIG_KEY]) {
+      loadSelectorConfig().then(config => callback?.(config));
+    }
+  });
+}
+
+/**
+ * Build a config file holding the selectors in use, as a starting point
+ * for editing
+ * @returns {Object} Selector config
+ */
+function buildSelectorConfig() {
+  const sites = {};
+  for (const platform of Object.keys(SITE_ADAPTERS)) {
+    sites[platform] = getSiteSelectors(platform);
+  }
+  return { format: SELECTOR_CONFIG_FORMAT, version: new Date().toISOString().slice(0, 10), sites };
+}
+
+// ============================================================================
+// SHARED EXTRACTION HELPERS
+// ============================================================================
+
+/**
+ * Find the best image URL inside an element
+ * Sites use various image formats, so we try multiple selectors
+ *
+ * @param {HTMLElement} element - Element to search
+ * @returns {string|null} Image URL or null
+ */
+function findImageUrl(element) {
+  const selectors = [
+    'img[srcset]',  // High-res images
+    'img[src]',      // Regular images
+    'video[poster]'  // Video thumbnails
+  ];
+
+  for (const selector of selectors) {
+    const img = element.querySelector(selector);
+    if (img) {
+      const url = mediaSourceUrl(img);
+      if (url) return url;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the image URL of an <img> or the poster of a <video>
+ * @param {HTMLElement} media - An <img> or <video> element
+ * @returns {string|null} Image URL or null
+ */
+function mediaSourceUrl(media) {
+  if (media.srcset) {
+    // Get highest quality from srcset
+    const srcsetParts = media.srcset.split(',');
+    const lastPart = srcsetParts[srcsetParts.length - 1].trim();
+    return lastPart.split(' ')[0];
+  } else if (media.src && !media.src.includes('data:') && media.tagName !== 'VIDEO') {
+    return media.src;
+  } else if (media.poster) {
+    return media.poster;
+  }
+  return null;
+}
+
+/**
+ * Work out what a post shows: one image, several slides or a video
+ * Only slides already loaded by the site are found; carousels load the
+ * next few slides ahead of time
+ *
+ * @param {HTMLElement} element - The post element
+ * @param {string|null} imageUrl - The post's main image (from extractImageUrl)
+ * @param {string|null} [slideSelector] - Selector for carousel slide images
+ *   and videos, on sites that have carousels
+ * @returns {{type: string, imageUrls: string[], video: HTMLVideoElement|null}} Media
+ *   type, images to analyze and the video to sample frames from
+ */
+function describeMedia(element, imageUrl, slideSelector = null) {
+  if (slideSelector) {
+    const slides = Array.from(element.querySelectorAll(slideSelector))
+      .filter(slide => slide.getBoundingClientRect().width >= MIN_SLIDE_WIDTH)
+      .map(mediaSourceUrl)
+      .filter(Boolean);
+    const imageUrls = Array.from(new Set(slides));
+    if (imageUrls.length > 1) return { type: 'carousel', imageUrls, video: null };
+  }
+
+  const video = element.querySelector('video');
+  return {
+    type: video ? 'video' : 'image',
+    imageUrls: imageUrl ? [imageUrl] : [],
+    video
+  };
+}
+
+/**
+ * Find the longest text matching any of a list of selectors
+ * @param {HTMLElement} element - Element to search
+ * @param {string[]} selectors - Caption selectors, any order
+ * @returns {string} Caption text or empty string
+ */
+function findLongestText(element, selectors) {
+  let caption = '';
+
+  for (const selector of selectors) {
+    try {
+      const elements = element.querySelectorAll(selector);
+      for (const el of elements) {
+        const text = el.textContent || '';
+        // Use the longest text we find (likely the actual caption)
+        if (text.length > caption.length && text.length > 10) {
+          caption = text;
+        }
+      }
+    } catch (error) {
+      // Continue with next selector
+    }
+  }
+
+  return caption;
+}
+
+/**
+ * Get the account that posted from the first matching profile link
+ * Uses the site's 'authors' and 'verifiedBadges' selector sets
+ *
+ * @param {HTMLElement} element - Element to search
+ * @param {string} platform - Platform id
+ * @param {RegExp} pattern - Captures the handle from a link's path
+ * @param {string[]} [excluded] - Captured values that aren't handles (site pages)
+ * @returns {{handle: string, verified: boolean}|null} Lower-case handle and
+ *   whether a verified badge is shown, or null
+ */
+function findAuthor(element, platform, pattern, excluded = []) {
+  for (const link of element.querySelectorAll(getSelector(platform, 'authors'))) {
+    const match = (link.pathname || '').match(pattern);
+    if (match && !excluded.includes(match[1])) {
+      return {
+        handle: match[1].toLowerCase(),
+        verified: hasVerifiedBadge(link, element, getSelector(platform, 'verifiedBadges'))
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a verified badge is shown next to an author link
+ * Only the link's nearest ancestors are searched: elsewhere in the post the
+ * badge may belong to a commenter
+ *
+ * @param {HTMLElement} link - Author profile link
+ * @param {HTMLElement} element - The post element (searching stops there)
+ * @param {string} selector - Selector for verified badges
+ * @returns {boolean} True if a badge was found
+ */
+function hasVerifiedBadge(link, element, selector) {
+  let node = link;
+  for (let depth = 0; node && depth <= AUTHOR_BADGE_DEPTH; depth++) {
+    if (node.querySelector(selector)) return true;
+    if (node === element) break;
+    node = node.parentElement;
+  }
+  return false;
+}
+
+/**
+ * Get the alt text of the main image
+ * @param {HTMLElement} element - Element to search
+ * @returns {string} Alt text or empty string
+ */
+function findImageAltText(element) {
+  const img = element.querySelector('img[alt]');
+  return img ? img.alt : '';
+}
+
+/**
+ * Find the largest ancestor of a media element that still fits on screen
+ * Used for full-screen viewers (Reels, Stories, TikTok, Shorts) where each
+ * item fills the viewport
+ *
+ * @param {HTMLElement} media - An <img> or <video> element
+ * @returns {HTMLElement} Container for the item
+ */
+function findViewportContainer(media) {
+  let container = media;
+
+  while (
+    container.parentElement &&
+    container.parentElement !== document.body &&
+    container.parentElement.tagName !== 'MAIN' &&
+    container.parentElement.getBoundingClientRect().height <= window.innerHeight * 1.05
+  ) {
+    container = container.parentElement;
+  }
+
+  return container;
+}
+
+/**
+ * Check whether an element is the only post on the page
+ * An ID taken from the page URL names one post; it may only identify a
+ * container when no other (e.g. preloaded) post could be the one it names
+ *
+ * @param {HTMLElement} element - Post element
+ * @param {function(Document): HTMLElement[]} findPosts - The surface's post finder
+ * @returns {boolean} True if findPosts finds this element and nothing else
+ */
+function isOnlyPost(element, findPosts) {
+  const posts = findPosts(document);
+  return posts.length === 1 && posts[0] === element;
+}
+
+/**
+ * Collect elements matching a selector inside a node, including the node itself
+ * @param {Element|Document} root - Node to search
+ * @param {string} selector - CSS selector
+ * @returns {HTMLElement[]} Matching elements
+ */
+function queryIncludingRoot(root, selector) {
+  const elements = Array.from(root.querySelectorAll(selector));
+  if (root.matches && root.matches(selector)) elements.push(root);
+  return elements;
+}
@@ -0,0 +1,264 @@
+// ============================================================================
+// FILE: js/sites/instagram.js
+// Purpose: Instagram site adapter - surfaces and post extraction
+// ============================================================================
+
+/**
+ * Instagram Surfaces
+ *
+ * Instagram shows content in several very different layouts:
+ * - feed:    Home feed of <article> posts
+ * - post:    A single post opened at /p/<code>/ or /reel/<code>/
+ * - reels:   Full-screen vertical Reels viewer at /reels/
+ * - stories: Full-screen Stories viewer at /stories/<user>/<id>/
+ * - explore: Thumbnail grid at /explore/
+ * - profile: Thumbnail grid on /<username>/
+ *
+ * Each surface has the extractors described in js/sites.js. Instagram post
+ * IDs are stored without a prefix, as they were before other sites.
+ */
+
+'use strict';
+
+/** @const {string[]} - First path segments that are Instagram pages, not usernames */
+const RESERVED_PATHS = [
+  'accounts', 'direct', 'explore', 'p', 'reel', 'reels', 'stories', 'about',
+  'developer', 'legal', 'privacy', 'terms', 'emails', 'challenge', 'web'
+];
+
+/**
+ * @const {Object<string, string[]>} - Default selector sets (can be replaced
+ * from a selector config file, see js/sites.js)
+ * - posts:      Post containers; the first selector that matches is used
+ * - postLinks:  Links to individual posts and reels
+ * - captions:   Caption text inside a post; the longest match is used
+ * - storyMedia: Images and videos in the Stories viewer
+ * - authors:    Links to the profile of a post's account
+ * - verifiedBadges: Verified badge next to the account name
+ * - carouselSlides: Images and videos of the slides of a carousel post
+ */
+const INSTAGRAM_SELECTORS = {
+  posts: [
+    'article',                  // Main post container
+    'div[role="article"]',     // Alternative selector
+    '[data-testid="post"]'     // Test ID (may change)
+  ],
+  postLinks: ['a[href*="/p/"]', 'a[href*="/reel/"]'],
+  captions: [
+    'h1',                              // Sometimes captions are in h1
+    'span[dir="auto"]',                // Common caption container
+    '[data-testid="post-caption"]',   // Test ID (may change)
+    'div[style*="line-height"] span'   // Style-based selector
+  ],
+  storyMedia: ['section video', 'section img[srcset]'],
+  authors: ['header a[href]'],
+  verifiedBadges: ['svg[aria-label="Verified"]'],
+  carouselSlides: ['ul li img:not([alt*="profile picture"])', 'ul li video[poster]']
+};
+
+// ============================================================================
+// SURFACE DETECTION
+// ============================================================================
+
+/**
+ * Work out which Instagram surface a path belongs to
+ * @param {string} pathname - URL path
+ * @returns {string} Surface name (see INSTAGRAM_SURFACES)
+ */
+function detectInstagramSurface(pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  const first = segments[0] || '';
+
+  if (segments.length === 0) return 'feed';
+  if (first === 'reels') return 'reels';
+  if (first === 'stories') return 'stories';
+  if (first === 'explore') return 'explore';
+  if (first === 'p' || first === 'reel') return 'post';
+  if (!RESERVED_PATHS.includes(first)) return 'profile';
+
+  return 'feed';
+}
+
+// ============================================================================
+// EXTRACTION HELPERS
+// ============================================================================
+
+/**
+ * Get a post shortcode from a /p/ or /reel(s)/ URL or path
+ * @param {string} url - Link href or pathname
+ * @returns {string|null} Shortcode or null
+ */
+function shortcodeFromUrl(url) {
+  const match = (url || '').match(/\/(p|reels?)\/([^\/\?#]+)/);
+  return match ? match[2] : null;
+}
+
+/**
+ * Get the first post shortcode linked from inside an element
+ * @param {HTMLElement} element - Element to search
+ * @returns {string|null} Shortcode or null
+ */
+function shortcodeFromLinks(element) {
+  const linkSelector = getSelector('instagram', 'postLinks');
+  const links = element.querySelectorAll(linkSelector);
+  for (const link of links) {
+    const shortcode = shortcodeFromUrl(link.href);
+    if (shortcode) return shortcode;
+  }
+
+  if (element.matches && element.matches(linkSelector)) {
+    return shortcodeFromUrl(element.href);
+  }
+
+  return null;
+}
+
+/**
+ * Find the caption of a post
+ * @param {HTMLElement} element - Element to search
+ * @returns {string} Caption text or empty string
+ */
+function findCaptionText(element) {
+  return findLongestText(element, getSiteSelectors('instagram').captions);
+}
+
+/**
+ * Work out the media of a post that can't be a carousel (Reels, Stories, grids)
+ * @param {HTMLElement} element - Element to search
+ * @returns {Object} Media from describeMedia()
+ */
+function findSingleMedia(element) {
+  return describeMedia(element, findImageUrl(element));
+}
+
+/**
+ * Find the full-screen container of every reel on the page
+ * @param {Element|Document} root - Node to search
+ * @returns {HTMLElement[]} One container per video
+ */
+function findReelContainers(root) {
+  const containers = queryIncludingRoot(root, 'video').map(findViewportContainer);
+  return Array.from(new Set(containers));
+}
+
+// ============================================================================
+// PER-SURFACE EXTRACTORS
+// ============================================================================
+
+/**
+ * Extractors for feeds of <article> posts (home feed and opened posts)
+ * An opened post has its shortcode in the URL, so that is used as a fallback
+ */
+const ARTICLE_EXTRACTOR = {
+  findPosts(root) {
+    for (const selector of getSiteSelectors('instagram').posts) {
+      const posts = queryIncludingRoot(root, selector);
+      if (posts.length > 0) return posts;
+    }
+    return [];
+  },
+
+  extractId(element) {
+    return shortcodeFromLinks(element.closest('article') || element);
+  },
+
+  extractImageUrl: findImageUrl,
+  extractCaption: findCaptionText,
+
+  extractMedia(element) {
+    return describeMedia(element, findImageUrl(element), getSelector('instagram', 'carouselSlides'));
+  }
+};
+
+/**
+ * Extractors for thumbnail grids (Explore and profile pages)
+ * Each tile is a link to the post with the image alt text as its only description
+ */
+const GRID_EXTRACTOR = {
+  findPosts(root) {
+    return queryIncludingRoot(root, getSelector('instagram', 'postLinks'))
+      .filter(link => link.querySelector('img') && !link.closest('article'));
+  },
+
+  extractId: shortcodeFromLinks,
+  extractImageUrl: findImageUrl,
+  extractCaption: findImageAltText,
+  extractMedia: findSingleMedia
+};
+
+/** @const {Object<string, Object>} - Extractors for every surface */
+const INSTAGRAM_SURFACES = {
+  feed: ARTICLE_EXTRACTOR,
+
+  post: {
+    ...ARTICLE_EXTRACTOR,
+    extractId(element) {
+      const id = ARTICLE_EXTRACTOR.extractId(element);
+      if (id) return id;
+
+      // The URL names the opened post, not the suggested posts below it
+      return isOnlyPost(element, ARTICLE_EXTRACTOR.findPosts)
+        ? shortcodeFromUrl(window.location.pathname)
+        : null;
+    }
+  },
+
+  reels: {
+    findPosts: findReelContainers,
+
+    extractId(element) {
+      const id = shortcodeFromLinks(element);
+      if (id) return id;
+
+      // The active reel's shortcode is in the URL (/reels/<code>/), but
+      // preloaded neighbours are on the page too
+      return isOnlyPost(element, findReelContainers)
+        ? shortcodeFromUrl(window.location.pathname)
+        : null;
+    },
+
+    extractImageUrl: findImageUrl,
+    extractCaption: findCaptionText,
+    extractMedia: findSingleMedia
+  },
+
+  stories: {
+    findPosts(root) {
+      const media = queryIncludingRoot(root, getSelector('instagram', 'storyMedia'));
+      return Array.from(new Set(media.map(findViewportContainer)));
+    },
+
+    extractId() {
+      // Stories have no links; the URL is /stories/<user>/<storyId>/
+      const segments = window.location.pathname.split('/').filter(Boolean);
+      const storyId = segments[2] || segments[1];
+      return storyId ? `story-${storyId}` : null;
+    },
+
+    extractImageUrl: findImageUrl,
+    extractCaption: findImageAltText,
+    extractMedia: findSingleMedia
+  },
+
+  explore: GRID_EXTRACTOR,
+  profile: GRID_EXTRACTOR
+};
+
+registerSiteAdapter({
+  id: 'instagram',
+  name: 'Instagram',
+  emoji: '📸',
+  matches: hostname => /(^|\.)instagram\.com$/.test(hostname),
+  detectSurface: detectInstagramSurface,
+  selectors: INSTAGRAM_SELECTORS,
+  extractAuthor: element => findAuthor(element, 'instagram', /^\/([\w.]+)\/?$/, RESERVED_PATHS),
+  surfaceLabels: {
+    feed: '🏠 Feed',
+    post: '🖼️ Opened posts',
+    reels: '🎬 Reels',
+    stories: '⭕ Stories',
+    explore: '🔍 Explore',
+    profile: '👤 Profiles'
+  },
+  surfaces: INSTAGRAM_SURFACES
+});
@@ -0,0 +1,209 @@
+// ============================================================================
+// FILE: js/sites/tiktok.js
+// Purpose: TikTok web site adapter - surfaces and post extraction
+// ============================================================================
+
+/**
+ * TikTok Surfaces
+ *
+ * - foryou:    For You feed of full-screen videos at / and /foryou
+ * - following: Following feed at /following
+ * - video:     A single video opened at /@<user>/video/<id>
+ * - explore:   Thumbnail grid at /explore
+ * - profile:   Thumbnail grid on /@<user>
+ *
+ * TikTok marks most of its elements with data-e2e attributes, which are far
+ * more stable than its generated class names. Post IDs are "tiktok-<id>".
+ */
+
+'use strict';
+
+/**
+ * @const {Object<string, string[]>} - Default selector sets (can be replaced
+ * from a selector config file, see js/sites.js)
+ * - feedItems:  Feed items, one video each
+ * - gridItems:  Thumbnails on Explore and profile grids
+ * - videoLinks: Links to individual videos
+ * - captions:   Video descriptions; the longest match is used
+ * - covers:     Cover images of videos
+ * - authors:    Links to the profile of a video's account
+ * - verifiedBadges: Verified badge next to the account name
+ */
+const TIKTOK_SELECTORS = {
+  feedItems: ['[data-e2e="recommend-list-item-container"]', 'article[data-e2e*="list-item"]'],
+  gridItems: ['[data-e2e="user-post-item"]', '[data-e2e="explore-item"]'],
+  videoLinks: ['a[href*="/video/"]'],
+  captions: [
+    '[data-e2e="video-desc"]',
+    '[data-e2e="browse-video-desc"]',
+    '[data-e2e="search-card-video-caption"]'
+  ],
+  covers: ['[data-e2e="video-cover"] img', 'picture img'],
+  authors: ['a[data-e2e="video-author-avatar"]', 'a[href^="/@"]'],
+  verifiedBadges: ['[data-e2e*="verif"]', 'svg[class*="Verify"]']
+};
+
+// ============================================================================
+// SURFACE DETECTION
+// ============================================================================
+
+/**
+ * Work out which TikTok surface a path belongs to
+ * @param {string} pathname - URL path
+ * @returns {string} Surface name (see TIKTOK_SURFACES)
+ */
+function detectTikTokSurface(pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  const first = segments[0] || '';
+
+  if (first.startsWith('@')) return segments[1] === 'video' ? 'video' : 'profile';
+  if (first === 'following') return 'following';
+  if (first === 'explore') return 'explore';
+  if (segments.length === 0 || first === 'foryou') return 'foryou';
+
+  return 'other';
+}
+
+// ============================================================================
+// EXTRACTION HELPERS
+// ============================================================================
+
+/**
+ * Get a video ID from a /video/<id> URL or path
+ * @param {string} url - Link href or pathname
+ * @returns {string|null} Prefixed post ID or null
+ */
+function tiktokIdFromUrl(url) {
+  const match = (url || '').match(/\/video\/(\d+)/);
+  return match ? `tiktok-${match[1]}` : null;
+}
+
+/**
+ * Get the first video ID linked from inside an element
+ * @param {HTMLElement} element - Element to search
+ * @returns {string|null} Prefixed post ID or null
+ */
+function tiktokIdFromLinks(element) {
+  for (const link of element.querySelectorAll(getSelector('tiktok', 'videoLinks'))) {
+    const id = tiktokIdFromUrl(link.href);
+    if (id) return id;
+  }
+
+  return element.href ? tiktokIdFromUrl(element.href) : null;
+}
+
+/**
+ * Find a video's cover image
+ * Feed videos often have no poster, but the cover is shown as an <img>
+ *
+ * @param {HTMLElement} element - Element to search
+ * @returns {string|null} Image URL or null
+ */
+function findTikTokImageUrl(element) {
+  const cover = element.querySelector(getSelector('tiktok', 'covers'));
+  if (cover?.src && !cover.src.startsWith('data:')) return cover.src;
+
+  return findImageUrl(element);
+}
+
+/**
+ * Find a video's description, including its #hashtags
+ * @param {HTMLElement} element - Element to search
+ * @returns {string} Caption text or empty string
+ */
+function findTikTokCaption(element) {
+  return findLongestText(element, getSiteSelectors('tiktok').captions) || findImageAltText(element);
+}
+
+/**
+ * Work out a post's media (a video, or the cover on grids)
+ * @param {HTMLElement} element - Element to search
+ * @returns {Object} Media from describeMedia()
+ */
+function findTikTokMedia(element) {
+  return describeMedia(element, findTikTokImageUrl(element));
+}
+
+// ============================================================================
+// PER-SURFACE EXTRACTORS
+// ============================================================================
+
+/**
+ * Extractors for the full-screen feeds
+ * Feed items link to their video; items without a link get a fingerprint ID
+ */
+const TIKTOK_FEED_EXTRACTOR = {
+  findPosts(root) {
+    const items = queryIncludingRoot(root, getSelector('tiktok', 'feedItems'));
+    if (items.length > 0) return items;
+
+    // Layout without data-e2e markers: one container per video
+    return Array.from(new Set(queryIncludingRoot(root, 'video').map(findViewportContainer)));
+  },
+
+  extractId: tiktokIdFromLinks,
+  extractImageUrl: findTikTokImageUrl,
+  extractCaption: findTikTokCaption,
+  extractMedia: findTikTokMedia
+};
+
+/**
+ * Extractors for an opened video
+ * The URL names the opened video only, so it identifies a container without
+ * a video link only when that container is the one video on the page
+ */
+const TIKTOK_VIDEO_EXTRACTOR = {
+  ...TIKTOK_FEED_EXTRACTOR,
+
+  extractId(element) {
+    const id = tiktokIdFromLinks(element);
+    if (id) return id;
+
+    return isOnlyPost(element, TIKTOK_FEED_EXTRACTOR.findPosts)
+      ? tiktokIdFromUrl(window.location.pathname)
+      : null;
+  }
+};
+
+/**
+ * Extractors for thumbnail grids (Explore and profile pages)
+ * The description is only in the thumbnail's alt text
+ */
+const TIKTOK_GRID_EXTRACTOR = {
+  findPosts(root) {
+    return queryIncludingRoot(root, getSelector('tiktok', 'gridItems'));
+  },
+
+  extractId: tiktokIdFromLinks,
+  extractImageUrl: findTikTokImageUrl,
+  extractCaption: findImageAltText,
+  extractMedia: findTikTokMedia
+};
+
+/** @const {Object<string, Object>} - Extractors for every surface */
+const TIKTOK_SURFACES = {
+  foryou: TIKTOK_FEED_EXTRACTOR,
+  following: TIKTOK_FEED_EXTRACTOR,
+  video: TIKTOK_VIDEO_EXTRACTOR,
+  explore: TIKTOK_GRID_EXTRACTOR,
+  profile: TIKTOK_GRID_EXTRACTOR,
+  other: UNTRACKED_SURFACE
+};
+
+registerSiteAdapter({
+  id: 'tiktok',
+  name: 'TikTok',
+  emoji: '🎵',
+  matches: hostname => /(^|\.)tiktok\.com$/.test(hostname),
+  detectSurface: detectTikTokSurface,
+  selectors: TIKTOK_SELECTORS,
+  extractAuthor: element => findAuthor(element, 'tiktok', /^\/@([\w.-]+)/),
+  surfaceLabels: {
+    foryou: '🏠 For You',
+    following: '👥 Following',
+    video: '🎬 Opened videos',
+    explore: '🔍 Explore',
+    profile: '👤 Profiles'
+  },
+  surfaces: TIKTOK_SURFACES
+});
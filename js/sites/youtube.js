@@ -0,0 +1,136 @@
+// ============================================================================
+// FILE: js/sites/youtube.js
+// Purpose: YouTube Shorts site adapter - surfaces and post extraction
+// ============================================================================
+
+/**
+ * YouTube Shorts Surfaces
+ *
+ * - shorts: Full-screen Shorts player at /shorts/<id>
+ *
+ * Only Shorts are tracked; the rest of YouTube uses UNTRACKED_SURFACE.
+ * Every Short's thumbnail is at a predictable i.ytimg.com address, so the
+ * image comes from the video ID rather than the page. Post IDs are
+ * "yt-<id>".
+ */
+
+'use strict';
+
+/**
+ * @const {Object<string, string[]>} - Default selector sets (can be replaced
+ * from a selector config file, see js/sites.js)
+ * - items:     Shorts in the player (desktop and mobile site)
+ * - idSources: Links and thumbnails that contain a Short's video ID
+ * - captions:  Short titles; the longest match is used
+ * - authors:   Links to the channel of a Short
+ * - verifiedBadges: Verified badge next to the channel name
+ */
+const SHORTS_SELECTORS = {
+  items: ['ytd-reel-video-renderer', 'ytm-reel-item-renderer', 'ytm-shorts-lockup-view-model'],
+  idSources: ['a[href*="/shorts/"]', 'img[src*="ytimg.com"]'],
+  captions: [
+    'h2.title',
+    'yt-formatted-string.ytd-reel-player-header-renderer',
+    '.ytShortsVideoTitleViewModelShortsVideoTitle',
+    '[class*="reel-player-header"] span'
+  ],
+  authors: ['a[href^="/@"]'],
+  verifiedBadges: ['.badge-style-type-verified', '[aria-label="Verified"]']
+};
+
+// ============================================================================
+// SURFACE DETECTION
+// ============================================================================
+
+/**
+ * Work out which YouTube surface a path belongs to
+ * @param {string} pathname - URL path
+ * @returns {string} 'shorts' or 'other'
+ */
+function detectYouTubeSurface(pathname) {
+  return pathname.startsWith('/shorts/') ? 'shorts' : 'other';
+}
+
+// ============================================================================
+// EXTRACTION HELPERS
+// ============================================================================
+
+/**
+ * Get a Short's video ID from a /shorts/<id> URL or a thumbnail address
+ * @param {string} url - Link href, pathname or image URL
+ * @returns {string|null} Video ID (without prefix) or null
+ */
+function youtubeVideoIdFromUrl(url) {
+  const match = (url || '').match(/\/(?:shorts|vi(?:_webp)?)\/([\w-]{11})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the video ID of a Short in the player
+ * Only the active Short is in the URL, so the others are recognised by
+ * their links or thumbnails
+ *
+ * @param {HTMLElement} element - Short container
+ * @returns {string|null} Video ID or null
+ */
+function findShortVideoId(element) {
+  for (const node of element.querySelectorAll(getSelector('youtube', 'idSources'))) {
+    const id = youtubeVideoIdFromUrl(node.href || node.src);
+    if (id) return id;
+  }
+
+  // The active Short is marked; a plain video container is the only one on screen
+  const active = element.hasAttribute('is-active') || !element.matches(getSelector('youtube', 'items'));
+  return active ? youtubeVideoIdFromUrl(window.location.pathname) : null;
+}
+
+// ============================================================================
+// PER-SURFACE EXTRACTORS
+// ============================================================================
+
+/**
+ * Extractors for the Shorts player
+ */
+const SHORTS_EXTRACTOR = {
+  findPosts(root) {
+    const items = queryIncludingRoot(root, getSelector('youtube', 'items'));
+    if (items.length > 0) return items;
+
+    return Array.from(new Set(queryIncludingRoot(root, 'video').map(findViewportContainer)));
+  },
+
+  extractId(element) {
+    const id = findShortVideoId(element);
+    return id ? `yt-${id}` : null;
+  },
+
+  extractImageUrl(element) {
+    const id = findShortVideoId(element);
+    return id ? `https://i.ytimg.com/vi/${id}/hqdefault.jpg` : findImageUrl(element);
+  },
+
+  extractCaption(element) {
+    return findLongestText(element, getSiteSelectors('youtube').captions);
+  },
+
+  extractMedia(element) {
+    return describeMedia(element, SHORTS_EXTRACTOR.extractImageUrl(element));
+  }
+};
+
+registerSiteAdapter({
+  id: 'youtube',
+  name: 'YouTube Shorts',
+  emoji: '▶️',
+  matches: hostname => /(^|\.)youtube\.com$/.test(hostname),
+  detectSurface: detectYouTubeSurface,
+  selectors: SHORTS_SELECTORS,
+  extractAuthor: element => findAuthor(element, 'youtube', /^\/@([\w.-]+)/),
+  surfaceLabels: {
+    shorts: '🎬 Shorts'
+  },
+  surfaces: {
+    shorts: SHORTS_EXTRACTOR,
+    other: UNTRACKED_SURFACE
+  }
+});
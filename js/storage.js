@@ -0,0 +1,530 @@
+// ============================================================================
+// FILE: js/storage.js
+// Purpose: Persistent classification history shared by all extension contexts
+// ============================================================================
+
+/**
+ * Classification History Storage
+ *
+ * Every classified post is stored in chrome.storage.local under its own key
+ * ("post:<id>") so that:
+ * 1. Counts can be rebuilt when a page reloads or a new tab opens
+ * 2. Tabs writing at the same time never overwrite each other's records
+ * 3. Other tabs are notified of new records through chrome.storage.onChanged
+ *
+ * A stored record looks like:
+ *   { id, category, labels, timestamp, method, platform, surface, mediaType, author, authorVerified,
+ *     confidence, runnerUp, dwellMs, lastSeenAt, provider, models, generatedCaption, fallbackReason }
+ *
+ * "platform" is the site the post was seen on ('instagram', 'tiktok' or
+ * 'youtube', see js/sites/) and "surface" where on that site. Records
+ * stored before other sites were supported have no platform: Instagram.
+ * "mediaType" is 'image', 'carousel' or 'video' (see post-media.js);
+ * older records have none. "author" is the handle of the account that
+ * posted, or null if it couldn't be found (see accounts.js).
+ *
+ * "category" is the top label. "labels" holds every label kept for the post
+ * with its score ([{ category, score }], best first); it has one entry unless
+ * multi-label mode was on. Records stored before labels existed have none.
+ *
+ * Provenance: "method" is how the post was classified ('ai', 'cache' for an
+ * AI result reused from the analysis cache, 'keyword' or 'manual') and
+ * "confidence" is the score of the top label. AI records name the
+ * "provider" and the "models" that ran, and "generatedCaption" holds the
+ * model's description of the image. Keyword records give the
+ * "fallbackReason" AI wasn't used ('no-image', 'no-provider', 'cancelled',
+ * 'failed' or 'low-confidence'). Older records may use 'local' for
+ * on-device AI and lack these fields.
+ *
+ * When the user reassigns a post from the widget, its record becomes a
+ * 'manual' one (confidence 1) and the classification it replaced is kept in
+ * "correctedFrom": { category, method, confidence, labels }. Each correction
+ * is also stored under "correction:<id>" for learning and export:
+ *   { id, category, predicted, predictedMethod, predictedLabels, caption,
+ *     terms, generatedCaption, platform, surface, timestamp }
+ * "terms" are the caption words the feedback loop learns from; "caption"
+ * is empty unless the user chose to keep captions (see privacy.js).
+ *
+ * Interventions shown to the user and their responses are stored the same
+ * way under "intervention:<id>".
+ *
+ * Posts first identified by a content fingerprint (see post-identity.js)
+ * that later showed their site ID have an alias under
+ * "postAlias:<fingerprint>": { postId, createdAt }.
+ */
+
+'use strict';
+
+/** @const {string} - Storage key prefix for classified post records */
+const POST_RECORD_PREFIX = 'post:';
+
+/** @const {string} - Storage key prefix for manual corrections */
+const CORRECTION_PREFIX = 'correction:';
+
+/** @const {string} - Storage key prefix for intervention events */
+const INTERVENTION_EVENT_PREFIX = 'intervention:';
+
+/** @const {string} - Storage key prefix for fingerprint → post ID aliases */
+const POST_ALIAS_PREFIX = 'postAlias:';
+
+/** @type {Promise<*>} - Record update running in this page; updates run one after another */
+let recordUpdates = Promise.resolve();
+
+/**
+ * Run a read-modify-write of stored records after those already running here
+ * chrome.storage has no transactions: overlapping updates would each read
+ * the old record, and the last write would undo the others
+ *
+ * @param {function(): Promise<*>} update - Reads and writes records
+ * @returns {Promise<*>} The update's result
+ */
+function queueRecordUpdate(update) {
+  const result = recordUpdates.then(update);
+  recordUpdates = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Build the storage key for a post record
+ * @param {string} postId - Unique identifier for the post
+ * @returns {string} Storage key
+ */
+function postRecordKey(postId) {
+  return `${POST_RECORD_PREFIX}${postId}`;
+}
+
+/**
+ * Load every stored post record
+ * @returns {Promise<Object[]>} All post records (unordered)
+ */
+async function loadPostRecords() {
+  const items = await chrome.storage.local.get(null);
+
+  return Object.keys(items)
+    .filter(key => key.startsWith(POST_RECORD_PREFIX))
+    .map(key => items[key]);
+}
+
+/**
+ * Load a single post record
+ * @param {string} postId - Unique identifier for the post
+ * @returns {Promise<Object|null>} The stored record or null if not found
+ */
+async function getPostRecord(postId) {
+  const key = postRecordKey(postId);
+  const items = await chrome.storage.local.get(key);
+  return items[key] || null;
+}
+
+/**
+ * Store a post record, replacing any existing record with the same ID
+ * @param {Object} record - Post record with at least an `id` field
+ * @returns {Promise<void>}
+ */
+async function savePostRecord(record) {
+  await chrome.storage.local.set({ [postRecordKey(record.id)]: record });
+}
+
+/**
+ * Store a post record only if no other tab has stored it already
+ * Used to dedupe the same post seen in several tabs
+ *
+ * @param {Object} record - Post record with at least an `id` field
+ * @returns {Promise<Object>} The record that ends up in storage
+ */
+function savePostRecordIfNew(record) {
+  return queueRecordUpdate(async () => {
+    const existing = await getPostRecord(record.id);
+    if (existing) {
+      return existing;
+    }
+
+    await savePostRecord(record);
+    return record;
+  });
+}
+
+/**
+ * Add on-screen time to a stored post record
+ * Goes to the site ID's record if the post was moved there
+ *
+ * @param {string} postId - Unique identifier for the post
+ * @param {number} dwellMs - Milliseconds the post was visible
+ * @returns {Promise<boolean>} False if the post has no stored record yet
+ */
+function addPostDwellTime(postId, dwellMs) {
+  return queueRecordUpdate(async () => {
+    // Read right before writing: the record may have been corrected, remapped
+    // or moved to its site ID (possibly by another tab) since it was stored
+    const aliasKey = `${POST_ALIAS_PREFIX}${postId}`;
+    const items = await chrome.storage.local.get([postRecordKey(postId), aliasKey]);
+    const id = items[aliasKey]?.postId || postId;
+    const record = id === postId ? items[postRecordKey(postId)] : await getPostRecord(id);
+    if (!record) {
+      return false;
+    }
+
+    await chrome.storage.local.set({
+      [postRecordKey(id)]: { ...record, dwellMs: (record.dwellMs || 0) + dwellMs, lastSeenAt: Date.now() }
+    });
+    return true;
+  });
+}
+
+/**
+ * Move stored post records to new categories (after a rename, merge or delete)
+ * All changes are written at once so other tabs recount only once
+ *
+ * @param {Object<string, string>} mapping - Old category name → new category name
+ * @returns {Promise<number>} Number of records changed
+ */
+function remapPostCategories(mapping) {
+  return queueRecordUpdate(async () => {
+    const records = await loadPostRecords();
+    const updates = {};
+
+    for (const record of records) {
+      const labels = record.labels || [];
+      const changed = [record.category, ...labels.map(label => label.category)]
+        .some(category => mapping[category] && mapping[category] !== category);
+
+      if (changed) {
+        updates[postRecordKey(record.id)] = {
+          ...record,
+          category: mapping[record.category] || record.category,
+          labels: remapLabels(labels, mapping)
+        };
+      }
+    }
+
+    // Corrections keep their labels in step with the records
+    for (const correction of await loadCorrections()) {
+      const changed = [correction.category, correction.predicted]
+        .some(category => mapping[category] && mapping[category] !== category);
+
+      if (changed) {
+        updates[correctionKey(correction.id)] = {
+          ...correction,
+          category: mapping[correction.category] || correction.category,
+          predicted: mapping[correction.predicted] || correction.predicted,
+          predictedLabels: remapLabels(correction.predictedLabels || [], mapping)
+        };
+      }
+    }
+
+    const changedRecords = Object.keys(updates).filter(key => key.startsWith(POST_RECORD_PREFIX)).length;
+    if (Object.keys(updates).length > 0) {
+      await chrome.storage.local.set(updates);
+    }
+    return changedRecords;
+  });
+}
+
+/**
+ * Rename a record's labels, merging labels that end up in the same category
+ * @param {{category: string, score: number}[]} labels - Stored labels
+ * @param {Object<string, string>} mapping - Old category name → new category name
+ * @returns {{category: string, score: number}[]} Remapped labels, best first
+ */
+function remapLabels(labels, mapping) {
+  const merged = new Map();
+
+  for (const label of labels) {
+    const category = mapping[label.category] || label.category;
+    merged.set(category, Math.min(1, (merged.get(category) || 0) + label.score));
+  }
+
+  return Array.from(merged, ([category, score]) => ({ category, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Split a record between its categories
+ * Each label gets a share proportional to its score, so a post labelled
+ * fitness 0.6 / food 0.4 counts as 0.6 of a fitness post and 0.4 of a food
+ * post. Single-label and older records count fully toward their category.
+ *
+ * @param {Object} record - Stored post record
+ * @returns {{category: string, weight: number}[]} Weights summing to 1
+ */
+function getRecordAttribution(record) {
+  const labels = (record.labels || []).filter(label => label.score > 0);
+  if (labels.length <= 1) {
+    return [{ category: record.category, weight: 1 }];
+  }
+
+  const total = labels.reduce((sum, label) => sum + label.score, 0);
+  return labels.map(label => ({ category: label.category, weight: label.score / total }));
+}
+
+/**
+ * Delete every stored post record
+ * @returns {Promise<void>}
+ */
+async function clearPostRecords() {
+  const items = await chrome.storage.local.get(null);
+  const keys = Object.keys(items).filter(key => key.startsWith(POST_RECORD_PREFIX));
+
+  if (keys.length > 0) {
+    await chrome.storage.local.remove(keys);
+  }
+}
+
+/**
+ * Listen for post records added, updated or removed by any extension context
+ * The callback receives the new record (or null when deleted) and the post ID
+ *
+ * @param {function(Object|null, string): void} callback - Change handler
+ * @returns {void}
+ */
+function onPostRecordsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    for (const [key, change] of Object.entries(changes)) {
+      if (!key.startsWith(POST_RECORD_PREFIX)) continue;
+
+      const postId = key.substring(POST_RECORD_PREFIX.length);
+      callback(change.newValue || null, postId);
+    }
+  });
+}
+
+/**
+ * Build the storage key for a correction
+ * @param {string} postId - Unique identifier for the post
+ * @returns {string} Storage key
+ */
+function correctionKey(postId) {
+  return `${CORRECTION_PREFIX}${postId}`;
+}
+
+/**
+ * Reassign a post to the category chosen by the user
+ * The record and the correction are written together, so other tabs see
+ * both in one change
+ *
+ * @param {string} postId - Unique identifier for the post
+ * @param {string} category - Category chosen by the user
+ * @param {{caption: string, terms: string[]}} context - Post text seen when correcting (for learning)
+ * @returns {Promise<Object|null>} Updated record, or null if the post has no record
+ */
+function correctPostRecord(postId, category, context = {}) {
+  return queueRecordUpdate(async () => {
+    const record = await getPostRecord(postId);
+    if (!record) {
+      return null;
+    }
+
+    // A second correction still remembers what the classifier said
+    const original = record.correctedFrom || {
+      category: record.category,
+      method: record.method,
+      confidence: record.confidence,
+      labels: record.labels || []
+    };
+
+    const now = Date.now();
+    const corrected = {
+      ...record,
+      category,
+      labels: [{ category, score: 1 }],
+      confidence: 1,
+      method: 'manual',
+      correctedFrom: original,
+      correctedAt: now
+    };
+
+    const correction = {
+      id: postId,
+      category,
+      predicted: original.category,
+      predictedMethod: original.method,
+      predictedLabels: original.labels,
+      caption: context.caption || '',
+      terms: context.terms || [],
+      generatedCaption: record.generatedCaption || null,
+      platform: record.platform || 'instagram',
+      surface: record.surface,
+      timestamp: now
+    };
+
+    await chrome.storage.local.set({
+      [postRecordKey(postId)]: corrected,
+      [correctionKey(postId)]: correction
+    });
+    return corrected;
+  });
+}
+
+/**
+ * Load every stored correction
+ * @returns {Promise<Object[]>} All corrections (unordered)
+ */
+async function loadCorrections() {
+  const items = await chrome.storage.local.get(null);
+
+  return Object.keys(items)
+    .filter(key => key.startsWith(CORRECTION_PREFIX))
+    .map(key => items[key]);
+}
+
+/**
+ * Listen for corrections made in any extension context
+ * @param {function(): void} callback - Called once per batch of changes
+ * @returns {void}
+ */
+function onCorrectionsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (Object.keys(changes).some(key => key.startsWith(CORRECTION_PREFIX))) {
+      callback();
+    }
+  });
+}
+
+/**
+ * Store an intervention event (shown overlay and the user's response)
+ * @param {Object} event - Intervention event with at least an `id` field
+ * @returns {Promise<void>}
+ */
+async function saveInterventionEvent(event) {
+  await chrome.storage.local.set({ [`${INTERVENTION_EVENT_PREFIX}${event.id}`]: event });
+}
+
+/**
+ * Load every stored intervention event
+ * @returns {Promise<Object[]>} All intervention events (unordered)
+ */
+async function loadInterventionEvents() {
+  const items = await chrome.storage.local.get(null);
+
+  return Object.keys(items)
+    .filter(key => key.startsWith(INTERVENTION_EVENT_PREFIX))
+    .map(key => items[key]);
+}
+
+/**
+ * Load every fingerprint alias
+ * @returns {Promise<Map<string, string>>} Fingerprint → post ID
+ */
+async function loadPostAliases() {
+  const items = await chrome.storage.local.get(null);
+  const aliases = new Map();
+
+  for (const [key, alias] of Object.entries(items)) {
+    if (key.startsWith(POST_ALIAS_PREFIX)) {
+      aliases.set(key.substring(POST_ALIAS_PREFIX.length), alias.postId);
+    }
+  }
+  return aliases;
+}
+
+/**
+ * Listen for aliases stored by any tab
+ * @param {function(string, string|null): void} callback - Receives the fingerprint and post ID (null when deleted)
+ * @returns {void}
+ */
+function onPostAliasesChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    for (const [key, change] of Object.entries(changes)) {
+      if (key.startsWith(POST_ALIAS_PREFIX)) {
+        callback(key.substring(POST_ALIAS_PREFIX.length), change.newValue?.postId || null);
+      }
+    }
+  });
+}
+
+/**
+ * Move a post stored under its fingerprint to its site ID and remember the
+ * alias
+ * If the site ID has a record too (seen before, or in another tab), the two
+ * are merged: that record's classification is kept unless only the
+ * fingerprint one was corrected by hand, on-screen time is added up and the
+ * earliest and latest times are kept.
+ *
+ * @param {string} fingerprint - Fingerprint post ID
+ * @param {string} postId - Site post ID
+ * @returns {Promise<Object|null>} The record now stored under the site ID, or null if neither had one
+ */
+function reconcilePostRecord(fingerprint, postId) {
+  return queueRecordUpdate(async () => {
+    const fromKey = postRecordKey(fingerprint);
+    const toKey = postRecordKey(postId);
+    const items = await chrome.storage.local.get([fromKey, toKey, correctionKey(fingerprint)]);
+    const from = items[fromKey];
+    const to = items[toKey];
+
+    const updates = { [`${POST_ALIAS_PREFIX}${fingerprint}`]: { postId, createdAt: Date.now() } };
+    let record = to || null;
+
+    if (from) {
+      const base = to && !(from.method === 'manual' && to.method !== 'manual') ? to : from;
+      record = { ...base, id: postId };
+
+      if (to) {
+        record.timestamp = Math.min(from.timestamp, to.timestamp);
+        record.dwellMs = (from.dwellMs || 0) + (to.dwellMs || 0);
+        const lastSeenAt = Math.max(from.lastSeenAt || 0, to.lastSeenAt || 0);
+        if (lastSeenAt > 0) record.lastSeenAt = lastSeenAt;
+      }
+      updates[toKey] = record;
+    }
+
+    const correction = items[correctionKey(fingerprint)];
+    if (correction) {
+      updates[correctionKey(postId)] = { ...correction, id: postId };
+    }
+
+    await chrome.storage.local.set(updates);
+    await chrome.storage.local.remove([fromKey, correctionKey(fingerprint)]);
+    return record;
+  });
+}
+
+/**
+ * Delete post records, corrections and intervention events older than a
+ * time (posts count from when they were last seen)
+ * @param {number} cutoff - Timestamp; anything before it is deleted
+ * @returns {Promise<number>} Number of items deleted
+ */
+async function deleteHistoryBefore(cutoff) {
+  const items = await chrome.storage.local.get(null);
+
+  const keys = Object.entries(items)
+    .filter(([key, item]) => {
+      if (key.startsWith(POST_RECORD_PREFIX)) return (item.lastSeenAt || item.timestamp) < cutoff;
+      if (key.startsWith(CORRECTION_PREFIX)) return item.timestamp < cutoff;
+      if (key.startsWith(INTERVENTION_EVENT_PREFIX)) return item.shownAt < cutoff;
+      if (key.startsWith(POST_ALIAS_PREFIX)) return item.createdAt < cutoff;
+      return false;
+    })
+    .map(([key]) => key);
+
+  if (keys.length > 0) {
+    await chrome.storage.local.remove(keys);
+  }
+  return keys.length;
+}
+
+/**
+ * Store post records, corrections and intervention events in one write
+ * Used by import, so open tabs and the dashboard recount only once
+ *
+ * @param {{posts: Object[], corrections: Object[], interventions: Object[]}} items - Items to store
+ * @returns {Promise<void>}
+ */
+async function saveStoredItems({ posts = [], corrections = [], interventions = [] }) {
+  const updates = {};
+
+  for (const record of posts) updates[postRecordKey(record.id)] = record;
+  for (const correction of corrections) updates[correctionKey(correction.id)] = correction;
+  for (const event of interventions) updates[`${INTERVENTION_EVENT_PREFIX}${event.id}`] = event;
+
+  if (Object.keys(updates).length > 0) {
+    await chrome.storage.local.set(updates);
+  }
+}
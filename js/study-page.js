@@ -0,0 +1,270 @@
+// ============================================================================
+// FILE: js/study-page.js
+// Purpose: Study page - consent screen, participant code and study export
+// ============================================================================
+
+/**
+ * Study Page Script
+ * Shows one of three views:
+ * - No study: asks for a study config file (when none is bundled)
+ * - Consent: the study, its schedule and consent text; joining needs the
+ *   consent box ticked and a valid participant code
+ * - Enrolled: the schedule with the current phase, the anonymised export
+ *   and withdrawal
+ */
+
+'use strict';
+
+/** @type {Object|null} - Study config shown on the consent screen */
+let pendingConfig = null;
+
+/** @type {Object|null} - Study the user has joined */
+let studyState = null;
+
+// ============================================================================
+// VIEWS
+// ============================================================================
+
+/**
+ * Show one view and hide the others
+ * @param {string} id - View element ID
+ * @returns {void}
+ */
+function showView(id) {
+  document.querySelectorAll('.view').forEach(view => view.classList.toggle('active', view.id === id));
+}
+
+/**
+ * Describe which features a phase turns on
+ * @param {Object} features - Feature → enabled (missing means on)
+ * @returns {string} e.g. "On-page statistics widget, Mindful interventions"
+ */
+function describeFeatures(features) {
+  const enabled = Object.entries(STUDY_FEATURES)
+    .filter(([feature]) => features[feature] !== false)
+    .map(([, description]) => description);
+
+  return enabled.length > 0 ? enabled.join(', ') : 'Tracking only';
+}
+
+/**
+ * Fill a schedule table
+ * @param {HTMLElement} tbody - Table body
+ * @param {{label: string, features: Object}[]} phases - Phases to list
+ * @param {function(Object): string} describeWhen - Text for the second column
+ * @param {Object|null} currentPhase - Phase to highlight
+ * @returns {void}
+ */
+function fillScheduleTable(tbody, phases, describeWhen, currentPhase = null) {
+  tbody.innerHTML = '';
+
+  for (const phase of phases) {
+    const row = document.createElement('tr');
+    row.classList.toggle('current', currentPhase?.name === phase.name);
+
+    for (const text of [phase.label || phase.name, describeWhen(phase), describeFeatures(phase.features || {})]) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    tbody.appendChild(row);
+  }
+}
+
+/**
+ * Show the consent screen for a study config
+ * @param {Object} config - Validated study config
+ * @returns {void}
+ */
+function renderConsent(config) {
+  pendingConfig = config;
+
+  document.getElementById('studyTitle').textContent = config.title;
+  document.getElementById('studyDescription').textContent = config.description || '';
+  document.getElementById('studyContact').textContent = [config.researcher, config.contact].filter(Boolean).join(' · ');
+  document.getElementById('participantCodeHint').textContent =
+    config.participantCodeHint || 'The code the researchers gave you.';
+
+  const consentList = document.getElementById('consentText');
+  consentList.innerHTML = '';
+  for (const paragraph of config.consent) {
+    const item = document.createElement('li');
+    item.textContent = paragraph;
+    consentList.appendChild(item);
+  }
+
+  fillScheduleTable(
+    document.getElementById('plannedPhases'),
+    config.phases,
+    phase => `${phase.days} day${phase.days === 1 ? '' : 's'}`
+  );
+
+  document.getElementById('consentCheckbox').checked = false;
+  updateJoinButton();
+  showView('consentView');
+}
+
+/**
+ * Show the study the user is taking part in
+ * @returns {void}
+ */
+function renderEnrolled() {
+  const schedule = getStudySchedule(studyState);
+  const phase = getStudyPhase(studyState);
+  const formatDate = time => new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+  let status;
+  if (phase) {
+    status = `Current phase: ${phase.label}, until ${formatDate(phase.endsAt)}.`;
+  } else if (Date.now() < schedule[0].startsAt) {
+    status = `The study starts on ${formatDate(schedule[0].startsAt)}.`;
+  } else {
+    status = 'The study has finished - thank you for taking part! Please send your export to the researchers.';
+  }
+
+  document.getElementById('enrolledTitle').textContent = studyState.config.title;
+  document.getElementById('enrolledSummary').textContent =
+    `Participant ${studyState.participantCode} · joined ${formatDate(studyState.consentedAt)}. ${status}`;
+
+  fillScheduleTable(
+    document.getElementById('schedulePhases'),
+    schedule,
+    entry => `${formatDate(entry.startsAt)} – ${formatDate(entry.endsAt - 1)}`,
+    phase
+  );
+
+  showView('enrolledView');
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Enable "Join" once consent is given and the code looks right
+ * @returns {void}
+ */
+function updateJoinButton() {
+  const code = document.getElementById('participantCode').value.trim();
+  const consented = document.getElementById('consentCheckbox').checked;
+
+  document.getElementById('joinButton').disabled =
+    !pendingConfig || !consented || !isValidParticipantCode(pendingConfig, code);
+}
+
+/**
+ * Read a study config the user picked
+ * @param {File} file - Chosen file
+ * @returns {Promise<void>}
+ */
+async function loadConfigFile(file) {
+  const status = document.getElementById('consentStatus');
+
+  try {
+    const config = JSON.parse(await file.text());
+    const errors = validateStudyConfig(config);
+    if (errors.length > 0) {
+      alert(`This study file can't be used:\n\n${errors.join('\n')}`);
+      return;
+    }
+    status.textContent = '';
+    renderConsent(config);
+  } catch (error) {
+    alert('This file is not a valid study config (JSON).');
+  }
+}
+
+/**
+ * Record consent and start the study
+ * @returns {Promise<void>}
+ */
+async function join() {
+  const status = document.getElementById('consentStatus');
+  const code = document.getElementById('participantCode').value.trim();
+
+  try {
+    studyState = await joinStudy(pendingConfig, code);
+    renderEnrolled();
+  } catch (error) {
+    console.error('Failed to join study:', error);
+    status.textContent = 'Could not save your consent - please try again.';
+    status.className = 'status error';
+  }
+}
+
+/**
+ * Download the anonymised study data
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Promise<void>}
+ */
+async function exportStudyData(format) {
+  const data = await buildAnonymisedExport(studyState);
+  const filename = `${studyState.config.id}-${studyState.participantCode}-${localDateKey(Date.now())}`;
+
+  if (format === 'json') {
+    downloadFile(JSON.stringify(data, null, 2), `${filename}.json`, 'application/json');
+    return;
+  }
+
+  const columns = ['participant', 'post', 'phase', 'platform', 'surface', 'mediaType', 'category', 'method',
+    'confidence', 'predictedCategory', 'timestamp', 'lastSeenAt', 'dwellMs'];
+  const rows = data.posts.map(post => [
+    data.participant, post.post, post.phase, post.platform, post.surface, post.mediaType, post.category, post.method,
+    post.confidence, post.predictedCategory, new Date(post.timestamp).toISOString(),
+    post.lastSeenAt ? new Date(post.lastSeenAt).toISOString() : '', post.dwellMs
+  ]);
+  downloadFile(toCsv(columns, rows), `${filename}-posts.csv`, 'text/csv');
+}
+
+/**
+ * Leave the study after confirming
+ * @returns {Promise<void>}
+ */
+async function withdraw() {
+  if (!confirm('Withdraw from the study? Study mode will be turned off.')) return;
+
+  await withdrawFromStudy();
+  studyState = null;
+  await initialize();
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Show the joined study, or the bundled study's consent screen
+ * @returns {Promise<void>}
+ */
+async function initialize() {
+  studyState = await loadStudyState();
+  if (studyState) {
+    renderEnrolled();
+    return;
+  }
+
+  const bundled = await loadBundledStudyConfig();
+  if (bundled && validateStudyConfig(bundled).length === 0) {
+    renderConsent(bundled);
+  } else {
+    showView('noStudyView');
+  }
+}
+
+document.getElementById('consentCheckbox').addEventListener('change', updateJoinButton);
+document.getElementById('participantCode').addEventListener('input', updateJoinButton);
+document.getElementById('joinButton').addEventListener('click', join);
+document.getElementById('otherConfigButton').addEventListener('click', () => {
+  document.getElementById('otherConfigFile').click();
+});
+document.getElementById('otherConfigFile').addEventListener('change', (event) => {
+  if (event.target.files[0]) loadConfigFile(event.target.files[0]);
+});
+document.getElementById('configFile').addEventListener('change', (event) => {
+  if (event.target.files[0]) loadConfigFile(event.target.files[0]);
+});
+document.getElementById('exportJsonButton').addEventListener('click', () => exportStudyData('json'));
+document.getElementById('exportCsvButton').addEventListener('click', () => exportStudyData('csv'));
+document.getElementById('withdrawButton').addEventListener('click', withdraw);
+
+initialize();
@@ -0,0 +1,339 @@
+// ============================================================================
+// FILE: js/study.js
+// Purpose: Research study mode - protocol, participant and phases
+// ============================================================================
+
+/**
+ * Study Mode
+ *
+ * For running the extension as part of a research study. A study config
+ * (bundled as study-config.json or imported on the study page) describes:
+ *   {
+ *     id: 'msc-digital-wellness',
+ *     title: 'Digital Wellness on Instagram',
+ *     researcher, contact, description,          // Shown on the consent screen
+ *     consent: ['paragraph', …],                 // Consent text
+ *     participantCodePattern: '^[A-Z]{2}\\d{3}$', // Optional, checks the code
+ *     participantCodeHint: 'e.g. AB123',         // Optional
+ *     startDate: '2024-10-01',                   // Optional fixed start (else the consent day)
+ *     phases: [
+ *       { name: 'baseline', label: 'Baseline', days: 7,
+ *         features: { widget: false, interventions: false, corrections: false } },
+ *       …
+ *     ],
+ *     export: { includeReflections: false }       // Optional
+ *   }
+ *
+ * Phases run back to back from the start day; each one turns the features
+ * in STUDY_FEATURES on or off (posts are tracked in every phase). Before
+ * consent and after the last phase every feature is on.
+ *
+ * Once the participant consents, the study is stored in chrome.storage.local
+ * under "studyState":
+ *   { config, participantCode, consentedAt, salt }
+ * The salt is random and is used to hash post IDs in the anonymised export.
+ */
+
+'use strict';
+
+/** @const {string} - Storage key for the study the user has joined */
+const STUDY_STATE_KEY = 'studyState';
+
+/** @const {string} - Study config packaged with the extension (optional) */
+const BUNDLED_STUDY_CONFIG_URL = '/study-config.json';
+
+/** @const {Object<string, string>} - Features a study phase can switch, with descriptions */
+const STUDY_FEATURES = {
+  widget: 'On-page statistics widget',
+  interventions: 'Mindful interventions',
+  corrections: 'Correcting categories from the widget'
+};
+
+/** @const {string} - Identifies anonymised study exports */
+const STUDY_EXPORT_FORMAT = 'digital-wellness-study-export';
+
+// ============================================================================
+// CONFIG & STATE
+// ============================================================================
+
+/**
+ * Load the study config packaged with the extension
+ * @returns {Promise<Object|null>} Config, or null if none is packaged
+ */
+async function loadBundledStudyConfig() {
+  try {
+    const response = await fetch(chrome.runtime.getURL(BUNDLED_STUDY_CONFIG_URL));
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that a study config is complete
+ * @param {Object} config - Study config
+ * @returns {string[]} Human-readable errors (empty if valid)
+ */
+function validateStudyConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object') {
+    return ['The study config must be a JSON object'];
+  }
+
+  if (typeof config.id !== 'string' || config.id.trim() === '') {
+    errors.push('"id" is required');
+  }
+  if (typeof config.title !== 'string' || config.title.trim() === '') {
+    errors.push('"title" is required');
+  }
+  if (!Array.isArray(config.consent) || config.consent.length === 0 ||
+      config.consent.some(paragraph => typeof paragraph !== 'string')) {
+    errors.push('"consent" must be a list of paragraphs');
+  }
+  if (config.startDate !== undefined && Number.isNaN(Date.parse(config.startDate))) {
+    errors.push('"startDate" must be a date (YYYY-MM-DD)');
+  }
+  if (config.participantCodePattern !== undefined) {
+    try {
+      new RegExp(config.participantCodePattern);
+    } catch (error) {
+      errors.push('"participantCodePattern" is not a valid regular expression');
+    }
+  }
+
+  if (!Array.isArray(config.phases) || config.phases.length === 0) {
+    errors.push('"phases" must list at least one phase');
+  } else {
+    config.phases.forEach((phase, index) => {
+      const name = phase?.name || `Phase ${index + 1}`;
+
+      if (typeof phase?.name !== 'string' || phase.name.trim() === '') {
+        errors.push(`${name}: "name" is required`);
+      }
+      if (!Number.isInteger(phase?.days) || phase.days < 1) {
+        errors.push(`${name}: "days" must be a whole number of days`);
+      }
+      for (const [feature, enabled] of Object.entries(phase?.features || {})) {
+        if (!STUDY_FEATURES[feature]) {
+          errors.push(`${name}: unknown feature "${feature}"`);
+        } else if (typeof enabled !== 'boolean') {
+          errors.push(`${name}: "${feature}" must be true or false`);
+        }
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check a participant code against the study's pattern
+ * @param {Object} config - Study config
+ * @param {string} code - Code entered by the participant
+ * @returns {boolean} True if the code is acceptable
+ */
+function isValidParticipantCode(config, code) {
+  if (!code) return false;
+  return config.participantCodePattern
+    ? new RegExp(config.participantCodePattern).test(code)
+    : /^[\w-]{2,40}$/.test(code);
+}
+
+/**
+ * Load the study the user has joined
+ * @returns {Promise<Object|null>} Study state, or null outside study mode
+ */
+async function loadStudyState() {
+  const items = await chrome.storage.local.get(STUDY_STATE_KEY);
+  return items[STUDY_STATE_KEY] || null;
+}
+
+/**
+ * Join a study: record consent and the participant code
+ * @param {Object} config - Validated study config
+ * @param {string} participantCode - Validated participant code
+ * @returns {Promise<Object>} The stored study state
+ */
+async function joinStudy(config, participantCode) {
+  const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)),
+    byte => byte.toString(16).padStart(2, '0')).join('');
+
+  const state = { config, participantCode, consentedAt: Date.now(), salt };
+  await chrome.storage.local.set({ [STUDY_STATE_KEY]: state });
+  return state;
+}
+
+/**
+ * Leave the study (tracked data stays on this device)
+ * @returns {Promise<void>}
+ */
+async function withdrawFromStudy() {
+  await chrome.storage.local.remove(STUDY_STATE_KEY);
+}
+
+/**
+ * Listen for the user joining or leaving a study
+ * @param {function(Object|null): void} callback - Receives the new study state
+ * @returns {void}
+ */
+function onStudyStateChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[STUDY_STATE_KEY]) {
+      callback(changes[STUDY_STATE_KEY].newValue || null);
+    }
+  });
+}
+
+// ============================================================================
+// PHASES
+// ============================================================================
+
+/**
+ * Work out when each phase starts and ends
+ * Phases change at local midnight
+ *
+ * @param {Object} state - Study state
+ * @returns {{name: string, label: string, features: Object, startsAt: number, endsAt: number}[]} Schedule
+ */
+function getStudySchedule(state) {
+  const start = state.config.startDate
+    ? new Date(`${state.config.startDate}T00:00:00`)
+    : new Date(state.consentedAt);
+  start.setHours(0, 0, 0, 0);
+
+  const day = new Date(start);
+  return state.config.phases.map(phase => {
+    const startsAt = day.getTime();
+    day.setDate(day.getDate() + phase.days);
+
+    return {
+      name: phase.name,
+      label: phase.label || phase.name,
+      features: phase.features || {},
+      startsAt,
+      endsAt: day.getTime()
+    };
+  });
+}
+
+/**
+ * Find the study phase at a given time
+ * @param {Object|null} state - Study state
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {Object|null} Phase from getStudySchedule(), or null before the
+ *   first or after the last phase (or outside study mode)
+ */
+function getStudyPhase(state, time = Date.now()) {
+  if (!state) return null;
+  return getStudySchedule(state).find(phase => time >= phase.startsAt && time < phase.endsAt) || null;
+}
+
+/**
+ * Get which features are on right now
+ * @param {Object|null} state - Study state
+ * @returns {Object<string, boolean>} Feature → enabled (all on outside a phase)
+ */
+function getStudyFeatures(state) {
+  const phase = getStudyPhase(state);
+  const features = {};
+
+  for (const feature of Object.keys(STUDY_FEATURES)) {
+    features[feature] = phase ? phase.features[feature] !== false : true;
+  }
+  return features;
+}
+
+// ============================================================================
+// ANONYMISED EXPORT
+// ============================================================================
+
+/**
+ * Hash a value with the participant's salt
+ * The same post gets the same hash in every export from this participant,
+ * but it can't be looked up on Instagram
+ *
+ * @param {string} value - Value to hash
+ * @param {string} salt - Study salt
+ * @returns {Promise<string>} First 16 hex characters of the SHA-256 digest
+ */
+async function hashForStudy(value, salt) {
+  const bytes = new TextEncoder().encode(`${salt}:${value}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('').slice(0, 16);
+}
+
+/**
+ * Build the anonymised export for the researchers
+ * Keeps categories, methods, confidence, timings and intervention responses.
+ * Post IDs are hashed; generated captions, correction captions and (unless
+ * the study asks for them) written reflections are left out.
+ *
+ * @param {Object} state - Study state
+ * @returns {Promise<Object>} Export document
+ */
+async function buildAnonymisedExport(state) {
+  const [records, events, profile] = await Promise.all([
+    loadPostRecords(),
+    loadInterventionEvents(),
+    loadUserProfile()
+  ]);
+  const schedule = getStudySchedule(state);
+  const phaseAt = time => schedule.find(phase => time >= phase.startsAt && time < phase.endsAt)?.name || null;
+  const includeReflections = state.config.export?.includeReflections === true;
+
+  const posts = await Promise.all(records
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(async record => ({
+      post: await hashForStudy(record.id, state.salt),
+      phase: phaseAt(record.timestamp),
+      platform: record.platform || 'instagram',
+      surface: record.surface,
+      mediaType: record.mediaType || null,
+      category: record.category,
+      labels: record.labels || [],
+      method: record.method,
+      confidence: record.confidence,
+      provider: record.provider || null,
+      models: record.models || [],
+      fallbackReason: record.fallbackReason || null,
+      predictedCategory: record.correctedFrom?.category || null,
+      timestamp: record.timestamp,
+      lastSeenAt: record.lastSeenAt || null,
+      dwellMs: record.dwellMs || 0
+    })));
+
+  const interventions = events
+    .sort((a, b) => a.shownAt - b.shownAt)
+    .map(event => ({
+      rule: event.ruleId,
+      phase: phaseAt(event.shownAt),
+      category: event.category,
+      metric: event.metric,
+      threshold: event.threshold,
+      value: event.value,
+      type: event.type,
+      shownAt: event.shownAt,
+      respondedAt: event.respondedAt,
+      response: event.response,
+      reflection: includeReflections ? event.reflection || null : undefined,
+      reflected: Boolean(event.reflection)
+    }));
+
+  return {
+    format: STUDY_EXPORT_FORMAT,
+    study: state.config.id,
+    participant: state.participantCode,
+    consentedAt: state.consentedAt,
+    exportedAt: Date.now(),
+    phases: schedule.map(({ name, startsAt, endsAt }) => ({ name, startsAt, endsAt })),
+    profile: profile && {
+      purposes: profile.purposes || [],
+      moreOf: profile.moreOf || [],
+      lessOf: profile.lessOf || [],
+      dailyBudgetMinutes: profile.dailyBudgetMinutes || null
+    },
+    posts,
+    interventions
+  };
+}